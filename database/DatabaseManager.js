@@ -1,11 +1,18 @@
 import sqlite3 from 'sqlite3';
+import { AsyncLocalStorage } from 'async_hooks';
 import fs from 'fs';
 import path from 'path';
+import { runMigrations } from './migrate.js';
+import { yearMigrations } from './migrations.js';
 
 class DatabaseManager {
     constructor(dbPath = './databases') {
         this.dbPath = dbPath;
         this.connections = new Map();
+        this.locks = new WeakMap();
+        // The connections whose lock the current async call chain holds
+        this.heldLocks = new AsyncLocalStorage();
+        this.schemaReady = new WeakMap();
 
         // Ensure database directory exists
         if (!fs.existsSync(dbPath)) {
@@ -13,83 +20,62 @@ class DatabaseManager {
         }
     }
 
+    // Every path to a year database is built here, so refusing anything but
+    // a numeric user id and a four-digit year keeps request values such as
+    // "x/../user_2_2025" from reaching another user's file
     getDbFileName(userId, year) {
+        if (!/^\d+$/.test(String(userId)) || !/^\d{4}$/.test(String(year))) {
+            const err = new Error('Invalid year');
+            err.status = 400;
+            throw err;
+        }
         return `user_${userId}_${year}.db`;
     }
 
+    getDbFilePath(userId, year) {
+        return path.join(this.dbPath, this.getDbFileName(userId, year));
+    }
+
     getConnection(userId, year) {
+        const dbFile = this.getDbFilePath(userId, year);
         const key = `${userId}_${year}`;
 
         if (this.connections.has(key)) {
             return this.connections.get(key);
         }
 
-        const dbFile = path.join(this.dbPath, this.getDbFileName(userId, year));
+        const existed = fs.existsSync(dbFile);
         const db = new sqlite3.Database(dbFile);
+        db.configure('busyTimeout', 5000);
 
         this.connections.set(key, db);
-        this.initializeSchema(db);
+        this.initializeSchema(db).then(report => {
+            if (existed && report.applied.length > 0) {
+                console.log(`Migrated ${dbFile} from version ${report.from} to ${report.to}`);
+            }
+        }).catch(err => {
+            console.error(`Error migrating database ${dbFile}:`, err);
+            // Drop the connection so the next request tries again
+            if (this.connections.get(key) === db) {
+                this.connections.delete(key);
+                db.close();
+            }
+        });
 
         return db;
     }
 
+    // Bring a year database up to the latest schema version. Queries made
+    // through run, get and all wait until this has finished.
     initializeSchema(db) {
-        const schema = `
-            -- Categories table
-            CREATE TABLE IF NOT EXISTS categories (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                name TEXT NOT NULL,
-                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
-                is_default BOOLEAN DEFAULT 0,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            );
-
-            -- Transactions table
-            CREATE TABLE IF NOT EXISTS transactions (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                amount DECIMAL(10,2) NOT NULL,
-                date DATETIME NOT NULL,
-                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
-                category_id INTEGER NOT NULL,
-                description TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (category_id) REFERENCES categories(id)
-            );
-
-            -- Insert default categories if they don't exist
-            INSERT OR IGNORE INTO categories (id, name, type, is_default) VALUES
-                (1, 'Monthly Fund', 'income', 1),
-                (2, 'Special Fund', 'income', 1),
-                (3, 'Donation', 'income', 1),
-                (4, 'Personal Money', 'income', 1),
-                (5, 'Bank Loan', 'income', 1),
-                (6, 'Borrowed Money', 'income', 1),
-                (7, 'Others', 'income', 1),
-                (8, 'Employee Salary', 'expense', 1),
-                (9, 'Foods & Treats', 'expense', 1),
-                (10, 'Conveyances', 'expense', 1),
-                (11, 'Purchase', 'expense', 1),
-                (12, 'Rents', 'expense', 1),
-                (13, 'Utility Bills', 'expense', 1),
-                (14, 'Others', 'expense', 1);
-
-            -- Create indexes for better performance
-            CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
-            CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type);
-            CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions(category_id);
-            CREATE INDEX IF NOT EXISTS idx_categories_type ON categories(type);
-            CREATE INDEX IF NOT EXISTS idx_transactions_user_year ON transactions(date);
-            CREATE INDEX IF NOT EXISTS idx_transactions_amount ON transactions(amount);
-            CREATE INDEX IF NOT EXISTS idx_categories_user_type ON categories(type, name);
-        `;
-
-        db.exec(schema, (err) => {
-            if (err) {
-                console.error('Error initializing database schema:', err);
-            }
-        });
+        const ready = runMigrations(db, yearMigrations);
+        this.schemaReady.set(db, ready);
+        return ready;
+    }
+
+    // Resolves once the connection's migrations have been applied
+    whenReady(db) {
+        return this.schemaReady.get(db) || Promise.resolve();
     }
 
     closeConnection(userId, year) {
@@ -106,6 +92,19 @@ class DatabaseManager {
         }
     }
 
+    // Close a year database and delete its file, for one that was created
+    // by a change that then failed
+    async dropDatabase(userId, year) {
+        const key = `${userId}_${year}`;
+        const db = this.connections.get(key);
+
+        this.connections.delete(key);
+        if (db) {
+            await new Promise(resolve => db.close(() => resolve()));
+        }
+        fs.rmSync(this.getDbFilePath(userId, year), { force: true });
+    }
+
     closeAllConnections() {
         for (const [key, db] of this.connections) {
             db.close((err) => {
@@ -130,16 +129,368 @@ class DatabaseManager {
         }).filter(year => year !== null).sort((a, b) => b - a);
     }
 
-    // Backup database file
-    backupDatabase(userId, year) {
-        const dbFile = path.join(this.dbPath, this.getDbFileName(userId, year));
-        const backupFile = path.join(this.dbPath, `backup_${this.getDbFileName(userId, year)}_${Date.now()}`);
+    // Get the years with an existing database that overlap a date window.
+    // Either end may be left open.
+    getUserYearsInRange(userId, startDate, endDate) {
+        const startYear = startDate ? new Date(startDate).getFullYear() : -Infinity;
+        const endYear = endDate ? new Date(endDate).getFullYear() : Infinity;
+
+        return this.getUserYears(userId).filter(year => year >= startYear && year <= endYear);
+    }
+
+    // Promise wrappers around the sqlite3 callback API. They wait for the
+    // connection's migrations, so nothing runs against an outdated schema,
+    // and for any transaction another request has open on it (see inTurn).
+    async run(db, sql, params = []) {
+        await this.whenReady(db);
+        return this.inTurn(db, () => new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) {
+                    // Raised by the closed-year triggers (see database/migrations.js)
+                    if (err.message.includes('YEAR_CLOSED')) {
+                        err.status = 409;
+                        err.message = 'This year has been closed and can no longer be changed';
+                    }
+                    return reject(err);
+                }
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        }));
+    }
+
+    async get(db, sql, params = []) {
+        await this.whenReady(db);
+        return this.inTurn(db, () => new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve(row);
+            });
+        }));
+    }
+
+    async all(db, sql, params = []) {
+        await this.whenReady(db);
+        return this.inTurn(db, () => new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve(rows);
+            });
+        }));
+    }
+
+    // A transaction shares its connection with every other request, so a
+    // statement from outside it would become part of it: rolled back with a
+    // dry run or a failure, and able to read rows that were never committed.
+    // Statements therefore take the connection's lock, unless they are made
+    // by the work that already holds it.
+    inTurn(db, fn) {
+        if (this.heldLocks.getStore()?.has(db)) {
+            return fn();
+        }
+        return this.withLock(db, fn);
+    }
+
+    // Serialize work on a connection so multi-statement operations never interleave
+    async withLock(db, fn) {
+        const previous = this.locks.get(db) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        this.locks.set(db, previous.then(() => current));
+
+        await previous;
+        try {
+            const held = new Set(this.heldLocks.getStore());
+            held.add(db);
+            return await this.heldLocks.run(held, () => fn(db));
+        } finally {
+            release();
+        }
+    }
+
+    // Run fn inside a transaction, rolling back if it throws. Other year
+    // databases can be attached under an alias for the duration so that
+    // writes to several files commit or roll back together. With dryRun the
+    // transaction is always rolled back, so fn can check writes without
+    // keeping them.
+    withTransaction(db, fn, { attach = {}, dryRun = false } = {}) {
+        return this.withLock(db, async () => {
+            const aliases = [];
+
+            try {
+                for (const [alias, dbFile] of Object.entries(attach)) {
+                    await this.run(db, `ATTACH DATABASE ? AS ${alias}`, [dbFile]);
+                    aliases.push(alias);
+                }
+
+                await this.run(db, 'BEGIN IMMEDIATE');
+                try {
+                    const result = await fn(db);
+                    await this.run(db, dryRun ? 'ROLLBACK' : 'COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.run(db, 'ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            } finally {
+                for (const alias of aliases) {
+                    await this.run(db, `DETACH DATABASE ${alias}`).catch(err => {
+                        console.error(`Error detaching database ${alias}:`, err);
+                    });
+                }
+            }
+        });
+    }
+
+    // Open a private in-memory database with the year schema, for checking
+    // writes against a year that has no database file yet
+    openScratchDatabase() {
+        const db = new sqlite3.Database(':memory:');
+        this.initializeSchema(db).catch(err => {
+            console.error('Error initializing scratch database:', err);
+        });
+        return db;
+    }
+
+    getBackupDir() {
+        return path.join(this.dbPath, 'backups');
+    }
+
+    // Backups are named user_<id>_<year>_<timestamp>.db, with an _auto
+    // suffix for those taken by the backup scheduler
+    parseBackupFileName(fileName) {
+        const match = /^user_(\d+)_(\d{4})_(\d+)(_auto)?\.db$/.exec(fileName);
+        if (!match) {
+            return null;
+        }
+        return {
+            userId: parseInt(match[1]),
+            year: parseInt(match[2]),
+            timestamp: parseInt(match[3]),
+            scheduled: Boolean(match[4])
+        };
+    }
+
+    // Get the path of one of the user's backups, or null if the name is not
+    // a backup belonging to them
+    getBackupFilePath(userId, fileName) {
+        const backup = this.parseBackupFileName(fileName);
+        if (!backup || backup.userId !== userId) {
+            return null;
+        }
+
+        const backupFile = path.join(this.getBackupDir(), fileName);
+        return fs.existsSync(backupFile) ? backupFile : null;
+    }
+
+    // Snapshot a year database with VACUUM INTO. This reads through the open
+    // connection, so the copy is consistent even while the file is in use.
+    // Returns the backup's details, or null if the year has no database.
+    async backupDatabase(userId, year, { scheduled = false } = {}) {
+        if (!fs.existsSync(this.getDbFilePath(userId, year))) {
+            return null;
+        }
+
+        const backupDir = this.getBackupDir();
+        if (!fs.existsSync(backupDir)) {
+            fs.mkdirSync(backupDir, { recursive: true });
+        }
+
+        // Let a newly opened file finish migrating, so the name's timestamp is
+        // later than any change the migrations make
+        const db = this.getConnection(userId, year);
+        await this.whenReady(db);
+
+        const suffix = scheduled ? '_auto' : '';
+        let timestamp = Date.now();
+        while (fs.existsSync(path.join(backupDir, `user_${userId}_${year}_${timestamp}${suffix}.db`))) {
+            timestamp++;
+        }
+        const fileName = `user_${userId}_${year}_${timestamp}${suffix}.db`;
+
+        // The lock keeps the snapshot from starting inside another request's transaction
+        await this.withLock(db, () => this.run(db, 'VACUUM INTO ?', [path.join(backupDir, fileName)]));
+
+        return this.listBackups(userId, year).find(b => b.fileName === fileName);
+    }
+
+    // List a user's backups, newest first, optionally for one year only
+    listBackups(userId, year = null) {
+        const backupDir = this.getBackupDir();
+        if (!fs.existsSync(backupDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(backupDir)
+            .map(fileName => ({ fileName, ...this.parseBackupFileName(fileName) }))
+            .filter(b => b.userId === userId && (year === null || b.year === parseInt(year)))
+            .map(({ fileName, year, timestamp, scheduled }) => ({
+                fileName,
+                year,
+                scheduled,
+                size: fs.statSync(path.join(backupDir, fileName)).size,
+                createdAt: new Date(timestamp).toISOString()
+            }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.fileName.localeCompare(a.fileName));
+    }
+
+    // Replace a year database with one of its backups. The current file is
+    // backed up first, so a restore can itself be undone. Returns that
+    // backup's details, or null if there was no current file.
+    async restoreBackup(userId, fileName) {
+        const backupFile = this.getBackupFilePath(userId, fileName);
+        if (!backupFile) {
+            throw new Error('Backup not found');
+        }
+
+        const { year } = this.parseBackupFileName(fileName);
+        const dbFile = this.getDbFilePath(userId, year);
+        const safetyBackup = await this.backupDatabase(userId, year);
+
+        // Copy next to the live file first so the swap below is a single rename
+        const tempFile = `${dbFile}.restoring`;
+        fs.copyFileSync(backupFile, tempFile);
+
+        const key = `${userId}_${year}`;
+        const db = this.connections.get(key);
+
+        const swap = () => {
+            // Forget the connection and replace the file in the same tick, so
+            // no request can open the old file in between. The next
+            // getConnection opens the restored file and migrates it.
+            this.connections.delete(key);
+            fs.renameSync(tempFile, dbFile);
+            return db ? new Promise(resolve => db.close(() => resolve())) : null;
+        };
+
+        try {
+            await (db ? this.withLock(db, swap) : swap());
+        } finally {
+            if (fs.existsSync(tempFile)) {
+                fs.unlinkSync(tempFile);
+            }
+        }
+
+        return safetyBackup;
+    }
 
-        if (fs.existsSync(dbFile)) {
-            fs.copyFileSync(dbFile, backupFile);
-            return backupFile;
+    deleteBackup(userId, fileName) {
+        const backupFile = this.getBackupFilePath(userId, fileName);
+        if (!backupFile) {
+            return false;
         }
-        return null;
+
+        fs.unlinkSync(backupFile);
+        return true;
+    }
+
+    // Apply the retention policy to a user's manual backups: for each year
+    // keep the newest `keep` backups, and delete any older than `maxAgeDays`.
+    // The newest backup of a year is never deleted. Returns the deleted backups.
+    pruneBackups(userId, { keep = null, maxAgeDays = null } = {}) {
+        const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+        const seen = new Map();
+        const deleted = [];
+
+        for (const backup of this.listBackups(userId).filter(b => !b.scheduled)) {
+            const index = seen.get(backup.year) || 0;
+            seen.set(backup.year, index + 1);
+
+            if (index === 0) {
+                continue;
+            }
+
+            const tooMany = keep !== null && index >= keep;
+            const tooOld = cutoff !== null && new Date(backup.createdAt).getTime() < cutoff;
+
+            if (tooMany || tooOld) {
+                fs.unlinkSync(path.join(this.getBackupDir(), backup.fileName));
+                deleted.push(backup);
+            }
+        }
+
+        return deleted;
+    }
+
+    // Apply calendar retention to a user's scheduled backups: for each year
+    // keep the newest backup of each of the last `daily` days, `weekly` weeks
+    // (starting Monday) and `monthly` months that have one, and delete the
+    // rest. Returns the deleted backups.
+    pruneScheduledBackups(userId, { daily = 7, weekly = 4, monthly = 12 } = {}) {
+        const periods = {
+            daily: { limit: daily, key: (date) => date.toISOString().slice(0, 10) },
+            weekly: {
+                limit: weekly,
+                key: (date) => {
+                    const monday = new Date(date);
+                    monday.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+                    return monday.toISOString().slice(0, 10);
+                }
+            },
+            monthly: { limit: monthly, key: (date) => date.toISOString().slice(0, 7) }
+        };
+
+        const byYear = new Map();
+        for (const backup of this.listBackups(userId).filter(b => b.scheduled)) {
+            if (!byYear.has(backup.year)) {
+                byYear.set(backup.year, []);
+            }
+            byYear.get(backup.year).push(backup);
+        }
+
+        const deleted = [];
+
+        for (const backups of byYear.values()) {
+            const kept = new Set();
+
+            // Backups are newest first, so the first one seen for a period is its newest
+            for (const { limit, key } of Object.values(periods)) {
+                const seen = new Set();
+                for (const backup of backups) {
+                    const period = key(new Date(backup.createdAt));
+                    if (!seen.has(period) && seen.size < limit) {
+                        seen.add(period);
+                        kept.add(backup.fileName);
+                    }
+                }
+            }
+
+            // Always keep the latest copy
+            kept.add(backups[0].fileName);
+
+            for (const backup of backups.filter(b => !kept.has(b.fileName))) {
+                fs.unlinkSync(path.join(this.getBackupDir(), backup.fileName));
+                deleted.push(backup);
+            }
+        }
+
+        return deleted;
+    }
+
+    // Run PRAGMA integrity_check on a backup file. Resolves to null if it is
+    // sound, or to the problems found. The file is opened read-write because
+    // FTS5's part of the check needs it, though nothing is changed.
+    checkBackupIntegrity(fileName) {
+        return new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(path.join(this.getBackupDir(), fileName), sqlite3.OPEN_READWRITE, (err) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                db.all('PRAGMA integrity_check', (err, rows) => {
+                    db.close();
+                    if (err) {
+                        return reject(err);
+                    }
+
+                    const problems = rows.map(row => row.integrity_check).filter(result => result !== 'ok');
+                    resolve(problems.length > 0 ? problems.join('; ') : null);
+                });
+            });
+        });
     }
 }
 
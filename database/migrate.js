@@ -0,0 +1,71 @@
+// Applies the numbered migrations in database/migrations.js to one open
+// connection. This talks to sqlite3 directly rather than through
+// DatabaseManager, whose helpers wait for these migrations to finish.
+
+const exec = (db, sql) => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => err ? reject(err) : resolve());
+});
+
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+// Apply every migration the file has not recorded yet, in version order and
+// inside a single transaction: if one fails, or this is a dry run, the file
+// is left exactly as it was. Returns { from, to, applied, dryRun }.
+export const runMigrations = async (db, migrations, { dryRun = false } = {}) => {
+    const helpers = {
+        exec: (sql) => exec(db, sql),
+        // Add a column unless an older copy of the schema already created it
+        addColumn: async (table, column, definition) => {
+            const columns = await all(db, `PRAGMA table_info(${table})`);
+            if (!columns.some(c => c.name === column)) {
+                await exec(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+    };
+
+    await exec(db, 'BEGIN IMMEDIATE');
+
+    let current = null;
+    try {
+        await exec(db, `
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        const applied = new Set((await all(db, 'SELECT version FROM schema_migrations')).map(r => r.version));
+        const pending = migrations
+            .filter(m => !applied.has(m.version))
+            .sort((a, b) => a.version - b.version);
+        const from = applied.size > 0 ? Math.max(...applied) : 0;
+
+        for (const migration of pending) {
+            current = migration;
+            await migration.up(helpers);
+            await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        }
+
+        await exec(db, dryRun ? 'ROLLBACK' : 'COMMIT');
+
+        return {
+            from,
+            to: pending.length > 0 ? pending[pending.length - 1].version : from,
+            applied: pending.map(m => ({ version: m.version, name: m.name })),
+            dryRun
+        };
+    } catch (error) {
+        await exec(db, 'ROLLBACK').catch(() => {});
+        if (current) {
+            error.message = `Migration ${current.version} (${current.name}) failed: ${error.message}`;
+        }
+        throw error;
+    }
+};
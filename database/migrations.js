@@ -0,0 +1,555 @@
+// Numbered schema migrations. Each database file records the versions it has
+// applied in its schema_migrations table; pending ones run in order when the
+// file is opened, or through `npm run migrate`.
+//
+// Never edit a migration that has shipped: add a new one with the next version.
+// Files created before versioning may already have some of these tables and
+// columns, so migrations use IF NOT EXISTS and addColumn, which skips columns
+// that are already there.
+
+// Migrations for the per-user year databases (user_<id>_<year>.db)
+export const yearMigrations = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        up: async ({ exec }) => exec(`
+            -- Categories table
+            CREATE TABLE IF NOT EXISTS categories (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+                is_default BOOLEAN DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Transactions table
+            CREATE TABLE IF NOT EXISTS transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                amount DECIMAL(10,2) NOT NULL,
+                date DATETIME NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+                category_id INTEGER NOT NULL,
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (category_id) REFERENCES categories(id)
+            );
+
+            -- Insert default categories if they don't exist
+            INSERT OR IGNORE INTO categories (id, name, type, is_default) VALUES
+                (1, 'Monthly Fund', 'income', 1),
+                (2, 'Special Fund', 'income', 1),
+                (3, 'Donation', 'income', 1),
+                (4, 'Personal Money', 'income', 1),
+                (5, 'Bank Loan', 'income', 1),
+                (6, 'Borrowed Money', 'income', 1),
+                (7, 'Others', 'income', 1),
+                (8, 'Employee Salary', 'expense', 1),
+                (9, 'Foods & Treats', 'expense', 1),
+                (10, 'Conveyances', 'expense', 1),
+                (11, 'Purchase', 'expense', 1),
+                (12, 'Rents', 'expense', 1),
+                (13, 'Utility Bills', 'expense', 1),
+                (14, 'Others', 'expense', 1);
+
+            -- Create indexes for better performance
+            CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(date);
+            CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(type);
+            CREATE INDEX IF NOT EXISTS idx_transactions_category ON transactions(category_id);
+            CREATE INDEX IF NOT EXISTS idx_categories_type ON categories(type);
+            CREATE INDEX IF NOT EXISTS idx_transactions_user_year ON transactions(date);
+            CREATE INDEX IF NOT EXISTS idx_transactions_amount ON transactions(amount);
+            CREATE INDEX IF NOT EXISTS idx_categories_user_type ON categories(type, name);
+        `)
+    },
+    {
+        version: 2,
+        name: 'accounts',
+        up: async ({ exec, addColumn }) => {
+            await exec(`
+                -- Accounts table (cash, bank accounts, mobile wallets)
+                CREATE TABLE IF NOT EXISTS accounts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    type TEXT NOT NULL DEFAULT 'cash' CHECK (type IN ('cash', 'bank', 'mobile_wallet', 'other')),
+                    opening_balance DECIMAL(10,2) NOT NULL DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+            await addColumn('transactions', 'account_id', 'INTEGER REFERENCES accounts(id)');
+            await exec('CREATE INDEX IF NOT EXISTS idx_transactions_account ON transactions(account_id);');
+        }
+    },
+    {
+        version: 3,
+        name: 'transfers',
+        up: async ({ exec, addColumn }) => {
+            await exec(`
+                -- Transfers between accounts, recorded as a linked expense/income pair
+                CREATE TABLE IF NOT EXISTS transfers (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    amount DECIMAL(10,2) NOT NULL,
+                    date DATETIME NOT NULL,
+                    from_account_id INTEGER NOT NULL,
+                    to_account_id INTEGER NOT NULL,
+                    description TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (from_account_id) REFERENCES accounts(id),
+                    FOREIGN KEY (to_account_id) REFERENCES accounts(id)
+                );
+            `);
+            await addColumn('transactions', 'transfer_id', 'INTEGER REFERENCES transfers(id)');
+            await exec('CREATE INDEX IF NOT EXISTS idx_transactions_transfer ON transactions(transfer_id);');
+        }
+    },
+    {
+        version: 4,
+        name: 'budgets',
+        up: async ({ exec }) => exec(`
+            -- Monthly spending limits per expense category. Month 0 applies to
+            -- every month of the year; months 1-12 override it for that month.
+            CREATE TABLE IF NOT EXISTS budgets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                category_id INTEGER NOT NULL,
+                month INTEGER NOT NULL DEFAULT 0 CHECK (month BETWEEN 0 AND 12),
+                amount DECIMAL(10,2) NOT NULL CHECK (amount >= 0),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (category_id, month),
+                FOREIGN KEY (category_id) REFERENCES categories(id)
+            );
+        `)
+    },
+    {
+        version: 5,
+        name: 'recurring_occurrences',
+        up: async ({ exec, addColumn }) => {
+            await addColumn('transactions', 'recurring_id', 'INTEGER');
+            await addColumn('transactions', 'recurring_date', 'DATE');
+            await exec(`
+                -- Each occurrence of a recurring transaction is created at most once
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring
+                    ON transactions(recurring_id, recurring_date) WHERE recurring_id IS NOT NULL;
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'transactions_fts',
+        up: async ({ exec }) => exec(`
+            -- Full-text index of descriptions and category names, keyed by transaction id
+            CREATE VIRTUAL TABLE IF NOT EXISTS transactions_fts USING fts5(description, category_name);
+
+            -- Keep the full-text index in step with transactions and category renames
+            CREATE TRIGGER IF NOT EXISTS transactions_fts_insert AFTER INSERT ON transactions BEGIN
+                INSERT INTO transactions_fts (rowid, description, category_name)
+                VALUES (new.id, new.description, (SELECT name FROM categories WHERE id = new.category_id));
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS transactions_fts_update AFTER UPDATE ON transactions BEGIN
+                DELETE FROM transactions_fts WHERE rowid = old.id;
+                INSERT INTO transactions_fts (rowid, description, category_name)
+                VALUES (new.id, new.description, (SELECT name FROM categories WHERE id = new.category_id));
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS transactions_fts_delete AFTER DELETE ON transactions BEGIN
+                DELETE FROM transactions_fts WHERE rowid = old.id;
+            END;
+
+            CREATE TRIGGER IF NOT EXISTS categories_fts_rename AFTER UPDATE OF name ON categories BEGIN
+                UPDATE transactions_fts SET category_name = new.name
+                WHERE rowid IN (SELECT id FROM transactions WHERE category_id = new.id);
+            END;
+
+            -- Index rows written before the full-text index existed
+            INSERT INTO transactions_fts (rowid, description, category_name)
+            SELECT t.id, t.description, c.name
+            FROM transactions t
+            LEFT JOIN categories c ON t.category_id = c.id
+            WHERE t.id NOT IN (SELECT rowid FROM transactions_fts);
+        `)
+    },
+    {
+        version: 7,
+        name: 'year_close',
+        up: async ({ exec }) => {
+            await exec(`
+                -- Present once the year has been closed; see routes/years.js
+                CREATE TABLE IF NOT EXISTS year_close (
+                    id INTEGER PRIMARY KEY CHECK (id = 1),
+                    closing_balance DECIMAL(10,2) NOT NULL,
+                    closed_by INTEGER,
+                    closed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                -- Balance carried forward from the previous year's close
+                CREATE TABLE IF NOT EXISTS year_opening (
+                    id INTEGER PRIMARY KEY CHECK (id = 1),
+                    amount DECIMAL(10,2) NOT NULL,
+                    source_year INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+
+            // Refuse every change to a closed year's data. DatabaseManager.run
+            // turns the YEAR_CLOSED error into a 409.
+            for (const table of ['categories', 'accounts', 'transfers', 'transactions', 'budgets', 'year_opening']) {
+                for (const event of ['INSERT', 'UPDATE', 'DELETE']) {
+                    await exec(`
+                        CREATE TRIGGER IF NOT EXISTS ${table}_closed_${event.toLowerCase()}
+                        BEFORE ${event} ON ${table} WHEN EXISTS (SELECT 1 FROM year_close) BEGIN
+                            SELECT RAISE(ABORT, 'YEAR_CLOSED');
+                        END;
+                    `);
+                }
+            }
+        }
+    },
+    {
+        version: 8,
+        name: 'transactions_soft_delete',
+        up: async ({ exec, addColumn }) => {
+            // Set when a transaction is moved to the trash; see the trash routes
+            // in routes/transactions.js
+            await addColumn('transactions', 'deleted_at', 'DATETIME');
+            await exec(`
+                CREATE INDEX IF NOT EXISTS idx_transactions_deleted
+                    ON transactions(deleted_at) WHERE deleted_at IS NOT NULL;
+            `);
+        }
+    }
+];
+
+// Migrations for users.db
+export const usersMigrations = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        up: async ({ exec }) => exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                 id INTEGER PRIMARY KEY AUTOINCREMENT,
+                 username TEXT UNIQUE NOT NULL,
+                 password_hash TEXT NOT NULL,
+                 name TEXT NOT NULL,
+                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                 last_login DATETIME,
+                 is_active BOOLEAN DEFAULT 1,
+                 role TEXT DEFAULT 'user' CHECK (role IN ('user', 'superadmin'))
+            );
+        `)
+    },
+    {
+        version: 2,
+        name: 'recurring_transactions',
+        up: async ({ exec }) => exec(`
+            -- Recurring transaction templates; see models/RecurringTransaction.js
+            CREATE TABLE IF NOT EXISTS recurring_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                amount DECIMAL(10,2) NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('income', 'expense')),
+                category_name TEXT NOT NULL,
+                account_name TEXT,
+                description TEXT,
+                frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+                interval_count INTEGER NOT NULL DEFAULT 1,
+                start_date DATE NOT NULL,
+                end_date DATE,
+                max_occurrences INTEGER,
+                occurrences_created INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                is_active BOOLEAN DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_recurring_user ON recurring_transactions(user_id);
+        `)
+    },
+    {
+        version: 3,
+        name: 'backup_log',
+        up: async ({ exec }) => exec(`
+            -- One row per scheduled backup run; see models/BackupLog.js
+            CREATE TABLE IF NOT EXISTS backup_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'admin')),
+                status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'ok', 'failed')),
+                backed_up INTEGER NOT NULL DEFAULT 0,
+                skipped INTEGER NOT NULL DEFAULT 0,
+                failed INTEGER NOT NULL DEFAULT 0,
+                pruned INTEGER NOT NULL DEFAULT 0,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME
+            );
+
+            -- Outcome for each user-year database in a run
+            CREATE TABLE IF NOT EXISTS backup_results (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                run_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                year INTEGER NOT NULL,
+                file_name TEXT,
+                size INTEGER,
+                status TEXT NOT NULL CHECK (status IN ('ok', 'corrupt', 'failed')),
+                message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (run_id) REFERENCES backup_runs(id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_backup_results_run ON backup_results(run_id);
+        `)
+    },
+    {
+        version: 4,
+        name: 'period_locks',
+        up: async ({ exec }) => exec(`
+            -- Months (1-12) or whole years (month 0) closed to changes; see models/PeriodLock.js
+            CREATE TABLE IF NOT EXISTS period_locks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                year INTEGER NOT NULL,
+                month INTEGER NOT NULL DEFAULT 0 CHECK (month BETWEEN 0 AND 12),
+                reason TEXT,
+                locked_by INTEGER NOT NULL,
+                locked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, year, month)
+            );
+
+            -- Every lock and unlock, with who made it
+            CREATE TABLE IF NOT EXISTS period_lock_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                year INTEGER NOT NULL,
+                month INTEGER NOT NULL,
+                action TEXT NOT NULL CHECK (action IN ('lock', 'unlock')),
+                reason TEXT,
+                actor_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_period_lock_events_user ON period_lock_events(user_id);
+        `)
+    },
+    {
+        version: 5,
+        name: 'audit_log',
+        up: async ({ exec }) => exec(`
+            -- Every create, update and delete of transactions, transfers, categories
+            -- and users; see models/AuditLog.js. before_data and after_data hold
+            -- the record as JSON, or NULL for the side that doesn't exist.
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                actor_id INTEGER NOT NULL,
+                target_user_id INTEGER NOT NULL,
+                entity TEXT NOT NULL,
+                entity_id INTEGER,
+                year INTEGER,
+                action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+                before_data TEXT,
+                after_data TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_user_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id);
+
+            -- The log is append-only
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log BEGIN
+                SELECT RAISE(ABORT, 'The audit log is append-only');
+            END;
+            CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log BEGIN
+                SELECT RAISE(ABORT, 'The audit log is append-only');
+            END;
+        `)
+    },
+    {
+        version: 6,
+        name: 'change_journal',
+        up: async ({ exec }) => exec(`
+            -- Each user's most recent changes, with what is needed to reverse
+            -- them; see models/ChangeJournal.js and routes/undo.js
+            CREATE TABLE IF NOT EXISTS change_journal (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                target_user_id INTEGER NOT NULL,
+                action TEXT NOT NULL,
+                year INTEGER,
+                entity_id INTEGER,
+                before_data TEXT,
+                after_data TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                undone_at DATETIME
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_change_journal_user ON change_journal(user_id, id);
+        `)
+    },
+    {
+        version: 7,
+        name: 'auth_sessions',
+        up: async ({ exec }) => exec(`
+            -- One row per login; access tokens name the session they belong to
+            -- and stop working once it is revoked. See models/AuthSession.js.
+            CREATE TABLE IF NOT EXISTS auth_sessions (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                user_agent TEXT,
+                ip_address TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                revoked_at DATETIME,
+                revoked_reason TEXT
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
+
+            -- Refresh tokens are stored as SHA-256 hashes and can be used once;
+            -- each refresh replaces the token with a new one in the same session
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                expires_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                used_at DATETIME,
+                FOREIGN KEY (session_id) REFERENCES auth_sessions(id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+        `)
+    },
+    {
+        version: 8,
+        name: 'password_resets',
+        up: async ({ exec, addColumn }) => {
+            // Set for passwords the user didn't choose; see User.createDefaultUsers
+            await addColumn('users', 'must_change_password', 'BOOLEAN NOT NULL DEFAULT 0');
+            await exec(`
+                -- One-time password reset tokens issued by a superadmin, stored as
+                -- SHA-256 hashes; see models/PasswordReset.js
+                CREATE TABLE IF NOT EXISTS password_resets (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    created_by INTEGER NOT NULL,
+                    expires_at DATETIME NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    used_at DATETIME
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets(user_id);
+            `);
+        }
+    },
+    {
+        version: 9,
+        name: 'two_factor',
+        up: async ({ exec }) => exec(`
+            -- TOTP secrets; enabled_at stays NULL until the user confirms a code
+            -- from their app. last_step is the last time step a code was
+            -- accepted for, so a code can't be used twice. See models/TwoFactor.js.
+            CREATE TABLE IF NOT EXISTS two_factor (
+                user_id INTEGER PRIMARY KEY,
+                secret TEXT NOT NULL,
+                enabled_at DATETIME,
+                last_step INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Single-use recovery codes, stored as SHA-256 hashes
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_user ON two_factor_recovery_codes(user_id);
+
+            -- Roles whose users must have two-factor authentication enabled
+            CREATE TABLE IF NOT EXISTS two_factor_policies (
+                role TEXT PRIMARY KEY,
+                required BOOLEAN NOT NULL DEFAULT 0,
+                updated_by INTEGER,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `)
+    },
+    {
+        version: 10,
+        name: 'login_throttle',
+        up: async ({ exec }) => exec(`
+            -- Failed logins per username, whether or not the user exists, and
+            -- when the next attempt is allowed; see models/LoginThrottle.js
+            CREATE TABLE IF NOT EXISTS login_throttle (
+                username TEXT PRIMARY KEY,
+                failed_count INTEGER NOT NULL DEFAULT 0,
+                lockout_count INTEGER NOT NULL DEFAULT 0,
+                last_failed_at DATETIME,
+                locked_until DATETIME,
+                unlocked_by INTEGER,
+                unlocked_at DATETIME
+            );
+
+            -- Every failed login, for superadmins to review
+            CREATE TABLE IF NOT EXISTS login_failures (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL,
+                user_id INTEGER,
+                reason TEXT NOT NULL,
+                ip_address TEXT,
+                user_agent TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_login_failures_username ON login_failures(username, created_at);
+            CREATE INDEX IF NOT EXISTS idx_login_failures_created ON login_failures(created_at);
+        `)
+    },
+    {
+        version: 11,
+        name: 'user_roles',
+        up: async ({ exec }) => exec(`
+            -- SQLite can't change a CHECK constraint, so the users table is
+            -- rebuilt to allow the roles in middleware/permissions.js. The
+            -- AUTOINCREMENT counter is carried over so ids are never reused.
+            CREATE TABLE users_new (
+                 id INTEGER PRIMARY KEY AUTOINCREMENT,
+                 username TEXT UNIQUE NOT NULL,
+                 password_hash TEXT NOT NULL,
+                 name TEXT NOT NULL,
+                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                 last_login DATETIME,
+                 is_active BOOLEAN DEFAULT 1,
+                 role TEXT DEFAULT 'user' CHECK (role IN ('user', 'viewer', 'bookkeeper', 'auditor', 'superadmin')),
+                 must_change_password BOOLEAN NOT NULL DEFAULT 0
+            );
+
+            INSERT INTO users_new (id, username, password_hash, name, created_at, last_login, is_active, role, must_change_password)
+            SELECT id, username, password_hash, name, created_at, last_login, is_active, role, must_change_password FROM users;
+
+            UPDATE sqlite_sequence SET seq = (SELECT seq FROM sqlite_sequence WHERE name = 'users')
+            WHERE name = 'users_new' AND EXISTS (SELECT 1 FROM sqlite_sequence WHERE name = 'users');
+
+            DROP TABLE users;
+            ALTER TABLE users_new RENAME TO users;
+        `)
+    },
+    {
+        version: 12,
+        name: 'login_attempts',
+        up: async ({ addColumn }) => {
+            // Set while a login for the username is being checked, so that
+            // parallel attempts can't all get past the back-off; see
+            // LoginThrottle.reserve
+            await addColumn('login_throttle', 'attempt_started_at', 'DATETIME');
+        }
+    }
+];
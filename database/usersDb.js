@@ -0,0 +1,34 @@
+import sqlite3 from 'sqlite3';
+import User from '../models/User.js';
+
+// Shared access to users.db for the models kept in it. Its tables are created
+// by the users.db migrations in database/migrations.js, which User runs when
+// it is loaded.
+
+// Open a connection to users.db. Requests use it side by side, so a
+// connection waits for another one's write to finish instead of failing with
+// SQLITE_BUSY.
+export const openUsersDb = () => {
+    const db = new sqlite3.Database(User.dbPath);
+    db.configure('busyTimeout', 5000);
+    return db;
+};
+
+// Run one statement against users.db on a short-lived connection, once the
+// migrations have finished. Resolves to { lastID, changes } for 'run' and to
+// the row or rows otherwise.
+export const queryUsersDb = async (method, sql, params = []) => {
+    await User.ready;
+
+    return new Promise((resolve, reject) => {
+        const db = openUsersDb();
+
+        db[method](sql, params, function(err, result) {
+            db.close();
+            if (err) {
+                return reject(err);
+            }
+            resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+        });
+    });
+};
@@ -1,7 +1,32 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import AuthSession from '../models/AuthSession.js';
+import TwoFactor from '../models/TwoFactor.js';
 
-export const authenticateToken = async (req, res, next) => {
+// Resolve an access token to its user and session, or null if the user is
+// inactive or the session has been revoked. Tokens from before sessions
+// existed carry no session id and are refused, so their holders log in again.
+// Throws if the token itself is invalid or has expired.
+export const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.sessionId) {
+        return null;
+    }
+
+    const session = await AuthSession.getActive(decoded.sessionId);
+    if (!session || session.user_id !== decoded.userId) {
+        return null;
+    }
+
+    const user = await User.getUserById(decoded.userId);
+    return user ? { user, session } : null;
+};
+
+// A user who has to change their password, or enroll in two-factor
+// authentication because their role requires it, can only reach the routes
+// that let them do so; see authenticatePending
+const authenticate = ({ allowPending = false } = {}) => async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
         const token = authHeader && authHeader.split(' ')[1];
@@ -13,28 +38,63 @@ export const authenticateToken = async (req, res, next) => {
             });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.getUserById(decoded.userId);
+        const verified = await verifyAccessToken(token);
 
-        if (!user) {
+        if (!verified) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid token'
             });
         }
 
+        const { user, session } = verified;
+        const twoFactorSetupRequired = await TwoFactor.setupRequired(user.id, user.role || 'user');
+
+        if (!allowPending && user.must_change_password) {
+            return res.status(403).json({
+                success: false,
+                message: 'Password change required',
+                mustChangePassword: true
+            });
+        }
+
+        if (!allowPending && twoFactorSetupRequired) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication must be enabled for your role',
+                twoFactorSetupRequired: true
+            });
+        }
+
         req.user = {
             id: user.id,
             username: user.username,
             name: user.name,
-            role: user.role || 'user'
+            role: user.role || 'user',
+            mustChangePassword: Boolean(user.must_change_password),
+            twoFactorSetupRequired
         };
+        req.sessionId = session.id;
         next();
     } catch (error) {
+        // Access tokens are short-lived; the client should use its refresh token
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token expired'
+            });
+        }
+
         console.error('Authentication error:', error);
         return res.status(401).json({
             success: false,
             message: 'Invalid token'
         });
     }
-};
\ No newline at end of file
+};
+
+export const authenticateToken = authenticate();
+
+// For the routes a user can still use before finishing their account setup:
+// changing their password, enrolling in 2FA and logging out
+export const authenticatePending = authenticate({ allowPending: true });
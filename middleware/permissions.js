@@ -0,0 +1,81 @@
+// Roles and what they allow. A user's "books" are their transactions,
+// categories and the rest of their financial data. A books permission
+// covers the user's own books; the ":any" form extends it to other users'
+// books, chosen with ?userId.
+//
+// Routes state what they need with authorize('read' | 'write' | 'delete')
+// for books and requirePermission() for everything else, and read the user
+// whose books they work on with getUserId(req).
+export const ROLES = ['user', 'viewer', 'bookkeeper', 'auditor', 'superadmin'];
+
+const ROLE_PERMISSIONS = {
+    // Restoring or pruning backups and closing a year can throw away or
+    // freeze entries, so they need more than books:write
+    user: ['books:read', 'books:write', 'books:delete', 'backups:restore', 'years:close'],
+    // Read-only access to their own books
+    viewer: ['books:read'],
+    // Can add and change entries but not delete them
+    bookkeeper: ['books:read', 'books:write'],
+    // Can read every user's books and the user list, and change nothing
+    auditor: ['books:read', 'books:read:any', 'users:read'],
+    superadmin: [
+        'books:read', 'books:write', 'books:delete',
+        'books:read:any', 'books:write:any', 'books:delete:any',
+        'backups:restore', 'years:close', 'years:reopen', 'periods:lock',
+        'users:read', 'users:manage'
+    ]
+};
+
+// The action a request needs when the route doesn't say
+const ACTION_BY_METHOD = {
+    GET: 'read',
+    HEAD: 'read',
+    OPTIONS: 'read',
+    POST: 'write',
+    PUT: 'write',
+    PATCH: 'write',
+    DELETE: 'delete'
+};
+
+export const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const hasPermission = (user, permission) => permissionsFor(user.role).includes(permission);
+
+// Whether the user may read, write or delete in targetUserId's books
+export const canAccess = (user, targetUserId, action) => (
+    hasPermission(user, `books:${action}`) &&
+    (targetUserId === user.id || hasPermission(user, `books:${action}:any`))
+);
+
+// The user whose books a request works on: the one authorize() checked, or
+// the authenticated user
+export const getUserId = (req) => req.targetUserId ?? req.user.id;
+
+// Allow the request if the user may do `action` in the books it is for: their
+// own, or those of ?userId. Without an action it follows the HTTP method.
+export const authorize = (action) => (req, res, next) => {
+    const needed = action || ACTION_BY_METHOD[req.method] || 'write';
+    const requested = parseInt(req.query.userId);
+    const targetUserId = requested || req.user.id;
+
+    if (!canAccess(req.user, targetUserId, needed)) {
+        return res.status(403).json({
+            success: false,
+            message: `Access denied. The ${req.user.role} role cannot ${needed} ${targetUserId === req.user.id ? 'records' : "other users' records"}.`
+        });
+    }
+
+    req.targetUserId = targetUserId;
+    next();
+};
+
+// Allow the request only if the user's role has the permission
+export const requirePermission = (permission) => (req, res, next) => {
+    if (!req.user || !hasPermission(req.user, permission)) {
+        return res.status(403).json({
+            success: false,
+            message: `Access denied. The ${req.user ? req.user.role : 'current'} role does not have the ${permission} permission.`
+        });
+    }
+    next();
+};
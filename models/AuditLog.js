@@ -0,0 +1,110 @@
+import { queryUsersDb } from '../database/usersDb.js';
+
+// Append-only record of who changed what: every create, update and delete of
+// transactions, transfers, categories and users, and every close, reopen and
+// restore from a backup of a year database (an update of the year), with the
+// record before and after the change. Kept in users.db so changes made by a superadmin to
+// another user's data are recorded too. The table and the triggers that stop
+// entries being changed are created by the users.db migrations in
+// database/migrations.js.
+class AuditLog {
+    // Record one change. The change itself has already been committed to
+    // another database file, so a failure to record it is logged rather than
+    // turned into an error for a request that did succeed.
+    async record({ actorId, targetUserId, entity, entityId = null, year = null, action, before = null, after = null }) {
+        try {
+            await queryUsersDb(
+                'run',
+                `INSERT INTO audit_log (actor_id, target_user_id, entity, entity_id, year, action, before_data, after_data)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    actorId,
+                    targetUserId,
+                    entity,
+                    entityId,
+                    year,
+                    action,
+                    before ? JSON.stringify(before) : null,
+                    after ? JSON.stringify(after) : null
+                ]
+            );
+        } catch (error) {
+            console.error(`Error recording audit entry (${action} ${entity} ${entityId} for user ${targetUserId}):`, error);
+        }
+    }
+
+    // WHERE clause and parameters for the filters accepted by find and count
+    buildFilter({ actorId, targetUserId, entity, entityId, action, year, from, to }) {
+        const conditions = [];
+        const params = [];
+
+        if (actorId) {
+            conditions.push('a.actor_id = ?');
+            params.push(actorId);
+        }
+        if (targetUserId) {
+            conditions.push('a.target_user_id = ?');
+            params.push(targetUserId);
+        }
+        if (entity) {
+            conditions.push('a.entity = ?');
+            params.push(entity);
+        }
+        if (entityId) {
+            conditions.push('a.entity_id = ?');
+            params.push(entityId);
+        }
+        if (action) {
+            conditions.push('a.action = ?');
+            params.push(action);
+        }
+        if (year) {
+            conditions.push('a.year = ?');
+            params.push(year);
+        }
+        // from and to are dates (YYYY-MM-DD); to is inclusive
+        if (from) {
+            conditions.push('a.created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push("a.created_at < date(?, '+1 day')");
+            params.push(to);
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    // Entries matching the filters, newest first, with the actor's and target's usernames
+    async find(filters = {}, limit = 50, offset = 0) {
+        const { where, params } = this.buildFilter(filters);
+        const entries = await queryUsersDb(
+            'all',
+            `SELECT a.*, actor.username as actor_username, target.username as target_username
+             FROM audit_log a
+             LEFT JOIN users actor ON a.actor_id = actor.id
+             LEFT JOIN users target ON a.target_user_id = target.id
+             ${where}
+             ORDER BY a.id DESC
+             LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+
+        return entries.map(entry => ({
+            ...entry,
+            before_data: entry.before_data ? JSON.parse(entry.before_data) : null,
+            after_data: entry.after_data ? JSON.parse(entry.after_data) : null
+        }));
+    }
+
+    async count(filters = {}) {
+        const { where, params } = this.buildFilter(filters);
+        const row = await queryUsersDb('get', `SELECT COUNT(*) as count FROM audit_log a ${where}`, params);
+        return row.count;
+    }
+}
+
+export default new AuditLog();
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { queryUsersDb } from '../database/usersDb.js';
+
+// Login sessions and their refresh tokens, kept in users.db; the tables are
+// created by the users.db migrations in database/migrations.js.
+//
+// A login opens a session and hands out a refresh token for it. Refreshing
+// uses the token up and issues a new one, so a token that is presented twice
+// has been copied: the whole session is revoked when that happens. Access
+// tokens carry the session id and are refused by middleware/auth.js once the
+// session is revoked.
+class AuthSession {
+    // How long a refresh token stays usable. Read on each call because .env
+    // is loaded after the models are imported.
+    refreshTokenDays() {
+        return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Store a new refresh token for a session and resolve to the token itself,
+    // which is not kept anywhere
+    async issueRefreshToken(sessionId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        await queryUsersDb(
+            'run',
+            `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+             VALUES (?, ?, datetime('now', ?))`,
+            [sessionId, this.hashToken(token), `+${this.refreshTokenDays()} days`]
+        );
+
+        return token;
+    }
+
+    // Open a session for a user who has just logged in
+    async create(userId, { userAgent = null, ipAddress = null } = {}) {
+        const sessionId = crypto.randomUUID();
+
+        await queryUsersDb(
+            'run',
+            'INSERT INTO auth_sessions (id, user_id, user_agent, ip_address) VALUES (?, ?, ?, ?)',
+            [sessionId, userId, userAgent, ipAddress]
+        );
+
+        return { sessionId, refreshToken: await this.issueRefreshToken(sessionId) };
+    }
+
+    async getActive(sessionId) {
+        return queryUsersDb(
+            'get',
+            'SELECT * FROM auth_sessions WHERE id = ? AND revoked_at IS NULL',
+            [sessionId]
+        );
+    }
+
+    // The session a refresh token belongs to, whether or not the token has
+    // been used or has expired
+    async findByRefreshToken(token) {
+        return queryUsersDb(
+            'get',
+            `SELECT s.* FROM refresh_tokens r
+             JOIN auth_sessions s ON s.id = r.session_id
+             WHERE r.token_hash = ?`,
+            [this.hashToken(token)]
+        );
+    }
+
+    // Use up a refresh token and issue the next one in its session. Resolves
+    // to { session, refreshToken }, or null if the token can't be used. A
+    // token that has already been used revokes its session.
+    async rotate(token) {
+        const tokenHash = this.hashToken(token);
+
+        const used = await queryUsersDb(
+            'run',
+            `UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP
+             WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+            [tokenHash]
+        );
+
+        const record = await queryUsersDb(
+            'get',
+            `SELECT r.session_id, r.used_at, s.revoked_at FROM refresh_tokens r
+             JOIN auth_sessions s ON s.id = r.session_id
+             WHERE r.token_hash = ?`,
+            [tokenHash]
+        );
+
+        if (!record || record.revoked_at) {
+            return null;
+        }
+
+        if (used.changes === 0) {
+            if (record.used_at) {
+                await this.revoke(record.session_id, 'refresh token reused');
+            }
+            return null;
+        }
+
+        await queryUsersDb(
+            'run',
+            'UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [record.session_id]
+        );
+
+        return {
+            session: await this.getActive(record.session_id),
+            refreshToken: await this.issueRefreshToken(record.session_id)
+        };
+    }
+
+    // Resolves to false if the session was already revoked
+    async revoke(sessionId, reason = 'logout') {
+        const result = await queryUsersDb(
+            'run',
+            `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+             WHERE id = ? AND revoked_at IS NULL`,
+            [reason, sessionId]
+        );
+        return result.changes > 0;
+    }
+
+    // Log a user out everywhere. Resolves to the number of sessions revoked.
+    async revokeAllForUser(userId, reason = 'logout all') {
+        const result = await queryUsersDb(
+            'run',
+            `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+             WHERE user_id = ? AND revoked_at IS NULL`,
+            [reason, userId]
+        );
+        return result.changes;
+    }
+}
+
+export default new AuthSession();
@@ -0,0 +1,48 @@
+import { queryUsersDb } from '../database/usersDb.js';
+
+// Results of scheduled backup runs, kept in users.db so superadmins can review
+// them across all users. The tables are created by the users.db migrations in
+// database/migrations.js.
+class BackupLog {
+    async startRun(trigger) {
+        const result = await queryUsersDb('run', 'INSERT INTO backup_runs (trigger) VALUES (?)', [trigger]);
+        return result.lastID;
+    }
+
+    async addResult(runId, { userId, year, fileName = null, size = null, status, message = null }) {
+        return queryUsersDb(
+            'run',
+            `INSERT INTO backup_results (run_id, user_id, year, file_name, size, status, message)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [runId, userId, year, fileName, size, status, message]
+        );
+    }
+
+    async finishRun(runId, { status, backedUp, skipped, failed, pruned }) {
+        return queryUsersDb(
+            'run',
+            `UPDATE backup_runs
+             SET status = ?, backed_up = ?, skipped = ?, failed = ?, pruned = ?, finished_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [status, backedUp, skipped, failed, pruned, runId]
+        );
+    }
+
+    async getRuns(limit = 20, offset = 0) {
+        return queryUsersDb('all', 'SELECT * FROM backup_runs ORDER BY id DESC LIMIT ? OFFSET ?', [limit, offset]);
+    }
+
+    async getRun(runId) {
+        return queryUsersDb('get', 'SELECT * FROM backup_runs WHERE id = ?', [runId]);
+    }
+
+    async getLastRun() {
+        return queryUsersDb('get', 'SELECT * FROM backup_runs ORDER BY id DESC LIMIT 1');
+    }
+
+    async getResults(runId) {
+        return queryUsersDb('all', 'SELECT * FROM backup_results WHERE run_id = ? ORDER BY user_id, year', [runId]);
+    }
+}
+
+export default new BackupLog();
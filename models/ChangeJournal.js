@@ -0,0 +1,93 @@
+import { queryUsersDb } from '../database/usersDb.js';
+
+// The changes each user made most recently, with the values before and after,
+// so that they can be undone. Only the last few per user are kept. Kept in
+// users.db; the table is created by the users.db migrations in
+// database/migrations.js. The undo itself is in routes/undo.js.
+//
+// Actions: transaction.create, transaction.update, transaction.delete,
+// category.rename and import. For an import, after_data lists the
+// transactions it created.
+class ChangeJournal {
+    // How many changes are kept per user. Read on each call because .env is
+    // loaded after the models are imported.
+    size() {
+        return parseInt(process.env.UNDO_HISTORY_SIZE) || 20;
+    }
+
+    parse(entry) {
+        return entry && {
+            ...entry,
+            before_data: entry.before_data ? JSON.parse(entry.before_data) : null,
+            after_data: entry.after_data ? JSON.parse(entry.after_data) : null
+        };
+    }
+
+    // Record a change and forget the user's changes beyond the last size().
+    // Like the audit log, a failure is logged rather than failing a request
+    // whose change has already been committed.
+    async record({ userId, targetUserId, action, year = null, entityId = null, before = null, after = null }) {
+        try {
+            await queryUsersDb(
+                'run',
+                `INSERT INTO change_journal (user_id, target_user_id, action, year, entity_id, before_data, after_data)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    userId,
+                    targetUserId,
+                    action,
+                    year,
+                    entityId,
+                    before ? JSON.stringify(before) : null,
+                    after ? JSON.stringify(after) : null
+                ]
+            );
+            await queryUsersDb(
+                'run',
+                `DELETE FROM change_journal
+                 WHERE user_id = ? AND id NOT IN (
+                     SELECT id FROM change_journal WHERE user_id = ? ORDER BY id DESC LIMIT ?
+                 )`,
+                [userId, userId, this.size()]
+            );
+        } catch (error) {
+            console.error(`Error recording ${action} for user ${userId} in the change journal:`, error);
+        }
+    }
+
+    // The user's recent changes, newest first
+    async getRecent(userId) {
+        const entries = await queryUsersDb(
+            'all',
+            'SELECT * FROM change_journal WHERE user_id = ? ORDER BY id DESC',
+            [userId]
+        );
+        return entries.map(entry => this.parse(entry));
+    }
+
+    async get(userId, id) {
+        return this.parse(await queryUsersDb(
+            'get',
+            'SELECT * FROM change_journal WHERE id = ? AND user_id = ?',
+            [id, userId]
+        ));
+    }
+
+    // Mark a change as undone. Resolves to false if it already was, so two
+    // requests can't undo the same change.
+    async markUndone(id) {
+        const result = await queryUsersDb(
+            'run',
+            'UPDATE change_journal SET undone_at = CURRENT_TIMESTAMP WHERE id = ? AND undone_at IS NULL',
+            [id]
+        );
+        return result.changes > 0;
+    }
+
+    // Put the mark back when the undo itself failed
+    async clearUndone(id) {
+        return queryUsersDb('run', 'UPDATE change_journal SET undone_at = NULL WHERE id = ?', [id]);
+    }
+}
+
+export default new ChangeJournal();
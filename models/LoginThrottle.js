@@ -0,0 +1,223 @@
+import { queryUsersDb } from '../database/usersDb.js';
+
+// How long an attempt stays marked as in progress if it never finishes, for
+// example because the server stopped in the middle of it
+const ATTEMPT_TIMEOUT_SECONDS = 30;
+
+// Brute-force protection for logins, and for the password checks of signed-in
+// users before a sensitive change, kept in users.db; the tables are created
+// by the users.db migrations in database/migrations.js.
+//
+// Failures are counted per username, including usernames that don't exist,
+// so guessing can't tell the two apart. After each failure the next attempt
+// has to wait a little longer (1s, 2s, 4s, ...), and after maxAttempts() in a
+// row the username is locked for lockoutMinutes(), doubling with each further
+// lockout. A successful login or a superadmin unlocking the account resets
+// the count. Only one attempt per username is checked at a time; see reserve.
+// Failed logins are kept for failureRetentionDays().
+class LoginThrottle {
+    // Limits are read on each call because .env is loaded after the models
+    // are imported
+    maxAttempts() {
+        return parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+    }
+
+    lockoutMinutes() {
+        return parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+    }
+
+    failureRetentionDays() {
+        return parseInt(process.env.LOGIN_FAILURE_RETENTION_DAYS) || 90;
+    }
+
+    // Seconds to wait after the given number of failures in a row
+    backoffSeconds(failedCount) {
+        return failedCount > 0 ? Math.min(2 ** (failedCount - 1), 60) : 0;
+    }
+
+    // SQLite timestamps are UTC without a zone
+    parseTimestamp(value) {
+        return value ? new Date(`${value.replace(' ', 'T')}Z`).getTime() : null;
+    }
+
+    async getState(username) {
+        return queryUsersDb('get', 'SELECT * FROM login_throttle WHERE username = ?', [username]);
+    }
+
+    // Whether a login for the username may be tried now. Resolves to
+    // { allowed: true } or { allowed: false, locked, retryAfter } with
+    // retryAfter in seconds.
+    async check(username) {
+        const state = await this.getState(username);
+        if (!state) {
+            return { allowed: true };
+        }
+
+        const now = Date.now();
+        const lockedUntil = this.parseTimestamp(state.locked_until);
+
+        if (lockedUntil && lockedUntil > now) {
+            return { allowed: false, locked: true, retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+        }
+
+        const nextAttempt = this.parseTimestamp(state.last_failed_at) + this.backoffSeconds(state.failed_count) * 1000;
+        if (state.failed_count > 0 && nextAttempt > now) {
+            return { allowed: false, locked: false, retryAfter: Math.ceil((nextAttempt - now) / 1000) };
+        }
+
+        return { allowed: true };
+    }
+
+    // Start checking a login for the username if check() would allow it. The
+    // attempt is marked as in progress in the same statement, so a parallel
+    // attempt is refused until this one is recorded with recordFailure or
+    // recordSuccess, or handed on to the second step with release. Resolves
+    // to the same shape as check().
+    async reserve(username) {
+        const { changes } = await queryUsersDb(
+            'run',
+            `INSERT INTO login_throttle (username, attempt_started_at) VALUES (?, CURRENT_TIMESTAMP)
+             ON CONFLICT (username) DO UPDATE SET attempt_started_at = CURRENT_TIMESTAMP
+             WHERE (attempt_started_at IS NULL OR attempt_started_at <= datetime('now', ?))
+                 AND (locked_until IS NULL OR locked_until <= CURRENT_TIMESTAMP)
+                 AND (failed_count = 0 OR datetime(last_failed_at, '+' || MIN(1 << (failed_count - 1), 60) || ' seconds')
+                     <= CURRENT_TIMESTAMP)`,
+            [username, `-${ATTEMPT_TIMEOUT_SECONDS} seconds`]
+        );
+
+        if (changes > 0) {
+            return { allowed: true };
+        }
+
+        // Allowed by the back-off, so refused only because another attempt
+        // is still being checked
+        const state = await this.check(username);
+        return state.allowed ? { allowed: false, locked: false, retryAfter: 1 } : state;
+    }
+
+    // End an attempt without counting it, when the password was right but a
+    // second step is still to come
+    async release(username) {
+        return queryUsersDb('run', 'UPDATE login_throttle SET attempt_started_at = NULL WHERE username = ?', [username]);
+    }
+
+    // Count a failed login and log it, ending the attempt. Resolves to the
+    // same shape as check(), describing when the next attempt is allowed.
+    async recordFailure(username, { reason, ipAddress = null, userAgent = null }) {
+        await queryUsersDb(
+            'run',
+            `INSERT INTO login_failures (username, user_id, reason, ip_address, user_agent)
+             VALUES (?, (SELECT id FROM users WHERE username = ?), ?, ?, ?)`,
+            [username, username, reason, ipAddress, userAgent]
+        );
+        await queryUsersDb(
+            'run',
+            "DELETE FROM login_failures WHERE created_at < datetime('now', ?)",
+            [`-${this.failureRetentionDays()} days`]
+        );
+
+        // A lockout that has run out starts a fresh count
+        await queryUsersDb(
+            'run',
+            `INSERT INTO login_throttle (username, failed_count, last_failed_at) VALUES (?, 1, CURRENT_TIMESTAMP)
+             ON CONFLICT (username) DO UPDATE SET
+                 failed_count = CASE WHEN locked_until IS NOT NULL AND locked_until <= CURRENT_TIMESTAMP
+                     THEN 1 ELSE failed_count + 1 END,
+                 locked_until = CASE WHEN locked_until <= CURRENT_TIMESTAMP THEN NULL ELSE locked_until END,
+                 last_failed_at = CURRENT_TIMESTAMP,
+                 attempt_started_at = NULL`,
+            [username]
+        );
+
+        const state = await this.getState(username);
+
+        if (state.failed_count >= this.maxAttempts()) {
+            const minutes = this.lockoutMinutes() * 2 ** Math.min(state.lockout_count, 6);
+            await queryUsersDb(
+                'run',
+                `UPDATE login_throttle SET failed_count = 0, lockout_count = lockout_count + 1,
+                     locked_until = datetime('now', ?)
+                 WHERE username = ?`,
+                [`+${minutes} minutes`, username]
+            );
+        }
+
+        return this.check(username);
+    }
+
+    async recordSuccess(username) {
+        return queryUsersDb('run', 'DELETE FROM login_throttle WHERE username = ?', [username]);
+    }
+
+    // Clear a username's failures and lockout. Resolves to false if there
+    // was nothing to clear.
+    async unlock(username, unlockedBy) {
+        const result = await queryUsersDb(
+            'run',
+            `UPDATE login_throttle SET failed_count = 0, lockout_count = 0, locked_until = NULL,
+                 unlocked_by = ?, unlocked_at = CURRENT_TIMESTAMP
+             WHERE username = ? AND (failed_count > 0 OR locked_until IS NOT NULL)`,
+            [unlockedBy, username]
+        );
+        return result.changes > 0;
+    }
+
+    // Usernames with failures since their last successful login, locked ones first
+    async getThrottled() {
+        return queryUsersDb(
+            'all',
+            `SELECT t.*, u.id as user_id,
+                 (t.locked_until IS NOT NULL AND t.locked_until > CURRENT_TIMESTAMP) as locked
+             FROM login_throttle t
+             LEFT JOIN users u ON u.username = t.username
+             WHERE t.failed_count > 0 OR t.locked_until > CURRENT_TIMESTAMP
+             ORDER BY locked DESC, t.last_failed_at DESC`
+        );
+    }
+
+    buildFilter({ username, userId, from, to } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (username) {
+            conditions.push('username = ?');
+            params.push(username);
+        }
+        if (userId) {
+            conditions.push('user_id = ?');
+            params.push(userId);
+        }
+        // from and to are dates (YYYY-MM-DD); to is inclusive
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push("created_at < date(?, '+1 day')");
+            params.push(to);
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    // Failed logins matching the filters, newest first
+    async findFailures(filters = {}, limit = 50, offset = 0) {
+        const { where, params } = this.buildFilter(filters);
+        return queryUsersDb(
+            'all',
+            `SELECT * FROM login_failures ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, offset]
+        );
+    }
+
+    async countFailures(filters = {}) {
+        const { where, params } = this.buildFilter(filters);
+        const row = await queryUsersDb('get', `SELECT COUNT(*) as count FROM login_failures ${where}`, params);
+        return row.count;
+    }
+}
+
+export default new LoginThrottle();
@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { queryUsersDb } from '../database/usersDb.js';
+
+// One-time password reset tokens, kept in users.db; the table is created by
+// the users.db migrations in database/migrations.js. A superadmin issues a
+// token for a user, who redeems it through POST /api/auth/reset-password.
+// Only a hash of the token is stored, and issuing a new one cancels any the
+// user hasn't redeemed yet.
+class PasswordReset {
+    // How long a reset token stays usable. Read on each call because .env is
+    // loaded after the models are imported.
+    ttlHours() {
+        return parseInt(process.env.PASSWORD_RESET_TTL_HOURS) || 24;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Resolves to { token, expiresAt }; the token itself is not kept anywhere
+    async issue(userId, createdBy) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        await queryUsersDb('run', 'DELETE FROM password_resets WHERE user_id = ? AND used_at IS NULL', [userId]);
+
+        const result = await queryUsersDb(
+            'run',
+            `INSERT INTO password_resets (user_id, token_hash, created_by, expires_at)
+             VALUES (?, ?, ?, datetime('now', ?))`,
+            [userId, this.hashToken(token), createdBy, `+${this.ttlHours()} hours`]
+        );
+        const reset = await queryUsersDb('get', 'SELECT expires_at FROM password_resets WHERE id = ?', [result.lastID]);
+
+        return { token, expiresAt: reset.expires_at };
+    }
+
+    // Use up a token. Resolves to the id of the user it was issued for, or
+    // null if it is unknown, expired or already used.
+    async redeem(token) {
+        const tokenHash = this.hashToken(token);
+
+        const result = await queryUsersDb(
+            'run',
+            `UPDATE password_resets SET used_at = CURRENT_TIMESTAMP
+             WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+            [tokenHash]
+        );
+
+        if (result.changes === 0) {
+            return null;
+        }
+
+        const reset = await queryUsersDb('get', 'SELECT user_id FROM password_resets WHERE token_hash = ?', [tokenHash]);
+        return reset.user_id;
+    }
+}
+
+export default new PasswordReset();
@@ -0,0 +1,131 @@
+import User from './User.js';
+import { openUsersDb, queryUsersDb } from '../database/usersDb.js';
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Locked periods, per user, that transactions may no longer be added to,
+// changed in or deleted from. Month 0 locks the whole year. Kept in users.db
+// with a history of every lock and unlock. The tables are created by the
+// users.db migrations in database/migrations.js.
+class PeriodLock {
+    // Change a lock and record the event in one transaction. The event is only
+    // written if the change affected a row. Resolves to whether it did.
+    async change(changeSql, changeParams, event) {
+        await User.ready;
+
+        const db = openUsersDb();
+        const run = (sql, params = []) => new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                return err ? reject(err) : resolve(this.changes);
+            });
+        });
+
+        try {
+            await run('BEGIN IMMEDIATE');
+            try {
+                const changes = await run(changeSql, changeParams);
+                if (changes > 0) {
+                    await run(
+                        `INSERT INTO period_lock_events (user_id, year, month, action, reason, actor_id)
+                         VALUES (?, ?, ?, ?, ?, ?)`,
+                        [event.userId, event.year, event.month, event.action, event.reason || null, event.actorId]
+                    );
+                }
+                await run('COMMIT');
+                return changes > 0;
+            } catch (error) {
+                await run('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        } finally {
+            db.close();
+        }
+    }
+
+    // "May 2025" or "2025"
+    describe(year, month) {
+        return month ? `${MONTH_NAMES[month - 1]} ${year}` : String(year);
+    }
+
+    async getByUser(userId) {
+        return queryUsersDb(
+            'all',
+            'SELECT * FROM period_locks WHERE user_id = ? ORDER BY year, month',
+            [userId]
+        );
+    }
+
+    async getForYear(userId, year) {
+        return queryUsersDb(
+            'all',
+            'SELECT * FROM period_locks WHERE user_id = ? AND year = ? ORDER BY month',
+            [userId, year]
+        );
+    }
+
+    // Year and month (1-12) of a date, read from the text when it is ISO formatted
+    periodOf(date) {
+        const match = /^(\d{4})-(\d{2})/.exec(String(date));
+        if (match) {
+            return { year: parseInt(match[1]), month: parseInt(match[2]) };
+        }
+
+        const parsed = new Date(date);
+        return { year: parsed.getFullYear(), month: parsed.getMonth() + 1 };
+    }
+
+    // Find the lock in a list from getByUser that covers a date
+    findCovering(locks, date) {
+        const { year, month } = this.periodOf(date);
+        return locks.find(lock => lock.year === year && (lock.month === 0 || lock.month === month)) || null;
+    }
+
+    // Find the lock covering a date, if any: the whole year or its month
+    async findForDate(userId, date) {
+        const { year, month } = this.periodOf(date);
+
+        return queryUsersDb(
+            'get',
+            'SELECT * FROM period_locks WHERE user_id = ? AND year = ? AND month IN (0, ?) ORDER BY month LIMIT 1',
+            [userId, year, month]
+        );
+    }
+
+    // Resolves to false if the period was already locked
+    async lock(userId, year, month, actorId, reason = null) {
+        return this.change(
+            `INSERT INTO period_locks (user_id, year, month, reason, locked_by) VALUES (?, ?, ?, ?, ?)
+             ON CONFLICT (user_id, year, month) DO NOTHING`,
+            [userId, year, month, reason, actorId],
+            { userId, year, month, action: 'lock', reason, actorId }
+        );
+    }
+
+    // Resolves to false if the period was not locked
+    async unlock(userId, year, month, actorId, reason = null) {
+        return this.change(
+            'DELETE FROM period_locks WHERE user_id = ? AND year = ? AND month = ?',
+            [userId, year, month],
+            { userId, year, month, action: 'unlock', reason, actorId }
+        );
+    }
+
+    // Lock history, newest first, optionally for one user
+    async getEvents({ userId = null, limit = 50, offset = 0 } = {}) {
+        return queryUsersDb(
+            'all',
+            `SELECT e.*, u.username as actor_username
+             FROM period_lock_events e
+             LEFT JOIN users u ON e.actor_id = u.id
+             ${userId ? 'WHERE e.user_id = ?' : ''}
+             ORDER BY e.id DESC
+             LIMIT ? OFFSET ?`,
+            userId ? [userId, limit, offset] : [limit, offset]
+        );
+    }
+}
+
+export default new PeriodLock();
@@ -0,0 +1,110 @@
+import { queryUsersDb } from '../database/usersDb.js';
+
+// Recurring transaction templates live in users.db rather than a year
+// database, because one schedule keeps producing transactions across years.
+// Categories and accounts are stored by name and looked up in each year's
+// database when an occurrence is created. The table is created by the
+// users.db migrations in database/migrations.js.
+class RecurringTransaction {
+    async getById(id) {
+        return queryUsersDb('get', 'SELECT * FROM recurring_transactions WHERE id = ?', [id]);
+    }
+
+    async getByUser(userId) {
+        return queryUsersDb(
+            'all',
+            'SELECT * FROM recurring_transactions WHERE user_id = ? ORDER BY start_date, id',
+            [userId]
+        );
+    }
+
+    async getActive() {
+        return queryUsersDb('all', 'SELECT * FROM recurring_transactions WHERE is_active = 1 ORDER BY id');
+    }
+
+    async create(userId, template) {
+        const {
+            amount, type, categoryName, accountName, description,
+            frequency, interval, startDate, endDate, maxOccurrences
+        } = template;
+
+        const result = await queryUsersDb(
+            'run',
+            `INSERT INTO recurring_transactions
+                (user_id, amount, type, category_name, account_name, description,
+                 frequency, interval_count, start_date, end_date, max_occurrences)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                userId, amount, type, categoryName, accountName || null, description || '',
+                frequency, interval || 1, startDate, endDate || null, maxOccurrences || null
+            ]
+        );
+
+        return this.getById(result.lastID);
+    }
+
+    async update(id, updates) {
+        const columns = {
+            amount: 'amount',
+            description: 'description',
+            endDate: 'end_date',
+            maxOccurrences: 'max_occurrences',
+            isActive: 'is_active'
+        };
+
+        const updateFields = [];
+        const params = [];
+
+        for (const [field, column] of Object.entries(columns)) {
+            if (updates[field] !== undefined) {
+                updateFields.push(`${column} = ?`);
+                params.push(field === 'isActive' ? (updates[field] ? 1 : 0) : updates[field]);
+            }
+        }
+
+        if (updateFields.length === 0) {
+            return { success: false, message: 'No fields to update' };
+        }
+
+        params.push(id);
+        const result = await queryUsersDb(
+            'run',
+            `UPDATE recurring_transactions SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            params
+        );
+
+        if (result.changes === 0) {
+            return { success: false, message: 'Recurring transaction not found' };
+        }
+
+        return { success: true, message: 'Recurring transaction updated successfully' };
+    }
+
+    async delete(id) {
+        const result = await queryUsersDb('run', 'DELETE FROM recurring_transactions WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    // Point a user's templates at another category, e.g. after a merge.
+    // Resolves to the number of templates changed.
+    async renameCategory(userId, type, fromName, toName) {
+        const result = await queryUsersDb(
+            'run',
+            `UPDATE recurring_transactions SET category_name = ?, updated_at = CURRENT_TIMESTAMP
+             WHERE user_id = ? AND type = ? AND category_name = ?`,
+            [toName, userId, type, fromName]
+        );
+        return result.changes;
+    }
+
+    // Record how far materialization got, and why it stopped if it failed
+    async setProgress(id, occurrencesCreated, lastError = null) {
+        return queryUsersDb(
+            'run',
+            'UPDATE recurring_transactions SET occurrences_created = ?, last_error = ? WHERE id = ?',
+            [occurrencesCreated, lastError, id]
+        );
+    }
+}
+
+export default new RecurringTransaction();
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import { queryUsersDb } from '../database/usersDb.js';
+import { generateSecret, verifyCode } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP two-factor authentication, kept in users.db; the tables are created by
+// the users.db migrations in database/migrations.js.
+//
+// Enrolling stores a secret that only counts once the user has confirmed a
+// code from their app. Confirming also hands out recovery codes, each of
+// which can be used once in place of a code. Superadmins can require 2FA for
+// a role; users with that role who haven't enrolled can only enroll (see
+// middleware/auth.js).
+class TwoFactor {
+    hashRecoveryCode(code) {
+        const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    async get(userId) {
+        return queryUsersDb('get', 'SELECT * FROM two_factor WHERE user_id = ?', [userId]);
+    }
+
+    async isEnabled(userId) {
+        const row = await this.get(userId);
+        return Boolean(row && row.enabled_at);
+    }
+
+    // Start enrolling with a new secret, replacing one from an earlier
+    // unfinished attempt. Resolves to the secret, or null if 2FA is already
+    // enabled.
+    async begin(userId) {
+        const secret = generateSecret();
+
+        const result = await queryUsersDb(
+            'run',
+            `INSERT INTO two_factor (user_id, secret) VALUES (?, ?)
+             ON CONFLICT (user_id) DO UPDATE SET secret = excluded.secret, last_step = NULL, created_at = CURRENT_TIMESTAMP
+             WHERE two_factor.enabled_at IS NULL`,
+            [userId, secret]
+        );
+
+        return result.changes > 0 ? secret : null;
+    }
+
+    // Finish enrolling with a code from the app. Resolves to the new recovery
+    // codes, or null if the code is wrong or there is nothing to confirm.
+    async confirm(userId, code) {
+        const row = await this.get(userId);
+        if (!row || row.enabled_at) {
+            return null;
+        }
+
+        const step = verifyCode(row.secret, code);
+        if (step === null) {
+            return null;
+        }
+
+        const result = await queryUsersDb(
+            'run',
+            'UPDATE two_factor SET enabled_at = CURRENT_TIMESTAMP, last_step = ? WHERE user_id = ? AND enabled_at IS NULL',
+            [step, userId]
+        );
+        if (result.changes === 0) {
+            return null;
+        }
+
+        return this.replaceRecoveryCodes(userId);
+    }
+
+    // Issue a fresh set of recovery codes; earlier ones stop working.
+    // Resolves to the codes, which are not kept anywhere.
+    async replaceRecoveryCodes(userId) {
+        const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+
+        await queryUsersDb('run', 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+        await queryUsersDb(
+            'run',
+            `INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ${codes.map(() => '(?, ?)').join(', ')}`,
+            codes.flatMap(code => [userId, this.hashRecoveryCode(code)])
+        );
+
+        return codes;
+    }
+
+    async remainingRecoveryCodes(userId) {
+        const row = await queryUsersDb(
+            'get',
+            'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [userId]
+        );
+        return row.count;
+    }
+
+    // Check a code from the app, or use up a recovery code. Resolves to
+    // 'totp' or 'recovery', or null if neither matches. An app code is
+    // refused if it, or a later one, has been accepted before.
+    async verify(userId, code) {
+        const row = await this.get(userId);
+        if (!row || !row.enabled_at || !code) {
+            return null;
+        }
+
+        const step = verifyCode(row.secret, code);
+        if (step !== null) {
+            const result = await queryUsersDb(
+                'run',
+                'UPDATE two_factor SET last_step = ? WHERE user_id = ? AND (last_step IS NULL OR last_step < ?)',
+                [step, userId, step]
+            );
+            return result.changes > 0 ? 'totp' : null;
+        }
+
+        const result = await queryUsersDb(
+            'run',
+            `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+             WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+            [userId, this.hashRecoveryCode(code)]
+        );
+        return result.changes > 0 ? 'recovery' : null;
+    }
+
+    // Resolves to false if the user had no 2FA, enabled or pending
+    async disable(userId) {
+        await queryUsersDb('run', 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+        const result = await queryUsersDb('run', 'DELETE FROM two_factor WHERE user_id = ?', [userId]);
+        return result.changes > 0;
+    }
+
+    async getPolicies() {
+        return queryUsersDb('all', 'SELECT * FROM two_factor_policies ORDER BY role');
+    }
+
+    async isRequired(role) {
+        const policy = await queryUsersDb('get', 'SELECT required FROM two_factor_policies WHERE role = ?', [role]);
+        return Boolean(policy && policy.required);
+    }
+
+    async setRequired(role, required, updatedBy) {
+        return queryUsersDb(
+            'run',
+            `INSERT INTO two_factor_policies (role, required, updated_by) VALUES (?, ?, ?)
+             ON CONFLICT (role) DO UPDATE SET required = excluded.required, updated_by = excluded.updated_by,
+                 updated_at = CURRENT_TIMESTAMP`,
+            [role, required ? 1 : 0, updatedBy]
+        );
+    }
+
+    // Whether the user's role requires 2FA and they haven't enabled it yet
+    async setupRequired(userId, role) {
+        const row = await queryUsersDb(
+            'get',
+            `SELECT 1 AS pending FROM two_factor_policies p
+             WHERE p.role = ? AND p.required = 1 AND NOT EXISTS (
+                 SELECT 1 FROM two_factor t WHERE t.user_id = ? AND t.enabled_at IS NOT NULL
+             )`,
+            [role, userId]
+        );
+        return Boolean(row);
+    }
+}
+
+export default new TwoFactor();
@@ -2,11 +2,15 @@ import sqlite3 from 'sqlite3';
 import bcrypt from 'bcryptjs';
 import path from 'path';
 import fs from 'fs';
+import { runMigrations } from '../database/migrate.js';
+import { usersMigrations } from '../database/migrations.js';
+import { queryUsersDb } from '../database/usersDb.js';
 
 class User {
     constructor() {
         this.dbPath = './databases/users.db';
-        this.initializeUsersDb();
+        // Every query waits for the users.db migrations to finish
+        this.ready = this.initializeUsersDb();
     }
 
     initializeUsersDb() {
@@ -16,276 +20,191 @@ class User {
             fs.mkdirSync(dir, { recursive: true });
         }
 
+        // Its own connection: queryUsersDb waits for this to finish
         const db = new sqlite3.Database(this.dbPath);
+        db.configure('busyTimeout', 5000);
 
-        const schema = `
-            CREATE TABLE IF NOT EXISTS users (
-                 id INTEGER PRIMARY KEY AUTOINCREMENT,
-                 username TEXT UNIQUE NOT NULL,
-                 password_hash TEXT NOT NULL,
-                 name TEXT NOT NULL,
-                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                 last_login DATETIME,
-                 is_active BOOLEAN DEFAULT 1,
-                 role TEXT DEFAULT 'user' CHECK (role IN ('user', 'superadmin'))
-            );
-        `;
-
-        db.exec(schema, async (err) => {
-            if (err) {
+        return runMigrations(db, usersMigrations)
+            .then(() => this.createDefaultUsers(db))
+            .catch(err => {
                 console.error('Error initializing users database:', err);
-                db.close();
-                return;
-            }
+            })
+            .finally(() => db.close());
+    }
 
-            // Check if admin user exists, if not create it
-            db.get('SELECT id FROM users WHERE username = ?', ['admin'], async (err, user) => {
-                if (!user) {
-                    try {
-                        const hashedPassword = await bcrypt.hash('admin123', 10);
-                        db.run(
-                            'INSERT INTO users (id, username, password_hash, name, role) VALUES (?, ?, ?, ?, ?)',
-                            [1, 'admin', hashedPassword, 'Admin User', 'user'],
-                            (err) => {
-                                if (err) console.error('Error creating admin user:', err);
-
-                                // Check if mRashid superadmin exists
-                                db.get('SELECT id FROM users WHERE username = ?', ['mRashid'], async (err, superuser) => {
-                                    if (!superuser) {
-                                        const superHashedPassword = await bcrypt.hash('super123', 10);
-                                        db.run(
-                                            'INSERT INTO users (username, password_hash, name, role) VALUES (?, ?, ?, ?)',
-                                            ['mRashid', superHashedPassword, 'Super Admin', 'superadmin'],
-                                            (err) => {
-                                                if (err) console.error('Error creating superadmin user:', err);
-                                                db.close();
-                                            }
-                                        );
-                                    } else {
-                                        db.close();
-                                    }
-                                });
-                            }
-                        );
-                    } catch (error) {
-                        console.error('Error hashing password:', error);
-                        db.close();
-                    }
-                } else {
-                    // Ensure mRashid exists
-                    db.get('SELECT id FROM users WHERE username = ?', ['mRashid'], async (err, superuser) => {
-                        if (!superuser) {
-                            const superHashedPassword = await bcrypt.hash('super123', 10);
-                            db.run(
-                                'INSERT INTO users (username, password_hash, name, role) VALUES (?, ?, ?, ?)',
-                                ['mRashid', superHashedPassword, 'Super Admin', 'superadmin'],
-                                (err) => {
-                                    if (err) console.error('Error creating superadmin user:', err);
-                                }
-                            );
-                        }
-                    });
-                    db.close();
-                }
-            });
+    // Create the default admin and mRashid superadmin accounts if missing
+    async createDefaultUsers(db) {
+        const get = (sql, params) => new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
         });
+        const run = (sql, params) => new Promise((resolve, reject) => {
+            db.run(sql, params, (err) => err ? reject(err) : resolve());
+        });
+
+        // Check if admin user exists, if not create it
+        if (!await get('SELECT id FROM users WHERE username = ?', ['admin'])) {
+            const hashedPassword = await bcrypt.hash('admin123', 10);
+            await run(
+                'INSERT INTO users (id, username, password_hash, name, role) VALUES (?, ?, ?, ?, ?)',
+                [1, 'admin', hashedPassword, 'Admin User', 'user']
+            ).catch(err => console.error('Error creating admin user:', err));
+        }
+
+        // Ensure mRashid exists
+        if (!await get('SELECT id FROM users WHERE username = ?', ['mRashid'])) {
+            const superHashedPassword = await bcrypt.hash('super123', 10);
+            await run(
+                'INSERT INTO users (username, password_hash, name, role) VALUES (?, ?, ?, ?)',
+                ['mRashid', superHashedPassword, 'Super Admin', 'superadmin']
+            ).catch(err => console.error('Error creating superadmin user:', err));
+        }
+
+        // A default account still on its well-known password has to change it
+        // before it can do anything else
+        for (const [username, password] of [['admin', 'admin123'], ['mRashid', 'super123']]) {
+            const user = await get('SELECT id, password_hash, must_change_password FROM users WHERE username = ?', [username]);
+            if (user && !user.must_change_password && await bcrypt.compare(password, user.password_hash)) {
+                await run('UPDATE users SET must_change_password = 1 WHERE id = ?', [user.id]);
+            }
+        }
     }
 
     async authenticate(username, password) {
-        return new Promise((resolve, reject) => {
-            const db = new sqlite3.Database(this.dbPath);
-
-            db.get(
-                'SELECT * FROM users WHERE username = ? AND is_active = 1',
-                [username],
-                async (err, user) => {
-                    if (err) {
-                        db.close();
-                        return reject(err);
-                    }
-
-                    if (!user) {
-                        db.close();
-                        return resolve(null);
-                    }
-
-                    try {
-                        // For default admin user, check if password is 'admin123'
-                        if (user.id === 1 && password === 'admin123') {
-                            // Update password hash for default user
-                            const hashedPassword = await bcrypt.hash(password, 10);
-                            db.run(
-                                'UPDATE users SET password_hash = ?, last_login = CURRENT_TIMESTAMP WHERE id = ?',
-                                [hashedPassword, user.id],
-                                () => {
-                                    db.close();
-                                    resolve({
-                                        id: user.id,
-                                        username: user.username,
-                                        name: user.name,
-                                        role: user.role || 'user'
-                                    });
-                                }
-                            );
-                        } else {
-                            const isValid = await bcrypt.compare(password, user.password_hash);
-
-                            if (isValid) {
-                                // Update last login
-                                db.run(
-                                    'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
-                                    [user.id],
-                                    () => {
-                                        db.close();
-                                        resolve({
-                                            id: user.id,
-                                            username: user.username,
-                                            name: user.name,
-                                            role: user.role || 'user'
-                                        });
-                                    }
-                                );
-                            } else {
-                                db.close();
-                                resolve(null);
-                            }
-                        }
-                    } catch (error) {
-                        db.close();
-                        reject(error);
-                    }
-                }
-            );
-        });
+        const user = await queryUsersDb('get', 'SELECT * FROM users WHERE username = ? AND is_active = 1', [username]);
+
+        if (!user || !await bcrypt.compare(password, user.password_hash)) {
+            return null;
+        }
+
+        // Update last login
+        await queryUsersDb('run', 'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+
+        return {
+            id: user.id,
+            username: user.username,
+            name: user.name,
+            role: user.role || 'user',
+            must_change_password: user.must_change_password
+        };
     }
 
     async createUser(username, password, name) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const hashedPassword = await bcrypt.hash(password, 10);
-                const db = new sqlite3.Database(this.dbPath);
-
-                db.run(
-                    'INSERT INTO users (username, password_hash, name) VALUES (?, ?, ?)',
-                    [username, hashedPassword, name],
-                    function(err) {
-                        if (err) {
-                            db.close();
-                            if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-                                return reject(new Error('Username already exists'));
-                            }
-                            return reject(err);
-                        }
-
-                        db.close();
-                        resolve({
-                            id: this.lastID,
-                            username,
-                            name
-                        });
-                    }
-                );
-            } catch (error) {
-                reject(error);
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const result = await queryUsersDb(
+            'run',
+            'INSERT INTO users (username, password_hash, name) VALUES (?, ?, ?)',
+            [username, hashedPassword, name]
+        ).catch(err => {
+            // sqlite3 reports every constraint as SQLITE_CONSTRAINT
+            if (err.code === 'SQLITE_CONSTRAINT' && err.message.includes('UNIQUE constraint failed: users.username')) {
+                throw new Error('Username already exists');
             }
+            throw err;
         });
+
+        return {
+            id: result.lastID,
+            username,
+            name
+        };
     }
 
     async getUserById(id) {
-        return new Promise((resolve, reject) => {
-            const db = new sqlite3.Database(this.dbPath);
-
-            db.get(
-                'SELECT id, username, name, role, created_at, last_login FROM users WHERE id = ? AND is_active = 1',
-                [id],
-                (err, user) => {
-                    db.close();
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve(user);
-                }
-            );
-        });
+        return queryUsersDb(
+            'get',
+            'SELECT id, username, name, role, created_at, last_login, must_change_password FROM users WHERE id = ? AND is_active = 1',
+            [id]
+        );
+    }
+
+    // Like getUserById, but also finds deactivated users
+    async getUserRecord(id) {
+        return queryUsersDb(
+            'get',
+            'SELECT id, username, name, role, created_at, last_login, is_active, must_change_password FROM users WHERE id = ?',
+            [id]
+        );
+    }
+
+    // Check an active user's password without logging them in
+    async verifyPassword(id, password) {
+        const user = await queryUsersDb('get', 'SELECT password_hash FROM users WHERE id = ? AND is_active = 1', [id]);
+        return Boolean(user) && await bcrypt.compare(password, user.password_hash);
     }
 
     async getAllUsers() {
-        return new Promise((resolve, reject) => {
-            const db = new sqlite3.Database(this.dbPath);
-
-            db.all(
-                'SELECT id, username, name, role, created_at, last_login, is_active FROM users ORDER BY created_at DESC',
-                [],
-                (err, users) => {
-                    db.close();
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve(users);
-                }
-            );
-        });
+        return queryUsersDb(
+            'all',
+            'SELECT id, username, name, role, created_at, last_login, is_active, must_change_password FROM users ORDER BY created_at DESC'
+        );
     }
 
     async updateUser(id, updates) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const db = new sqlite3.Database(this.dbPath);
-                const { name, password, role, is_active } = updates;
-
-                let query = 'UPDATE users SET ';
-                const params = [];
-                const updateFields = [];
-
-                if (name !== undefined) {
-                    updateFields.push('name = ?');
-                    params.push(name);
-                }
-
-                if (password) {
-                    const hashedPassword = await bcrypt.hash(password, 10);
-                    updateFields.push('password_hash = ?');
-                    params.push(hashedPassword);
-                }
-
-                if (role !== undefined) {
-                    updateFields.push('role = ?');
-                    params.push(role);
-                }
-
-                if (is_active !== undefined) {
-                    updateFields.push('is_active = ?');
-                    params.push(is_active ? 1 : 0);
-                }
-
-                if (updateFields.length === 0) {
-                    db.close();
-                    return resolve({ success: false, message: 'No fields to update' });
-                }
-
-                query += updateFields.join(', ') + ' WHERE id = ?';
-                params.push(id);
-
-                db.run(query, params, function(err) {
-                    if (err) {
-                        db.close();
-                        return reject(err);
-                    }
-
-                    if (this.changes === 0) {
-                        db.close();
-                        return resolve({ success: false, message: 'User not found' });
-                    }
-
-                    db.close();
-                    resolve({ success: true, message: 'User updated successfully' });
-                });
-            } catch (error) {
-                reject(error);
-            }
-        });
+        const { name, password, role, is_active, must_change_password } = updates;
+
+        let query = 'UPDATE users SET ';
+        const params = [];
+        const updateFields = [];
+
+        if (name !== undefined) {
+            updateFields.push('name = ?');
+            params.push(name);
+        }
+
+        if (password) {
+            const hashedPassword = await bcrypt.hash(password, 10);
+            updateFields.push('password_hash = ?');
+            params.push(hashedPassword);
+        }
+
+        if (role !== undefined) {
+            updateFields.push('role = ?');
+            params.push(role);
+        }
+
+        if (is_active !== undefined) {
+            updateFields.push('is_active = ?');
+            params.push(is_active ? 1 : 0);
+        }
+
+        if (must_change_password !== undefined) {
+            updateFields.push('must_change_password = ?');
+            params.push(must_change_password ? 1 : 0);
+        }
+
+        if (updateFields.length === 0) {
+            return { success: false, message: 'No fields to update' };
+        }
+
+        query += updateFields.join(', ') + ' WHERE id = ?';
+        params.push(id);
+
+        // A new password, a different role or deactivation logs the
+        // user out of every session (see models/AuthSession.js)
+        const current = await queryUsersDb('get', 'SELECT role FROM users WHERE id = ?', [id]);
+        const revokeSessions = Boolean(password) ||
+            (role !== undefined && current && role !== current.role) ||
+            (is_active !== undefined && !is_active);
+
+        const result = await queryUsersDb('run', query, params);
+        if (result.changes === 0) {
+            return { success: false, message: 'User not found' };
+        }
+
+        if (revokeSessions) {
+            const reason = password ? 'password changed' : (is_active !== undefined && !is_active) ? 'user deactivated' : 'role changed';
+            await queryUsersDb(
+                'run',
+                `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+                 WHERE user_id = ? AND revoked_at IS NULL`,
+                [reason, id]
+            );
+        }
+
+        return { success: true, message: 'User updated successfully' };
     }
 
 }
 
-export default new User();
\ No newline at end of file
+export default new User();
@@ -0,0 +1,291 @@
+import express from 'express';
+import DatabaseManager from '../database/DatabaseManager.js';
+import { getUserId } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+const ACCOUNT_TYPES = ['cash', 'bank', 'mobile_wallet', 'other'];
+
+const formatAccount = (account) => ({
+    id: account.id,
+    name: account.name,
+    type: account.type,
+    openingBalance: parseFloat(account.opening_balance),
+    createdAt: account.created_at,
+    updatedAt: account.updated_at
+});
+
+// Get all accounts for a year
+router.get('/', async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const accounts = await DatabaseManager.all(db, 'SELECT * FROM accounts ORDER BY name');
+
+        res.json({
+            success: true,
+            data: accounts.map(formatAccount)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error fetching accounts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch accounts'
+        });
+    }
+});
+
+// Get running balance of every account at the end of a date
+router.get('/balances', async (req, res) => {
+    const userId = getUserId(req);
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+
+    if (isNaN(new Date(date).getTime())) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid date'
+        });
+    }
+
+    try {
+        const year = new Date(date).getFullYear();
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const balances = await DatabaseManager.all(
+            db,
+            `SELECT a.*,
+                COALESCE(SUM(CASE WHEN t.type = 'income' THEN t.amount END), 0) as income,
+                COALESCE(SUM(CASE WHEN t.type = 'expense' THEN t.amount END), 0) as expenses
+             FROM accounts a
+             LEFT JOIN transactions t ON t.account_id = a.id AND DATE(t.date) <= DATE(?) AND t.deleted_at IS NULL
+             GROUP BY a.id
+             ORDER BY a.name`,
+            [date]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                date,
+                accounts: balances.map(account => {
+                    const income = parseFloat(account.income);
+                    const expenses = parseFloat(account.expenses);
+                    const openingBalance = parseFloat(account.opening_balance);
+
+                    return {
+                        ...formatAccount(account),
+                        income,
+                        expenses,
+                        balance: openingBalance + income - expenses
+                    };
+                })
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error getting account balances:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get account balances'
+        });
+    }
+});
+
+// Add new account
+router.post('/', async (req, res) => {
+    const userId = getUserId(req);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const { name, type = 'cash', openingBalance = 0 } = req.body;
+
+    if (!name) {
+        return res.status(400).json({
+            success: false,
+            message: 'Name is required'
+        });
+    }
+
+    if (!ACCOUNT_TYPES.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            message: `Type must be one of: ${ACCOUNT_TYPES.join(', ')}`
+        });
+    }
+
+    if (isNaN(parseFloat(openingBalance))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Opening balance must be a number'
+        });
+    }
+
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const { lastID } = await DatabaseManager.run(
+            db,
+            'INSERT INTO accounts (name, type, opening_balance) VALUES (?, ?, ?)',
+            [name, type, parseFloat(openingBalance)]
+        );
+        const account = await DatabaseManager.get(db, 'SELECT * FROM accounts WHERE id = ?', [lastID]);
+
+        res.status(201).json({
+            success: true,
+            data: formatAccount(account)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error creating account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create account'
+        });
+    }
+});
+
+// Update account
+router.put('/:id', async (req, res) => {
+    const userId = getUserId(req);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const accountId = req.params.id;
+    const { name, type, openingBalance } = req.body;
+
+    if (!name) {
+        return res.status(400).json({
+            success: false,
+            message: 'Name is required'
+        });
+    }
+
+    if (type !== undefined && !ACCOUNT_TYPES.includes(type)) {
+        return res.status(400).json({
+            success: false,
+            message: `Type must be one of: ${ACCOUNT_TYPES.join(', ')}`
+        });
+    }
+
+    if (openingBalance !== undefined && isNaN(parseFloat(openingBalance))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Opening balance must be a number'
+        });
+    }
+
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const result = await DatabaseManager.run(
+            db,
+            `UPDATE accounts SET
+                name = ?,
+                type = COALESCE(?, type),
+                opening_balance = COALESCE(?, opening_balance),
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [name, type ?? null, openingBalance !== undefined ? parseFloat(openingBalance) : null, accountId]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        const account = await DatabaseManager.get(db, 'SELECT * FROM accounts WHERE id = ?', [accountId]);
+
+        res.json({
+            success: true,
+            data: formatAccount(account)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error updating account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update account'
+        });
+    }
+});
+
+// Delete account
+router.delete('/:id', async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+        const accountId = req.params.id;
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const account = await DatabaseManager.get(db, 'SELECT id FROM accounts WHERE id = ?', [accountId]);
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'Account not found'
+            });
+        }
+
+        // Check if account is used in transactions, counting those in the
+        // trash since they could still be restored
+        const result = await DatabaseManager.get(
+            db,
+            'SELECT COUNT(*) as count, COUNT(deleted_at) as trashed FROM transactions WHERE account_id = ?',
+            [accountId]
+        );
+
+        if (result.count > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot delete account. It is used in ${result.count} transaction(s)${result.trashed > 0 ? `, ${result.trashed} of them in the trash` : ''}`
+            });
+        }
+
+        await DatabaseManager.run(db, 'DELETE FROM accounts WHERE id = ?', [accountId]);
+
+        res.json({
+            success: true,
+            message: 'Account deleted successfully'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error deleting account:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete account'
+        });
+    }
+});
+
+export default router;
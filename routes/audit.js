@@ -0,0 +1,101 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { getUserId, hasPermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+const ENTITIES = ['transaction', 'transfer', 'category', 'user', 'year'];
+const ACTIONS = ['create', 'update', 'delete'];
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// Read the filters from the query string; returns { error } if one is invalid.
+// Roles that can read every user's books (superadmin, auditor) see every
+// user's entries unless ?userId narrows them; anyone else only sees the
+// changes made to their own data, whoever made them.
+const readFilters = (req) => {
+    const { actorId, entity, entityId, action, year, from, to } = req.query;
+
+    if (entity && !ENTITIES.includes(entity)) {
+        return { error: `Entity must be one of: ${ENTITIES.join(', ')}` };
+    }
+
+    if (action && !ACTIONS.includes(action)) {
+        return { error: `Action must be one of: ${ACTIONS.join(', ')}` };
+    }
+
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+        return { error: 'From and to must be dates in YYYY-MM-DD format' };
+    }
+
+    return {
+        filters: {
+            targetUserId: hasPermission(req.user, 'books:read:any') && !req.query.userId ? null : getUserId(req),
+            actorId: parseInt(actorId) || null,
+            entity: entity || null,
+            entityId: parseInt(entityId) || null,
+            action: action || null,
+            year: parseInt(year) || null,
+            from: from || null,
+            to: to || null
+        }
+    };
+};
+
+// Query the audit log, newest first. Filters: ?userId (the user whose data
+// changed, for roles that can read every user's books), ?actorId, ?entity,
+// ?entityId, ?action, ?year, ?from and ?to (inclusive dates), with ?page and
+// ?limit for paging.
+router.get('/', async (req, res) => {
+    const { filters, error } = readFilters(req);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = (page - 1) * limit;
+        const [entries, totalCount] = await Promise.all([
+            AuditLog.find(filters, limit, offset),
+            AuditLog.count(filters)
+        ]);
+
+        res.json({
+            success: true,
+            data: entries.map(entry => ({
+                id: entry.id,
+                actorId: entry.actor_id,
+                actorUsername: entry.actor_username,
+                userId: entry.target_user_id,
+                username: entry.target_username,
+                entity: entry.entity,
+                entityId: entry.entity_id,
+                year: entry.year,
+                action: entry.action,
+                before: entry.before_data,
+                after: entry.after_data,
+                createdAt: entry.created_at
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalCount / limit),
+                totalCount,
+                hasNextPage: offset + limit < totalCount,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch audit log'
+        });
+    }
+});
+
+export default router;
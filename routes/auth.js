@@ -1,11 +1,142 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import AuthSession from '../models/AuthSession.js';
+import AuditLog from '../models/AuditLog.js';
+import PasswordReset from '../models/PasswordReset.js';
+import TwoFactor from '../models/TwoFactor.js';
+import LoginThrottle from '../models/LoginThrottle.js';
+import { otpauthUrl } from '../utils/totp.js';
+import { authenticatePending, verifyAccessToken } from '../middleware/auth.js';
+import { permissionsFor } from '../middleware/permissions.js';
 
 const router = express.Router();
 
+// Access tokens are short-lived and tied to a session; the refresh token gets
+// a new one. Read on each call because .env is loaded after the imports.
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user.id, username: user.username, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+);
+
+// Open a session for the user and return the tokens for the response
+const startSession = async (req, user) => {
+    const { sessionId, refreshToken } = await AuthSession.create(user.id, {
+        userAgent: req.get('user-agent') || null,
+        ipAddress: req.ip
+    });
+
+    return {
+        token: signAccessToken(user, sessionId),
+        refreshToken,
+        expiresIn: accessTokenTtl()
+    };
+};
+
+// Response to a completed login: tokens for a new session and the user,
+// flagging any account setup the client should ask for before anything else
+const loginResponse = async (req, user) => ({
+    success: true,
+    ...await startSession(req, user),
+    user: {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role || 'user',
+        permissions: permissionsFor(user.role || 'user'),
+        mustChangePassword: Boolean(user.must_change_password),
+        twoFactorSetupRequired: await TwoFactor.setupRequired(user.id, user.role || 'user')
+    }
+});
+
+// A user with 2FA gets a challenge token after their password instead of a
+// session; POST /login/2fa exchanges it and a code for one
+const signChallengeToken = (user) => jwt.sign(
+    { userId: user.id, purpose: 'two-factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+);
+
+// Record 2FA being switched on or off for a user in the audit log
+const auditTwoFactor = async (actorId, userId, enabled) => {
+    const record = await User.getUserRecord(userId);
+    await AuditLog.record({
+        actorId,
+        targetUserId: userId,
+        entity: 'user',
+        entityId: userId,
+        action: 'update',
+        before: { ...record, twoFactorEnabled: !enabled },
+        after: { ...record, twoFactorEnabled: enabled }
+    });
+};
+
+// Refuse a login attempt for a username that has to wait, or is locked,
+// after failed attempts; see models/LoginThrottle.js
+const sendThrottled = (res, { locked, retryAfter }) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: locked
+            ? `Too many failed login attempts; the account is locked for ${Math.ceil(retryAfter / 60)} more minute(s)`
+            : `Too many failed login attempts; try again in ${retryAfter} second(s)`,
+        retryAfter
+    });
+};
+
+// Count a failed login; the response says so if it locked the username
+const sendLoginFailure = async (req, res, username, reason, message) => {
+    const next = await LoginThrottle.recordFailure(username, {
+        reason,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || null
+    });
+
+    if (next.locked) {
+        return sendThrottled(res, next);
+    }
+
+    return res.status(401).json({
+        success: false,
+        message
+    });
+};
+
+// Check the signed-in user's password before a sensitive change. Wrong
+// passwords count against the username like failed logins, so a stolen
+// session can't be used to guess it. Resolves to true when the password is
+// right; otherwise the response has already been sent.
+const confirmPassword = async (req, res, password) => {
+    const { username } = req.user;
+    const throttle = await LoginThrottle.reserve(username);
+
+    if (!throttle.allowed) {
+        sendThrottled(res, throttle);
+        return false;
+    }
+
+    try {
+        if (!password || !await User.verifyPassword(req.user.id, password)) {
+            await sendLoginFailure(req, res, username, 'invalid_password', 'Current password is incorrect');
+            return false;
+        }
+    } catch (error) {
+        await LoginThrottle.release(username).catch(() => {});
+        throw error;
+    }
+
+    await LoginThrottle.recordSuccess(username);
+    return true;
+};
+
 // Login endpoint
 router.post('/login', async (req, res) => {
+    // The username whose attempt this request has reserved, if any
+    let reserved = null;
+
     try {
         const { username, password } = req.body;
 
@@ -16,33 +147,103 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        const throttle = await LoginThrottle.reserve(username);
+
+        if (!throttle.allowed) {
+            return sendThrottled(res, throttle);
+        }
+        reserved = username;
+
         const user = await User.authenticate(username, password);
 
+        if (!user) {
+            return sendLoginFailure(req, res, username, 'invalid_credentials', 'Invalid credentials');
+        }
+
+        // The count is only cleared once the second step has passed too
+        if (await TwoFactor.isEnabled(user.id)) {
+            await LoginThrottle.release(username);
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(user)
+            });
+        }
+
+        await LoginThrottle.recordSuccess(username);
+        res.json(await loginResponse(req, user));
+    } catch (error) {
+        if (reserved) {
+            await LoginThrottle.release(reserved).catch(() => {});
+        }
+
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Second login step for users with 2FA: the challenge token from /login and
+// a code from the authenticator app or an unused recovery code
+router.post('/login/2fa', async (req, res) => {
+    let reserved = null;
+
+    try {
+        const { challengeToken, code } = req.body;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Challenge token and code are required'
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        } catch (error) {
+            decoded = null;
+        }
+
+        const user = decoded && decoded.purpose === 'two-factor' && await User.getUserById(decoded.userId);
+
         if (!user) {
             return res.status(401).json({
                 success: false,
-                message: 'Invalid credentials'
+                message: 'Invalid or expired challenge; please log in again'
             });
         }
 
-        const token = jwt.sign(
-            { userId: user.id, username: user.username },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Wrong codes count against the username like wrong passwords
+        const throttle = await LoginThrottle.reserve(user.username);
 
-        res.json({
-            success: true,
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                name: user.name,
-                role: user.role || 'user',
-            }
-        });
+        if (!throttle.allowed) {
+            return sendThrottled(res, throttle);
+        }
+        reserved = user.username;
+
+        const method = await TwoFactor.verify(user.id, code);
+
+        if (!method) {
+            return sendLoginFailure(req, res, user.username, 'invalid_two_factor_code', 'Invalid code');
+        }
+
+        await LoginThrottle.recordSuccess(user.username);
+        const response = await loginResponse(req, user);
+
+        if (method === 'recovery') {
+            response.recoveryCodesRemaining = await TwoFactor.remainingRecoveryCodes(user.id);
+        }
+
+        res.json(response);
     } catch (error) {
-        console.error('Login error:', error);
+        if (reserved) {
+            await LoginThrottle.release(reserved).catch(() => {});
+        }
+
+        console.error('Two-factor login error:', error);
         res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -71,15 +272,9 @@ router.post('/register', async (req, res) => {
 
         const user = await User.createUser(username, password, name);
 
-        const token = jwt.sign(
-            { userId: user.id, username: user.username },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
-
         res.status(201).json({
             success: true,
-            token,
+            ...await startSession(req, user),
             user: {
                 id: user.id,
                 username: user.username,
@@ -115,23 +310,27 @@ router.get('/verify', async (req, res) => {
             });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.getUserById(decoded.userId);
+        const verified = await verifyAccessToken(token);
 
-        if (!user) {
+        if (!verified) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid token'
             });
         }
 
+        const { user } = verified;
+
         res.json({
             success: true,
             user: {
                 id: user.id,
                 username: user.username,
                 name: user.name,
-                role: user.role || 'user'
+                role: user.role || 'user',
+                permissions: permissionsFor(user.role || 'user'),
+                mustChangePassword: Boolean(user.must_change_password),
+                twoFactorSetupRequired: await TwoFactor.setupRequired(user.id, user.role || 'user')
             }
         });
     } catch (error) {
@@ -143,4 +342,376 @@ router.get('/verify', async (req, res) => {
     }
 });
 
+// Exchange a refresh token for a new access token and refresh token. Each
+// refresh token works once; presenting a used one again logs out its session.
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const rotated = await AuthSession.rotate(refreshToken);
+        const user = rotated && await User.getUserById(rotated.session.user_id);
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            success: true,
+            token: signAccessToken(user, rotated.session.id),
+            refreshToken: rotated.refreshToken,
+            expiresIn: accessTokenTtl()
+        });
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Log out of one session, named by its refresh token or, failing that, by the
+// access token. Works with an expired access token as long as the refresh
+// token is sent.
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        let session = null;
+
+        if (refreshToken) {
+            session = await AuthSession.findByRefreshToken(refreshToken);
+        } else {
+            const token = req.headers.authorization?.split(' ')[1];
+            const verified = token ? await verifyAccessToken(token).catch(() => null) : null;
+            session = verified && verified.session;
+        }
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token'
+            });
+        }
+
+        await AuthSession.revoke(session.id);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Log the current user out of every session, this one included
+router.post('/logout-all', authenticatePending, async (req, res) => {
+    try {
+        const revoked = await AuthSession.revokeAllForUser(req.user.id);
+
+        res.json({
+            success: true,
+            message: `Logged out of ${revoked} session(s)`,
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Change the current user's password. Every session is logged out, this one
+// included, and the response carries tokens for a new one.
+router.post('/change-password', authenticatePending, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Current password and new password are required'
+            });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters long'
+            });
+        }
+
+        if (!await confirmPassword(req, res, currentPassword)) {
+            return;
+        }
+
+        if (newPassword === currentPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current password'
+            });
+        }
+
+        const before = await User.getUserRecord(req.user.id);
+        await User.updateUser(req.user.id, { password: newPassword, must_change_password: false });
+        const after = await User.getUserRecord(req.user.id);
+
+        await AuditLog.record({
+            actorId: req.user.id,
+            targetUserId: req.user.id,
+            entity: 'user',
+            entityId: req.user.id,
+            action: 'update',
+            before,
+            after: { ...after, passwordChanged: true }
+        });
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            ...await startSession(req, after)
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Set a new password with a reset token issued by a superadmin through
+// POST /api/users/:id/password-reset. Every session of the user is logged out.
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token and new password are required'
+            });
+        }
+
+        if (newPassword.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters long'
+            });
+        }
+
+        const userId = await PasswordReset.redeem(token);
+        const before = userId && await User.getUserById(userId) && await User.getUserRecord(userId);
+
+        if (!before) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        await User.updateUser(userId, { password: newPassword, must_change_password: false });
+        const after = await User.getUserRecord(userId);
+
+        await AuditLog.record({
+            actorId: userId,
+            targetUserId: userId,
+            entity: 'user',
+            entityId: userId,
+            action: 'update',
+            before,
+            after: { ...after, passwordChanged: true }
+        });
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully; please log in with the new password'
+        });
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error'
+        });
+    }
+});
+
+// Two-factor status for the current user
+router.get('/2fa', authenticatePending, async (req, res) => {
+    try {
+        const twoFactor = await TwoFactor.get(req.user.id);
+        const enabled = Boolean(twoFactor && twoFactor.enabled_at);
+
+        res.json({
+            success: true,
+            data: {
+                enabled,
+                enabledAt: enabled ? twoFactor.enabled_at : null,
+                pending: Boolean(twoFactor && !twoFactor.enabled_at),
+                required: await TwoFactor.isRequired(req.user.role),
+                recoveryCodesRemaining: enabled ? await TwoFactor.remainingRecoveryCodes(req.user.id) : 0
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch two-factor status'
+        });
+    }
+});
+
+// Start enrolling in 2FA. Returns the secret to add to an authenticator app,
+// as text and as an otpauth:// URI for a QR code; 2FA is enabled once a code
+// from the app is sent to /2fa/confirm.
+router.post('/2fa/setup', authenticatePending, async (req, res) => {
+    try {
+        if (!await confirmPassword(req, res, req.body.password)) {
+            return;
+        }
+
+        const secret = await TwoFactor.begin(req.user.id);
+
+        if (!secret) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const issuer = process.env.TOTP_ISSUER || 'Track My Money';
+
+        res.json({
+            success: true,
+            data: {
+                secret,
+                otpauthUrl: otpauthUrl(secret, req.user.username, issuer)
+            }
+        });
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup'
+        });
+    }
+});
+
+// Finish enrolling with a code from the app. The recovery codes are only
+// shown in this response.
+router.post('/2fa/confirm', authenticatePending, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Code is required'
+            });
+        }
+
+        const recoveryCodes = await TwoFactor.confirm(req.user.id, code);
+
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid code, or no two-factor setup in progress'
+            });
+        }
+
+        await auditTwoFactor(req.user.id, req.user.id, true);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        console.error('Error confirming two-factor setup:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm two-factor setup'
+        });
+    }
+});
+
+// Replace the current user's recovery codes; needs a current code
+router.post('/2fa/recovery-codes', authenticatePending, async (req, res) => {
+    try {
+        if (!await TwoFactor.verify(req.user.id, req.body.code)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid code'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { recoveryCodes: await TwoFactor.replaceRecoveryCodes(req.user.id) }
+        });
+    } catch (error) {
+        console.error('Error replacing recovery codes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to replace recovery codes'
+        });
+    }
+});
+
+// Turn off 2FA for the current user; needs the password and a current code.
+// Not allowed while the user's role requires 2FA.
+router.post('/2fa/disable', authenticatePending, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (await TwoFactor.isRequired(req.user.role)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is required for your role'
+            });
+        }
+
+        if (!await confirmPassword(req, res, password)) {
+            return;
+        }
+
+        if (!await TwoFactor.verify(req.user.id, code)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid code'
+            });
+        }
+
+        await TwoFactor.disable(req.user.id);
+        await auditTwoFactor(req.user.id, req.user.id, false);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication'
+        });
+    }
+});
+
 export default router;
\ No newline at end of file
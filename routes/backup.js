@@ -0,0 +1,329 @@
+import express from 'express';
+import fs from 'fs';
+import DatabaseManager from '../database/DatabaseManager.js';
+import User from '../models/User.js';
+import BackupLog from '../models/BackupLog.js';
+import AuditLog from '../models/AuditLog.js';
+import PeriodLock from '../models/PeriodLock.js';
+import { getUserId, hasPermission, requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// Retention applied after each backup unless the request overrides it.
+// Read on each call because .env is loaded after the routes are imported.
+export const defaultRetention = () => ({
+    keep: parseInt(process.env.BACKUP_KEEP) || 10,
+    maxAgeDays: parseInt(process.env.BACKUP_MAX_AGE_DAYS) || null
+});
+
+// How many scheduled copies to keep per year database
+export const scheduledRetention = () => ({
+    daily: parseInt(process.env.BACKUP_KEEP_DAILY) || 7,
+    weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY) || 4,
+    monthly: parseInt(process.env.BACKUP_KEEP_MONTHLY) || 12
+});
+
+// Read a retention override; returns { error } if a value is invalid
+const readRetention = ({ keep, maxAgeDays }) => {
+    const retention = defaultRetention();
+
+    if (keep !== undefined) {
+        if (!(parseInt(keep) >= 1)) {
+            return { error: 'Keep must be at least 1' };
+        }
+        retention.keep = parseInt(keep);
+    }
+
+    if (maxAgeDays !== undefined) {
+        if (maxAgeDays !== null && !(parseInt(maxAgeDays) >= 1)) {
+            return { error: 'Max age must be at least 1 day' };
+        }
+        retention.maxAgeDays = maxAgeDays === null ? null : parseInt(maxAgeDays);
+    }
+
+    return { retention };
+};
+
+// Take a scheduled backup of one year database and check the copy
+const backupYear = async (runId, userId, year) => {
+    try {
+        const backup = await DatabaseManager.backupDatabase(userId, year, { scheduled: true });
+        const problems = await DatabaseManager.checkBackupIntegrity(backup.fileName);
+
+        if (problems) {
+            // A damaged copy must not take the place of an older good one
+            DatabaseManager.deleteBackup(userId, backup.fileName);
+            await BackupLog.addResult(runId, { userId, year, status: 'corrupt', message: problems });
+            return false;
+        }
+
+        await BackupLog.addResult(runId, { userId, year, fileName: backup.fileName, size: backup.size, status: 'ok' });
+        return true;
+    } catch (error) {
+        console.error(`Error backing up database for user ${userId}, ${year}:`, error);
+        await BackupLog.addResult(runId, { userId, year, status: 'failed', message: error.message });
+        return false;
+    }
+};
+
+// Back up every active user's year databases that changed since their last
+// scheduled backup, then apply the scheduled retention policy
+const backupAll = async (runId) => {
+    const counts = { backedUp: 0, skipped: 0, failed: 0, pruned: 0 };
+    const users = (await User.getAllUsers()).filter(user => user.is_active === 1);
+
+    for (const user of users) {
+        const lastBackup = new Map();
+        for (const backup of DatabaseManager.listBackups(user.id).filter(b => b.scheduled)) {
+            if (!lastBackup.has(backup.year)) {
+                lastBackup.set(backup.year, new Date(backup.createdAt).getTime());
+            }
+        }
+
+        for (const year of DatabaseManager.getUserYears(user.id)) {
+            const modified = fs.statSync(DatabaseManager.getDbFilePath(user.id, year)).mtimeMs;
+
+            if (lastBackup.has(year) && modified <= lastBackup.get(year)) {
+                counts.skipped++;
+            } else if (await backupYear(runId, user.id, year)) {
+                counts.backedUp++;
+            } else {
+                counts.failed++;
+            }
+        }
+
+        counts.pruned += DatabaseManager.pruneScheduledBackups(user.id, scheduledRetention()).length;
+    }
+
+    return counts;
+};
+
+// Runs are queued one after another so two never back up the same file at once
+let queue = Promise.resolve();
+
+// Run a backup of all databases and record the results in the backup log.
+// trigger is 'schedule' or 'admin'. Returns the run's id and counts.
+export const runScheduledBackups = (trigger = 'schedule') => {
+    const run = queue.then(async () => {
+        const runId = await BackupLog.startRun(trigger);
+        let counts = { backedUp: 0, skipped: 0, failed: 0, pruned: 0 };
+
+        try {
+            counts = await backupAll(runId);
+        } catch (error) {
+            counts.failed++;
+            throw error;
+        } finally {
+            await BackupLog.finishRun(runId, { status: counts.failed > 0 ? 'failed' : 'ok', ...counts });
+        }
+
+        return { runId, ...counts };
+    });
+
+    queue = run.catch(() => {});
+    return run;
+};
+
+// List backups, newest first, optionally for ?year only
+router.get('/', (req, res) => {
+    try {
+        const backups = DatabaseManager.listBackups(getUserId(req), req.query.year || null);
+
+        res.json({
+            success: true,
+            data: backups
+        });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list backups'
+        });
+    }
+});
+
+// Delete old backups. Body: { keep, maxAgeDays }, defaulting to the
+// configured retention policy.
+router.post('/prune', requirePermission('backups:restore'), (req, res) => {
+    const { retention, error } = readRetention(req.body);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    try {
+        const deleted = DatabaseManager.pruneBackups(getUserId(req), retention);
+
+        res.json({
+            success: true,
+            data: { deleted, retention }
+        });
+    } catch (error) {
+        console.error('Error pruning backups:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to prune backups'
+        });
+    }
+});
+
+// Create a backup of a year's database, then apply the retention policy
+router.post('/:year', async (req, res) => {
+    const userId = getUserId(req);
+    const year = parseInt(req.params.year);
+
+    if (isNaN(year)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid year'
+        });
+    }
+
+    try {
+        const backup = await DatabaseManager.backupDatabase(userId, year);
+
+        if (!backup) {
+            return res.status(404).json({
+                success: false,
+                message: 'No database found for the specified year'
+            });
+        }
+
+        const pruned = DatabaseManager.pruneBackups(userId, defaultRetention());
+
+        res.json({
+            success: true,
+            message: 'Backup created successfully',
+            backupFile: backup.fileName,
+            data: { ...backup, pruned }
+        });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create backup'
+        });
+    }
+});
+
+// Download a backup file
+router.get('/files/:fileName', (req, res) => {
+    const backupFile = DatabaseManager.getBackupFilePath(getUserId(req), req.params.fileName);
+
+    if (!backupFile) {
+        return res.status(404).json({
+            success: false,
+            message: 'Backup not found'
+        });
+    }
+
+    res.download(backupFile, req.params.fileName, (error) => {
+        if (error && !res.headersSent) {
+            console.error('Error downloading backup:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to download backup'
+            });
+        }
+    });
+});
+
+// Why the user can't restore over a year's database, or null if they can. A
+// restore could bring back entries in a locked period or undo the year's
+// close, so it takes the permission to unlock or reopen the year.
+const restoreBlockedReason = async (user, userId, year) => {
+    if (DatabaseManager.getUserYears(userId).includes(year) && !hasPermission(user, 'years:reopen')) {
+        const db = DatabaseManager.getConnection(userId, year);
+        if (await DatabaseManager.get(db, 'SELECT 1 FROM year_close')) {
+            return `Year ${year} is closed`;
+        }
+    }
+
+    const locks = await PeriodLock.getForYear(userId, year);
+    if (locks.length > 0 && !hasPermission(user, 'periods:lock')) {
+        return `${locks.map(l => PeriodLock.describe(l.year, l.month)).join(', ')} ${locks.length > 1 ? 'are' : 'is'} locked`;
+    }
+
+    return null;
+};
+
+// Restore a year's database from a backup. The current database is backed
+// up first; its details are returned so the restore can be reversed.
+router.post('/files/:fileName/restore', requirePermission('backups:restore'), async (req, res) => {
+    const userId = getUserId(req);
+    const { fileName } = req.params;
+
+    if (!DatabaseManager.getBackupFilePath(userId, fileName)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Backup not found'
+        });
+    }
+
+    try {
+        const { year } = DatabaseManager.parseBackupFileName(fileName);
+        const blocked = await restoreBlockedReason(req.user, userId, year);
+
+        if (blocked) {
+            return res.status(409).json({
+                success: false,
+                message: `Year ${year} can't be restored from a backup: ${blocked}`
+            });
+        }
+
+        const previous = await DatabaseManager.restoreBackup(userId, fileName);
+        await AuditLog.record({
+            actorId: req.user.id,
+            targetUserId: userId,
+            entity: 'year',
+            entityId: year,
+            year,
+            action: 'update',
+            before: { backup: previous ? previous.fileName : null },
+            after: { restoredFrom: fileName }
+        });
+
+        res.json({
+            success: true,
+            message: 'Backup restored successfully',
+            data: {
+                restored: fileName,
+                previousBackup: previous ? previous.fileName : null
+            }
+        });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to restore backup'
+        });
+    }
+});
+
+// Delete a backup
+router.delete('/files/:fileName', (req, res) => {
+    try {
+        if (!DatabaseManager.deleteBackup(getUserId(req), req.params.fileName)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Backup not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Backup deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting backup:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete backup'
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,339 @@
+import express from 'express';
+import DatabaseManager from '../database/DatabaseManager.js';
+import { getUserId } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+const formatBudget = (budget) => ({
+    id: budget.id,
+    categoryId: budget.category_id,
+    categoryName: budget.category_name,
+    month: budget.month,
+    amount: parseFloat(budget.amount),
+    createdAt: budget.created_at,
+    updatedAt: budget.updated_at
+});
+
+const BUDGET_SELECT = `
+    SELECT b.*, c.name as category_name, c.type as category_type
+    FROM budgets b
+    JOIN categories c ON b.category_id = c.id
+`;
+
+// Round to cents so reports don't show floating point noise
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Get all budgets for a year
+router.get('/', async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const budgets = await DatabaseManager.all(db, `${BUDGET_SELECT} ORDER BY c.name, b.month`);
+
+        res.json({
+            success: true,
+            data: budgets.map(formatBudget)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error fetching budgets:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch budgets'
+        });
+    }
+});
+
+// Compare actual spending against budget per month and category
+router.get('/report', async (req, res) => {
+    const userId = getUserId(req);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const month = req.query.month !== undefined ? parseInt(req.query.month) : null;
+
+    if (month !== null && !(month >= 1 && month <= 12)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Month must be between 1 and 12'
+        });
+    }
+
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const budgets = await DatabaseManager.all(db, BUDGET_SELECT);
+
+        // Transfers are not spending, so they never count against a budget
+        const spending = await DatabaseManager.all(
+            db,
+            `SELECT category_id, CAST(strftime('%m', date) AS INTEGER) as month, SUM(amount) as total
+             FROM transactions
+             WHERE type = 'expense' AND transfer_id IS NULL AND deleted_at IS NULL AND strftime('%Y', date) = ?
+             GROUP BY category_id, strftime('%m', date)`,
+            [year.toString()]
+        );
+
+        const spent = new Map(spending.map(row => [`${row.category_id}_${row.month}`, parseFloat(row.total)]));
+        const months = month ? [month] : Array.from({ length: 12 }, (_, i) => i + 1);
+        const categoryIds = [...new Set(budgets.map(b => b.category_id))];
+
+        const report = months.map(m => {
+            const categories = categoryIds.map(categoryId => {
+                // A budget for the specific month wins over the every-month budget
+                const budget = budgets.find(b => b.category_id === categoryId && b.month === m)
+                    || budgets.find(b => b.category_id === categoryId && b.month === 0);
+
+                if (!budget) {
+                    return null;
+                }
+
+                const budgetAmount = parseFloat(budget.amount);
+                const spentAmount = spent.get(`${categoryId}_${m}`) || 0;
+
+                return {
+                    categoryId,
+                    categoryName: budget.category_name,
+                    budget: budgetAmount,
+                    spent: roundAmount(spentAmount),
+                    remaining: roundAmount(budgetAmount - spentAmount),
+                    percentUsed: budgetAmount > 0 ? roundAmount(spentAmount / budgetAmount * 100) : null,
+                    overBudget: spentAmount > budgetAmount
+                };
+            }).filter(Boolean);
+
+            const totalBudget = categories.reduce((sum, c) => sum + c.budget, 0);
+            const totalSpent = categories.reduce((sum, c) => sum + c.spent, 0);
+
+            return {
+                month: `${year}-${String(m).padStart(2, '0')}`,
+                categories,
+                totals: {
+                    budget: roundAmount(totalBudget),
+                    spent: roundAmount(totalSpent),
+                    remaining: roundAmount(totalBudget - totalSpent),
+                    overBudget: totalSpent > totalBudget
+                }
+            };
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error building budget report:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build budget report'
+        });
+    }
+});
+
+// Copy a year's budgets into the next year's database, matching categories by
+// name since category ids are per-file. Existing budgets in the next year are
+// kept unless overwrite is set.
+router.post('/rollover', async (req, res) => {
+    const userId = getUserId(req);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const overwrite = req.body.overwrite === true;
+
+    if (!DatabaseManager.getUserYears(userId).includes(year)) {
+        return res.status(404).json({
+            success: false,
+            message: 'No database found for the specified year'
+        });
+    }
+
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
+        const targetDb = DatabaseManager.getConnection(userId, year + 1);
+
+        const budgets = await DatabaseManager.all(db, BUDGET_SELECT);
+        const copied = [];
+        const skipped = [];
+
+        await DatabaseManager.withTransaction(targetDb, async () => {
+            for (const budget of budgets) {
+                const category = await DatabaseManager.get(
+                    targetDb,
+                    'SELECT id FROM categories WHERE name = ? AND type = ? ORDER BY is_default DESC, id LIMIT 1',
+                    [budget.category_name, budget.category_type]
+                );
+
+                if (!category) {
+                    skipped.push({ categoryName: budget.category_name, month: budget.month, reason: 'Category does not exist in the next year' });
+                    continue;
+                }
+
+                const result = await DatabaseManager.run(
+                    targetDb,
+                    `INSERT INTO budgets (category_id, month, amount) VALUES (?, ?, ?)
+                     ON CONFLICT (category_id, month) DO ${overwrite ? 'UPDATE SET amount = excluded.amount, updated_at = CURRENT_TIMESTAMP' : 'NOTHING'}`,
+                    [category.id, budget.month, budget.amount]
+                );
+
+                if (result.changes > 0) {
+                    copied.push({ categoryName: budget.category_name, month: budget.month });
+                } else {
+                    skipped.push({ categoryName: budget.category_name, month: budget.month, reason: 'Budget already set in the next year' });
+                }
+            }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                fromYear: year,
+                toYear: year + 1,
+                copied,
+                skipped
+            }
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error rolling over budgets:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to roll over budgets'
+        });
+    }
+});
+
+// Set the monthly budget for an expense category. Without a month (or with
+// month 0) the amount applies to every month of the year.
+router.put('/:categoryId', async (req, res) => {
+    const userId = getUserId(req);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const categoryId = req.params.categoryId;
+    const { amount } = req.body;
+    const month = req.body.month === undefined ? 0 : parseInt(req.body.month);
+
+    if (amount === undefined || isNaN(parseFloat(amount)) || parseFloat(amount) < 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Amount must be a number of 0 or more'
+        });
+    }
+
+    if (isNaN(month) || month < 0 || month > 12) {
+        return res.status(400).json({
+            success: false,
+            message: 'Month must be between 1 and 12, or 0 for every month'
+        });
+    }
+
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const category = await DatabaseManager.get(db, 'SELECT type FROM categories WHERE id = ?', [categoryId]);
+
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        if (category.type !== 'expense') {
+            return res.status(400).json({
+                success: false,
+                message: 'Budgets can only be set for expense categories'
+            });
+        }
+
+        await DatabaseManager.run(
+            db,
+            `INSERT INTO budgets (category_id, month, amount) VALUES (?, ?, ?)
+             ON CONFLICT (category_id, month) DO UPDATE SET amount = excluded.amount, updated_at = CURRENT_TIMESTAMP`,
+            [categoryId, month, parseFloat(amount)]
+        );
+
+        const budget = await DatabaseManager.get(
+            db,
+            `${BUDGET_SELECT} WHERE b.category_id = ? AND b.month = ?`,
+            [categoryId, month]
+        );
+
+        res.json({
+            success: true,
+            data: formatBudget(budget)
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error setting budget:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to set budget'
+        });
+    }
+});
+
+// Remove a category's budget, for every month or for ?month only
+router.delete('/:categoryId', async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+        const categoryId = req.params.categoryId;
+        const month = parseInt(req.query.month) || 0;
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const result = await DatabaseManager.run(
+            db,
+            'DELETE FROM budgets WHERE category_id = ? AND month = ?',
+            [categoryId, month]
+        );
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Budget deleted successfully'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error deleting budget:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete budget'
+        });
+    }
+});
+
+export default router;
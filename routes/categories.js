@@ -1,55 +1,52 @@
 import express from 'express';
 import DatabaseManager from '../database/DatabaseManager.js';
+import PeriodLock from '../models/PeriodLock.js';
+import AuditLog from '../models/AuditLog.js';
+import ChangeJournal from '../models/ChangeJournal.js';
+import RecurringTransaction from '../models/RecurringTransaction.js';
+import { TRANSFER_CATEGORY, TRANSFER_CATEGORY_RESERVED, isReservedCategoryName, isTransferCategory } from './transactions.js';
+import { authorize, getUserId } from '../middleware/permissions.js';
 
 const router = express.Router();
 
-// Helper to get userId from query or req.user
-const getUserId = (req) => {
-    // If superadmin and userId is provided in query, use that
-    if (req.user.role === 'superadmin' && req.query.userId) {
-        return parseInt(req.query.userId);
-    }
-    // Otherwise use the authenticated user's ID
-    return req.user.id;
-};
+// Record a change to one of the user's categories in the audit log
+const audit = (req, userId, entry) => AuditLog.record({ actorId: req.user.id, targetUserId: userId, entity: 'category', ...entry });
+
+export const formatCategory = (cat) => ({
+    id: cat.id,
+    name: cat.name,
+    type: cat.type,
+    isDefault: cat.is_default === 1,
+    createdAt: cat.created_at,
+    updatedAt: cat.updated_at
+});
 
 // Get all categories for current year
-router.get('/', (req, res) => {
+router.get('/', authorize('read'), async (req, res) => {
     const userId = getUserId(req);
-    const year = req.query.year || new Date().getFullYear();
-    const db = DatabaseManager.getConnection(userId, year);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
 
-    db.all(
-        'SELECT * FROM categories ORDER BY type, name',
-        [],
-        (err, categories) => {
-            if (err) {
-                console.error('Error fetching categories:', err);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to fetch categories'
-                });
-            }
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
+        const categories = await DatabaseManager.all(db, 'SELECT * FROM categories ORDER BY type, name');
 
-            res.json({
-                success: true,
-                data: categories.map(cat => ({
-                    id: cat.id,
-                    name: cat.name,
-                    type: cat.type,
-                    isDefault: cat.is_default === 1,
-                    createdAt: cat.created_at,
-                    updatedAt: cat.updated_at
-                }))
-            });
-        }
-    );
+        res.json({
+            success: true,
+            data: categories.map(formatCategory)
+        });
+    } catch (err) {
+        console.error('Error fetching categories:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch categories'
+        });
+    }
 });
 
 // Add new category
-router.post('/', (req, res) => {
+router.post('/', authorize('write'), async (req, res) => {
     const userId = getUserId(req);
-    const year = req.query.year || new Date().getFullYear();
+    const year = parseInt(req.query.year) || new Date().getFullYear();
     const { name, type } = req.body;
 
     if (!name || !type) {
@@ -66,54 +63,59 @@ router.post('/', (req, res) => {
         });
     }
 
-    const db = DatabaseManager.getConnection(userId, year);
+    if (isReservedCategoryName(name)) {
+        return res.status(400).json({
+            success: false,
+            message: `"${TRANSFER_CATEGORY}" is reserved for transfers between accounts`
+        });
+    }
 
-    db.run(
-        'INSERT INTO categories (name, type, is_default) VALUES (?, ?, 0)',
-        [name, type],
-        function(err) {
-            if (err) {
-                console.error('Error creating category:', err);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to create category'
-                });
-            }
+    const db = DatabaseManager.getConnection(userId, year);
+    let lastID;
 
-            // Fetch the created category
-            db.get(
-                'SELECT * FROM categories WHERE id = ?',
-                [this.lastID],
-                (err, category) => {
-                    if (err) {
-                        console.error('Error fetching created category:', err);
-                        return res.status(500).json({
-                            success: false,
-                            message: 'Category created but failed to fetch'
-                        });
-                    }
-
-                    res.status(201).json({
-                        success: true,
-                        data: {
-                            id: category.id,
-                            name: category.name,
-                            type: category.type,
-                            isDefault: category.is_default === 1,
-                            createdAt: category.created_at,
-                            updatedAt: category.updated_at
-                        }
-                    });
-                }
-            );
+    try {
+        ({ lastID } = await DatabaseManager.run(
+            db,
+            'INSERT INTO categories (name, type, is_default) VALUES (?, ?, 0)',
+            [name, type]
+        ));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({
+                success: false,
+                message: err.message
+            });
         }
-    );
+
+        console.error('Error creating category:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to create category'
+        });
+    }
+
+    try {
+        // Fetch the created category
+        const category = formatCategory(await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [lastID]));
+        await audit(req, userId, { entityId: category.id, year, action: 'create', after: category });
+
+        res.status(201).json({
+            success: true,
+            data: category
+        });
+    } catch (err) {
+        console.error('Error fetching created category:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Category created but failed to fetch'
+        });
+    }
 });
 
 // Update category
-router.put('/:id', (req, res) => {
+router.put('/:id', authorize('write'), async (req, res) => {
     const userId = getUserId(req);
-    const year = req.query.year || new Date().getFullYear();
+    const year = parseInt(req.query.year) || new Date().getFullYear();
     const categoryId = req.params.id;
     const { name } = req.body;
 
@@ -124,134 +126,454 @@ router.put('/:id', (req, res) => {
         });
     }
 
-    const db = DatabaseManager.getConnection(userId, year);
+    if (isReservedCategoryName(name)) {
+        return res.status(400).json({
+            success: false,
+            message: `"${TRANSFER_CATEGORY}" is reserved for transfers between accounts`
+        });
+    }
 
-    db.run(
-        'UPDATE categories SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [name, categoryId],
-        function(err) {
-            if (err) {
-                console.error('Error updating category:', err);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to update category'
-                });
-            }
+    if (!DatabaseManager.getUserYears(userId).includes(year)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Category not found'
+        });
+    }
 
-            if (this.changes === 0) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Category not found'
-                });
-            }
+    const db = DatabaseManager.getConnection(userId, year);
+    let before;
+    let changes;
 
-            // Fetch the updated category
-            db.get(
-                'SELECT * FROM categories WHERE id = ?',
-                [categoryId],
-                (err, category) => {
-                    if (err) {
-                        console.error('Error fetching updated category:', err);
-                        return res.status(500).json({
-                            success: false,
-                            message: 'Category updated but failed to fetch'
-                        });
-                    }
-
-                    res.json({
-                        success: true,
-                        data: {
-                            id: category.id,
-                            name: category.name,
-                            type: category.type,
-                            isDefault: category.is_default === 1,
-                            createdAt: category.created_at,
-                            updatedAt: category.updated_at
-                        }
-                    });
-                }
-            );
+    try {
+        before = await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [categoryId]);
+        if (before && isTransferCategory(before)) {
+            return res.status(400).json({
+                success: false,
+                message: `The ${TRANSFER_CATEGORY} category is reserved for transfers and cannot be renamed`
+            });
+        }
+
+        ({ changes } = await DatabaseManager.run(
+            db,
+            'UPDATE categories SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [name, categoryId]
+        ));
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({
+                success: false,
+                message: err.message
+            });
         }
+
+        console.error('Error updating category:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update category'
+        });
+    }
+
+    if (changes === 0) {
+        return res.status(404).json({
+            success: false,
+            message: 'Category not found'
+        });
+    }
+
+    try {
+        // Fetch the updated category
+        const category = formatCategory(await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [categoryId]));
+        await audit(req, userId, {
+            entityId: category.id,
+            year,
+            action: 'update',
+            before: formatCategory(before),
+            after: category
+        });
+        await ChangeJournal.record({
+            userId: req.user.id,
+            targetUserId: userId,
+            action: 'category.rename',
+            year,
+            entityId: category.id,
+            before: formatCategory(before),
+            after: category
+        });
+
+        res.json({
+            success: true,
+            data: category
+        });
+    } catch (err) {
+        console.error('Error fetching updated category:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Category updated but failed to fetch'
+        });
+    }
+});
+
+// Move every transaction (including those in the trash) and budget from one
+// category to another in the same year database, then delete the first. A
+// budget the target already has for a month is kept over the source's.
+// Resolves to the number of transactions moved.
+const mergeInto = (db, sourceId, targetId) => DatabaseManager.withTransaction(db, async () => {
+    const { changes } = await DatabaseManager.run(
+        db,
+        'UPDATE transactions SET category_id = ?, updated_at = CURRENT_TIMESTAMP WHERE category_id = ?',
+        [targetId, sourceId]
+    );
+    await DatabaseManager.run(
+        db,
+        `UPDATE budgets SET category_id = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE category_id = ? AND month NOT IN (SELECT month FROM budgets WHERE category_id = ?)`,
+        [targetId, sourceId, targetId]
     );
+    await DatabaseManager.run(db, 'DELETE FROM budgets WHERE category_id = ?', [sourceId]);
+    await DatabaseManager.run(db, 'DELETE FROM categories WHERE id = ?', [sourceId]);
+
+    return changes;
 });
 
-// Delete category
-router.delete('/:id', (req, res) => {
+// Find the category a merge or reassignment moves transactions to. Returns
+// { error, status } when it can't be used for the source.
+const findTarget = async (db, source, targetId) => {
+    if (!targetId) {
+        return { status: 400, error: 'Target category is required' };
+    }
+
+    if (String(targetId) === String(source.id)) {
+        return { status: 400, error: 'Target category must be a different category' };
+    }
+
+    const target = await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [targetId]);
+
+    if (!target) {
+        return { status: 404, error: 'Target category not found' };
+    }
+
+    if (target.type !== source.type) {
+        return { status: 400, error: 'Categories must be of the same type' };
+    }
+
+    if (isTransferCategory(target)) {
+        return { status: 400, error: TRANSFER_CATEGORY_RESERVED };
+    }
+
+    return { target };
+};
+
+// Why a year's categories can't change right now, or null if they can
+const changeBlockedReason = async (db, userId, year) => {
+    if (await DatabaseManager.get(db, 'SELECT 1 FROM year_close')) {
+        return `Year ${year} is closed`;
+    }
+
+    // Locked periods report against this year's categories, so they must stay
+    const locks = await PeriodLock.getForYear(userId, year);
+    if (locks.length > 0) {
+        return `${locks.map(l => PeriodLock.describe(l.year, l.month)).join(', ')} ${locks.length > 1 ? 'are' : 'is'} locked`;
+    }
+
+    return null;
+};
+
+// Delete category. With ?reassignTo=<category id> its transactions and
+// budgets move to that category of the same type first; otherwise a category
+// that is still used can't be deleted.
+router.delete('/:id', authorize('delete'), async (req, res) => {
     const userId = getUserId(req);
-    const year = req.query.year || new Date().getFullYear();
+    const year = parseInt(req.query.year) || new Date().getFullYear();
     const categoryId = req.params.id;
+    const { reassignTo } = req.query;
+
+    if (!DatabaseManager.getUserYears(userId).includes(year)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Category not found'
+        });
+    }
+
     const db = DatabaseManager.getConnection(userId, year);
+    let category;
+    let target = null;
+    let usage;
+
+    try {
+        // Check if category is default
+        category = await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [categoryId]);
+    } catch (err) {
+        console.error('Error checking category:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to check category'
+        });
+    }
+
+    if (!category) {
+        return res.status(404).json({
+            success: false,
+            message: 'Category not found'
+        });
+    }
+
+    if (category.is_default === 1) {
+        return res.status(400).json({
+            success: false,
+            message: 'Cannot delete default categories'
+        });
+    }
+
+    try {
+        const blocked = await changeBlockedReason(db, userId, year);
+
+        if (blocked) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot delete category while ${blocked}`
+            });
+        }
+
+        if (reassignTo !== undefined) {
+            const found = await findTarget(db, category, reassignTo);
 
-    // Check if category is default
-    db.get(
-        'SELECT is_default FROM categories WHERE id = ?',
-        [categoryId],
-        (err, category) => {
-            if (err) {
-                console.error('Error checking category:', err);
-                return res.status(500).json({
+            if (found.error) {
+                return res.status(found.status).json({
                     success: false,
-                    message: 'Failed to check category'
+                    message: found.error
                 });
             }
+            target = found.target;
+        }
+    } catch (err) {
+        console.error('Error checking category:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to check category'
+        });
+    }
 
-            if (!category) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Category not found'
-                });
+    if (!target) {
+        try {
+            // Check if category is used in transactions, counting those in the
+            // trash since they could still be restored
+            usage = await DatabaseManager.get(
+                db,
+                'SELECT COUNT(*) as count, COUNT(deleted_at) as trashed FROM transactions WHERE category_id = ?',
+                [categoryId]
+            );
+        } catch (err) {
+            console.error('Error checking category usage:', err);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to check category usage'
+            });
+        }
+
+        if (usage.count > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot delete category. It is used in ${usage.count} transaction(s)${usage.trashed > 0 ? `, ${usage.trashed} of them in the trash` : ''}; pass ?reassignTo to move them to another category`
+            });
+        }
+    }
+
+    try {
+        let transactionsMoved = 0;
+
+        if (target) {
+            transactionsMoved = await mergeInto(db, category.id, target.id);
+        } else {
+            // Delete category along with any budgets set for it
+            await DatabaseManager.run(db, 'DELETE FROM budgets WHERE category_id = ?', [categoryId]);
+            await DatabaseManager.run(db, 'DELETE FROM categories WHERE id = ?', [categoryId]);
+        }
+
+        await audit(req, userId, {
+            entityId: category.id,
+            year,
+            action: 'delete',
+            before: formatCategory(category),
+            after: target ? { mergedInto: formatCategory(target), transactionsMoved } : null
+        });
+
+        res.json({
+            success: true,
+            message: target
+                ? `Category deleted successfully; ${transactionsMoved} transaction(s) moved to "${target.name}"`
+                : 'Category deleted successfully',
+            ...(target && { data: { reassignedTo: formatCategory(target), transactionsMoved } })
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({
+                success: false,
+                message: err.message
+            });
+        }
+
+        console.error('Error deleting category:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete category'
+        });
+    }
+});
+
+// Merge a category into another of the same type. Body: { targetId }, both
+// ids from ?year. Every year database where a category with the source's name
+// and type exists is merged the same way: its transactions and budgets move
+// to the target's namesake, which the source is renamed to if that year has
+// none. Closed years and years with locked periods are skipped and reported,
+// unless it is ?year itself, which fails the request. The merge is not atomic
+// across years: each year commits separately, and one that fails after ?year
+// has merged is reported as failed and left unchanged. Recurring templates are
+// pointed at the target too. Needs the delete permission, as the source goes.
+router.post('/:id/merge', authorize('delete'), async (req, res) => {
+    const userId = getUserId(req);
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const years = DatabaseManager.getUserYears(userId).sort((a, b) => a - b);
+
+    if (!years.includes(year)) {
+        return res.status(404).json({
+            success: false,
+            message: 'Category not found'
+        });
+    }
+
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
+        const source = await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [req.params.id]);
+
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        if (source.is_default === 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot merge default categories'
+            });
+        }
+
+        const { target, error, status } = await findTarget(db, source, req.body.targetId);
+
+        if (error) {
+            return res.status(status).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const blocked = await changeBlockedReason(db, userId, year);
+        if (blocked) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot merge categories while ${blocked}`
+            });
+        }
+
+        const results = [];
+
+        for (const mergeYear of [year, ...years.filter(y => y !== year)]) {
+            const yearDb = DatabaseManager.getConnection(userId, mergeYear);
+            const yearSource = mergeYear === year ? source : await DatabaseManager.get(
+                yearDb,
+                'SELECT * FROM categories WHERE name = ? AND type = ? AND is_default = 0 ORDER BY id LIMIT 1',
+                [source.name, source.type]
+            );
+
+            if (!yearSource) {
+                continue;
             }
 
-            if (category.is_default === 1) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cannot delete default categories'
-                });
+            const reason = await changeBlockedReason(yearDb, userId, mergeYear);
+            if (reason) {
+                results.push({ year: mergeYear, status: 'skipped', reason });
+                continue;
             }
 
-            // Check if category is used in transactions
-            db.get(
-                'SELECT COUNT(*) as count FROM transactions WHERE category_id = ?',
-                [categoryId],
-                (err, result) => {
-                    if (err) {
-                        console.error('Error checking category usage:', err);
-                        return res.status(500).json({
-                            success: false,
-                            message: 'Failed to check category usage'
-                        });
-                    }
-
-                    if (result.count > 0) {
-                        return res.status(400).json({
-                            success: false,
-                            message: `Cannot delete category. It is used in ${result.count} transaction(s)`
-                        });
-                    }
-
-                    // Delete category
-                    db.run(
-                        'DELETE FROM categories WHERE id = ?',
-                        [categoryId],
-                        function(err) {
-                            if (err) {
-                                console.error('Error deleting category:', err);
-                                return res.status(500).json({
-                                    success: false,
-                                    message: 'Failed to delete category'
-                                });
-                            }
-
-                            res.json({
-                                success: true,
-                                message: 'Category deleted successfully'
-                            });
-                        }
+            // ?year is merged first, so its failing fails the request; any
+            // other year that fails is reported
+            try {
+                const yearTarget = mergeYear === year ? target : await DatabaseManager.get(
+                    yearDb,
+                    'SELECT * FROM categories WHERE name = ? AND type = ? AND id != ? ORDER BY is_default DESC, id LIMIT 1',
+                    [target.name, target.type, yearSource.id]
+                );
+
+                if (!yearTarget) {
+                    await DatabaseManager.run(
+                        yearDb,
+                        'UPDATE categories SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                        [target.name, yearSource.id]
                     );
+                    const renamed = await DatabaseManager.get(yearDb, 'SELECT * FROM categories WHERE id = ?', [yearSource.id]);
+                    await audit(req, userId, {
+                        entityId: yearSource.id,
+                        year: mergeYear,
+                        action: 'update',
+                        before: formatCategory(yearSource),
+                        after: formatCategory(renamed)
+                    });
+                    results.push({ year: mergeYear, status: 'renamed', categoryId: yearSource.id });
+                    continue;
                 }
-            );
+
+                const transactionsMoved = await mergeInto(yearDb, yearSource.id, yearTarget.id);
+                await audit(req, userId, {
+                    entityId: yearSource.id,
+                    year: mergeYear,
+                    action: 'delete',
+                    before: formatCategory(yearSource),
+                    after: { mergedInto: formatCategory(yearTarget), transactionsMoved }
+                });
+                results.push({ year: mergeYear, status: 'merged', categoryId: yearTarget.id, transactionsMoved });
+            } catch (err) {
+                if (mergeYear === year) {
+                    throw err;
+                }
+                if (!err.status) {
+                    console.error(`Error merging categories in ${mergeYear}:`, err);
+                }
+                results.push({ year: mergeYear, status: 'failed', reason: err.status ? err.message : 'Failed to merge categories' });
+            }
         }
-    );
+
+        results.sort((a, b) => a.year - b.year);
+        const changed = results.filter(r => r.status === 'merged' || r.status === 'renamed').length;
+        const templatesUpdated = await RecurringTransaction.renameCategory(userId, source.type, source.name, target.name);
+
+        res.json({
+            success: true,
+            message: changed === results.length
+                ? `Category "${source.name}" merged into "${target.name}"`
+                : `Category "${source.name}" merged into "${target.name}" in ${changed} of ${results.length} years; each year is merged on its own, and the years that were skipped or failed are unchanged`,
+            data: {
+                source: formatCategory(source),
+                target: formatCategory(target),
+                years: results,
+                transactionsMoved: results.reduce((sum, r) => sum + (r.transactionsMoved || 0), 0),
+                templatesUpdated
+            }
+        });
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({
+                success: false,
+                message: err.message
+            });
+        }
+
+        console.error('Error merging categories:', err);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to merge categories'
+        });
+    }
 });
 
-export default router;
\ No newline at end of file
+export default router;
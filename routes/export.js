@@ -0,0 +1,180 @@
+import express from 'express';
+import DatabaseManager from '../database/DatabaseManager.js';
+import { TRANSACTION_SELECT, computeStats, formatTransaction, resolveScope } from './transactions.js';
+import { formatCsvRow } from '../utils/csv.js';
+import { getUserId } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// Rows read from a year database per query while streaming
+const BATCH_SIZE = 500;
+
+// CSV columns, in the order the importer's default mapping expects.
+// transferId marks the two legs of a transfer, which the importer skips.
+const CSV_COLUMNS = ['date', 'type', 'amount', 'category', 'account', 'description', 'year', 'id', 'transferId'];
+
+// Write a chunk, waiting for the client to catch up when the buffer is full
+const write = (res, chunk) => {
+    if (res.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => res.once('drain', resolve));
+};
+
+// Name the download after the period it covers
+const exportFileName = (prefix, req, format) => {
+    const { startDate, endDate } = req.query;
+    const period = startDate && endDate
+        ? `${startDate}_${endDate}`
+        : String(parseInt(req.query.year) || new Date().getFullYear());
+    return `${prefix}_${period}.${format}`;
+};
+
+// Read transactions in date order one batch at a time, using the last
+// (date, id) seen as the starting point of the next batch, so memory use does
+// not grow with the size of the export.
+async function* readTransactions(userId, scope) {
+    const existingYears = DatabaseManager.getUserYears(userId);
+    const years = scope.years.filter(year => existingYears.includes(year)).sort((a, b) => a - b);
+
+    for (const year of years) {
+        const db = DatabaseManager.getConnection(userId, year);
+        let last = null;
+
+        while (true) {
+            const conditions = [...scope.conditions];
+            const params = [...scope.params];
+
+            if (last) {
+                conditions.push('(t.date > ? OR (t.date = ? AND t.id > ?))');
+                params.push(last.date, last.date, last.id);
+            }
+
+            const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+            const rows = await DatabaseManager.all(
+                db,
+                `${TRANSACTION_SELECT} ${where} ORDER BY t.date, t.id LIMIT ?`,
+                [...params, BATCH_SIZE]
+            );
+
+            for (const row of rows) {
+                yield formatTransaction(row, year);
+            }
+
+            if (rows.length < BATCH_SIZE) {
+                break;
+            }
+            last = rows[rows.length - 1];
+        }
+    }
+}
+
+// Export transactions as CSV or JSON, for ?year or a startDate/endDate window.
+// The output can be fed back to POST /api/import/transactions.
+router.get('/transactions', async (req, res) => {
+    const userId = getUserId(req);
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Format must be csv or json'
+        });
+    }
+
+    const scope = resolveScope(req, userId);
+
+    if (scope.error) {
+        return res.status(400).json({
+            success: false,
+            message: scope.error
+        });
+    }
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('transactions', req, format)}"`);
+
+    try {
+        let first = true;
+
+        await write(res, format === 'csv' ? formatCsvRow(CSV_COLUMNS) : '{"success":true,"data":[');
+
+        for await (const t of readTransactions(userId, scope)) {
+            // Stop reading if the client went away
+            if (res.destroyed) {
+                return;
+            }
+
+            if (format === 'csv') {
+                await write(res, formatCsvRow([
+                    t.date, t.type, t.amount, t.categoryName, t.accountName, t.description, t.year, t.id, t.transferId
+                ]));
+            } else {
+                await write(res, (first ? '' : ',') + JSON.stringify(t));
+            }
+            first = false;
+        }
+
+        res.end(format === 'csv' ? '' : ']}');
+    } catch (error) {
+        console.error('Error exporting transactions:', error);
+        // Headers are already sent, so cut the response short rather than
+        // let the client mistake a partial file for a complete one
+        res.destroy(error);
+    }
+});
+
+// Export statistics as CSV (one row per month) or JSON
+router.get('/stats', async (req, res) => {
+    const userId = getUserId(req);
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Format must be csv or json'
+        });
+    }
+
+    const scope = resolveScope(req, userId);
+
+    if (scope.error) {
+        return res.status(400).json({
+            success: false,
+            message: scope.error
+        });
+    }
+
+    try {
+        const existingYears = DatabaseManager.getUserYears(userId);
+        const stats = await computeStats(userId, {
+            ...scope,
+            years: scope.years.filter(year => existingYears.includes(year))
+        });
+
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('stats', req, format)}"`);
+
+        if (format === 'json') {
+            return res.json({
+                success: true,
+                data: stats
+            });
+        }
+
+        let csv = formatCsvRow(['month', 'income', 'expenses', 'net']);
+        for (const [month, { income, expenses }] of Object.entries(stats.monthlyStats)) {
+            csv += formatCsvRow([month, income, expenses, income - expenses]);
+        }
+        csv += formatCsvRow(['total', stats.totalIncome, stats.totalExpenses, stats.netBalance]);
+
+        res.type('text/csv; charset=utf-8').send(csv);
+    } catch (error) {
+        console.error('Error exporting statistics:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export statistics'
+        });
+    }
+});
+
+export default router;
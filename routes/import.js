@@ -0,0 +1,375 @@
+import express from 'express';
+import DatabaseManager from '../database/DatabaseManager.js';
+import PeriodLock from '../models/PeriodLock.js';
+import AuditLog from '../models/AuditLog.js';
+import ChangeJournal from '../models/ChangeJournal.js';
+import { formatCategory } from './categories.js';
+import { TRANSFER_CATEGORY_RESERVED, insertTransaction, isReservedCategoryName, validateTransaction } from './transactions.js';
+import { parseCsv } from '../utils/csv.js';
+import { getUserId } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+const audit = (req, userId, entry) => AuditLog.record({ actorId: req.user.id, targetUserId: userId, ...entry });
+
+// Column names used when no mapping is given; these match the export format
+const DEFAULT_MAPPING = {
+    date: 'date',
+    type: 'type',
+    amount: 'amount',
+    category: 'category',
+    account: 'account',
+    description: 'description',
+    transferId: 'transferId'
+};
+
+// Turn the mapping (header names or 0-based column numbers) into column indexes
+const resolveColumns = (mapping, headers) => {
+    const columns = {};
+    const errors = [];
+
+    for (const [field, column] of Object.entries(mapping)) {
+        if (column === null || column === undefined || column === '') {
+            continue;
+        }
+
+        if (Number.isInteger(column)) {
+            columns[field] = column;
+            continue;
+        }
+
+        const index = headers
+            ? headers.findIndex(h => h.trim().toLowerCase() === String(column).trim().toLowerCase())
+            : -1;
+
+        if (index !== -1) {
+            columns[field] = index;
+        } else if (mapping !== DEFAULT_MAPPING || ['date', 'amount', 'category'].includes(field)) {
+            errors.push(`Column "${column}" for ${field} not found`);
+        }
+    }
+
+    return { columns, errors };
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Keep ISO dates as written and normalize anything else Date can parse
+const normalizeDate = (value) => {
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        return value;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        return value;
+    }
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Read one CSV row into transaction fields. Without a type column the sign of
+// the amount decides: negative is an expense, positive is income.
+const readRow = (cells, columns) => {
+    const cell = (field) => columns[field] !== undefined ? (cells[columns[field]] || '').trim() : '';
+
+    const rawAmount = parseFloat(cell('amount').replace(/[,\s]/g, ''));
+    let type = cell('type').toLowerCase();
+
+    if (columns.type === undefined && !isNaN(rawAmount)) {
+        type = rawAmount < 0 ? 'expense' : 'income';
+    }
+
+    return {
+        amount: isNaN(rawAmount) ? null : Math.abs(rawAmount),
+        date: normalizeDate(cell('date')),
+        type,
+        categoryName: cell('category'),
+        accountName: cell('account'),
+        description: cell('description'),
+        transferId: cell('transferId')
+    };
+};
+
+// Import every row for one year inside a single transaction. Rows that fail
+// are reported and skipped; the rest are written unless this is a dry run.
+const importYear = async (db, year, rows, { dryRun, createMissingCategories }) => {
+    const categories = new Map();
+    const accounts = new Map();
+    const categoriesCreated = [];
+
+    const findCategory = async (name, type) => {
+        if (isReservedCategoryName(name)) {
+            throw Object.assign(new Error(TRANSFER_CATEGORY_RESERVED), { status: 400 });
+        }
+
+        const key = `${type}:${name.toLowerCase()}`;
+
+        if (!categories.has(key)) {
+            const category = await DatabaseManager.get(
+                db,
+                'SELECT id FROM categories WHERE name = ? COLLATE NOCASE AND type = ? ORDER BY is_default DESC, id LIMIT 1',
+                [name, type]
+            );
+
+            if (category) {
+                categories.set(key, category.id);
+            } else if (createMissingCategories) {
+                // A failed insert (for one, in a closed year) fails the row,
+                // like a transaction that can't be written, not the import
+                const { lastID } = await DatabaseManager.run(
+                    db,
+                    'INSERT INTO categories (name, type, is_default) VALUES (?, ?, 0)',
+                    [name, type]
+                ).catch(error => {
+                    throw Object.assign(new Error(`Category "${name}" (${type}) could not be created in ${year}: ${error.message}`), { status: error.status || 400 });
+                });
+                categories.set(key, lastID);
+                categoriesCreated.push({ year, id: lastID, name, type });
+            } else {
+                categories.set(key, null);
+            }
+        }
+
+        return categories.get(key);
+    };
+
+    const findAccount = async (name) => {
+        const key = name.toLowerCase();
+
+        if (!accounts.has(key)) {
+            const account = await DatabaseManager.get(
+                db,
+                'SELECT id FROM accounts WHERE name = ? COLLATE NOCASE ORDER BY id LIMIT 1',
+                [name]
+            );
+            accounts.set(key, account ? account.id : null);
+        }
+
+        return accounts.get(key);
+    };
+
+    for (const row of rows) {
+        const { fields } = row;
+
+        try {
+            const categoryId = await findCategory(fields.categoryName, fields.type);
+            if (!categoryId) {
+                row.errors.push(`Category "${fields.categoryName}" (${fields.type}) does not exist in ${year}`);
+                continue;
+            }
+
+            let accountId = null;
+            if (fields.accountName) {
+                accountId = await findAccount(fields.accountName);
+                if (!accountId) {
+                    row.errors.push(`Account "${fields.accountName}" does not exist in ${year}`);
+                    continue;
+                }
+            }
+
+            const transaction = await insertTransaction(db, year, {
+                amount: fields.amount,
+                date: fields.date,
+                type: fields.type,
+                categoryId,
+                accountId,
+                description: fields.description
+            });
+
+            if (!dryRun) {
+                row.id = transaction.id;
+                row.transaction = transaction;
+            }
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+            row.errors.push(error.message);
+        }
+    }
+
+    return categoriesCreated;
+};
+
+// Read transactions from a JSON export (the `data` array of GET /api/export/transactions?format=json)
+const readJsonTransaction = (t) => ({
+    amount: isNaN(parseFloat(t.amount)) ? null : Math.abs(parseFloat(t.amount)),
+    date: t.date ? normalizeDate(String(t.date)) : '',
+    type: t.type,
+    categoryName: t.categoryName || '',
+    accountName: t.accountName || '',
+    description: t.description || '',
+    transferId: t.transferId ? String(t.transferId) : ''
+});
+
+// Read the request body into transaction fields, one entry per input row.
+// Returns { error } when the input itself is unusable.
+const readInput = ({ csv, transactions, mapping, hasHeader = true }) => {
+    if (Array.isArray(transactions)) {
+        return { entries: transactions.map(readJsonTransaction), firstRow: 1 };
+    }
+
+    if (typeof csv !== 'string' || csv.trim() === '') {
+        return { error: 'CSV content or a transactions array is required' };
+    }
+
+    const records = parseCsv(csv);
+    const headers = hasHeader ? records.shift() : null;
+    const { columns, errors } = resolveColumns(mapping || DEFAULT_MAPPING, headers);
+
+    if (errors.length > 0) {
+        return { error: 'Invalid column mapping', errors };
+    }
+
+    for (const field of ['date', 'amount', 'category']) {
+        if (columns[field] === undefined) {
+            return { error: `Column mapping for ${field} is required` };
+        }
+    }
+
+    return { entries: records.map(cells => readRow(cells, columns)), firstRow: hasHeader ? 2 : 1 };
+};
+
+// Import transactions from CSV, or from the JSON export format.
+// Body: { csv, mapping?, hasHeader = true } or { transactions: [...] },
+// plus { dryRun = false, createMissingCategories = false }.
+// mapping maps date, type, amount, category, account, description and
+// transferId to a header name or a 0-based column number. Rows with a
+// transferId are the legs of an exported transfer and are skipped.
+router.post('/transactions', async (req, res) => {
+    const userId = getUserId(req);
+    const { dryRun = false, createMissingCategories = false } = req.body;
+
+    const input = readInput(req.body);
+
+    if (input.error) {
+        return res.status(400).json({
+            success: false,
+            message: input.error,
+            ...(input.errors && { errors: input.errors })
+        });
+    }
+
+    try {
+        const locks = await PeriodLock.getByUser(userId);
+
+        // Check each row the way POST /api/transactions does, then group by year
+        const rows = input.entries.map((fields, index) => {
+            // A transfer leg imported on its own would be a plain transaction
+            // that no longer moves money between accounts
+            if (fields.transferId) {
+                return {
+                    row: index + input.firstRow,
+                    fields,
+                    year: null,
+                    errors: [],
+                    skipped: `Part of transfer ${fields.transferId}; transfers are not imported, create it again with POST /api/transactions/transfers`
+                };
+            }
+
+            let error = validateTransaction({ ...fields, categoryId: fields.categoryName });
+            const lock = error ? null : PeriodLock.findCovering(locks, fields.date);
+
+            if (lock) {
+                error = `${PeriodLock.describe(lock.year, lock.month)} is locked`;
+            }
+
+            return {
+                row: index + input.firstRow,
+                fields,
+                year: error ? null : new Date(fields.date).getFullYear(),
+                errors: error ? [error] : []
+            };
+        });
+
+        const byYear = new Map();
+        for (const row of rows.filter(r => r.year !== null)) {
+            if (!byYear.has(row.year)) {
+                byYear.set(row.year, []);
+            }
+            byYear.get(row.year).push(row);
+        }
+
+        const existingYears = DatabaseManager.getUserYears(userId);
+        const categoriesCreated = [];
+        const options = { dryRun, createMissingCategories };
+
+        for (const [year, yearRows] of byYear) {
+            // A dry run must not create a database file for a new year
+            const scratch = dryRun && !existingYears.includes(year);
+            const db = scratch ? DatabaseManager.openScratchDatabase() : DatabaseManager.getConnection(userId, year);
+
+            try {
+                const created = await DatabaseManager.withTransaction(
+                    db,
+                    () => importYear(db, year, yearRows, options),
+                    { dryRun }
+                );
+                categoriesCreated.push(...created);
+            } finally {
+                if (scratch) {
+                    db.close();
+                }
+            }
+        }
+
+        const report = rows.map(r => ({
+            row: r.row,
+            status: r.skipped ? 'skipped' : r.errors.length > 0 ? 'error' : (dryRun ? 'valid' : 'imported'),
+            year: r.year,
+            id: r.id,
+            date: r.fields.date,
+            amount: r.fields.amount,
+            errors: r.errors,
+            ...(r.skipped && { reason: r.skipped })
+        }));
+        const succeeded = report.filter(r => ['valid', 'imported'].includes(r.status)).length;
+        const skipped = report.filter(r => r.status === 'skipped').length;
+
+        // Everything the import created is audited as if it had been added
+        // by hand, one entry per category and per transaction
+        if (!dryRun) {
+            for (const created of categoriesCreated) {
+                const db = DatabaseManager.getConnection(userId, created.year);
+                const category = formatCategory(await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [created.id]));
+                await audit(req, userId, { entity: 'category', entityId: category.id, year: created.year, action: 'create', after: category });
+            }
+            for (const { transaction } of rows.filter(r => r.transaction)) {
+                await audit(req, userId, { entity: 'transaction', entityId: transaction.id, year: transaction.year, action: 'create', after: transaction });
+            }
+        }
+
+        // The whole import can be undone; see routes/undo.js
+        if (!dryRun && succeeded > 0) {
+            await ChangeJournal.record({
+                userId: req.user.id,
+                targetUserId: userId,
+                action: 'import',
+                after: rows.filter(r => r.transaction).map(r => r.transaction)
+            });
+        }
+
+        res.status(dryRun ? 200 : 201).json({
+            success: true,
+            data: {
+                dryRun,
+                summary: {
+                    total: rows.length,
+                    [dryRun ? 'valid' : 'imported']: succeeded,
+                    skipped,
+                    failed: rows.length - succeeded - skipped,
+                    categoriesCreated
+                },
+                rows: report
+            }
+        });
+    } catch (error) {
+        console.error('Error importing transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import transactions'
+        });
+    }
+});
+
+export default router;
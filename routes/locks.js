@@ -0,0 +1,160 @@
+import express from 'express';
+import PeriodLock from '../models/PeriodLock.js';
+import { getUserId, requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+const formatLock = (lock) => ({
+    id: lock.id,
+    userId: lock.user_id,
+    year: lock.year,
+    month: lock.month || null,
+    period: PeriodLock.describe(lock.year, lock.month),
+    reason: lock.reason,
+    lockedBy: lock.locked_by,
+    lockedAt: lock.locked_at
+});
+
+// Read year and month (0 or missing for the whole year); returns { error }
+// when either is invalid
+const readPeriod = (year, month) => {
+    const parsedYear = parseInt(year);
+    const parsedMonth = month === undefined || month === null || month === '' ? 0 : parseInt(month);
+
+    if (!(parsedYear >= 1900 && parsedYear <= 9999)) {
+        return { error: 'Invalid year' };
+    }
+
+    if (!(parsedMonth >= 0 && parsedMonth <= 12)) {
+        return { error: 'Month must be between 1 and 12, or 0 for the whole year' };
+    }
+
+    return { year: parsedYear, month: parsedMonth };
+};
+
+// Get the locked periods for a user
+router.get('/', async (req, res) => {
+    try {
+        const locks = await PeriodLock.getByUser(getUserId(req));
+
+        res.json({
+            success: true,
+            data: locks.map(formatLock)
+        });
+    } catch (error) {
+        console.error('Error fetching period locks:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch period locks'
+        });
+    }
+});
+
+// History of lock changes, newest first; ?userId narrows it to one user
+// (SuperAdmin only)
+router.get('/history', requirePermission('periods:lock'), async (req, res) => {
+    try {
+        const events = await PeriodLock.getEvents({
+            userId: req.query.userId ? parseInt(req.query.userId) : null,
+            limit: Math.min(parseInt(req.query.limit) || 50, 200),
+            offset: parseInt(req.query.offset) || 0
+        });
+
+        res.json({
+            success: true,
+            data: events.map(event => ({
+                id: event.id,
+                userId: event.user_id,
+                year: event.year,
+                month: event.month || null,
+                period: PeriodLock.describe(event.year, event.month),
+                action: event.action,
+                reason: event.reason,
+                actorId: event.actor_id,
+                actorUsername: event.actor_username,
+                createdAt: event.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching period lock history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch period lock history'
+        });
+    }
+});
+
+// Lock a month or a whole year (SuperAdmin only). Body: { year, month, reason }
+router.post('/', requirePermission('periods:lock'), async (req, res) => {
+    const userId = getUserId(req);
+    const { year, month, error } = readPeriod(req.body.year, req.body.month);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    try {
+        const locked = await PeriodLock.lock(userId, year, month, req.user.id, req.body.reason);
+
+        if (!locked) {
+            return res.status(409).json({
+                success: false,
+                message: `${PeriodLock.describe(year, month)} is already locked`
+            });
+        }
+
+        const lock = (await PeriodLock.getForYear(userId, year)).find(l => l.month === month);
+
+        res.status(201).json({
+            success: true,
+            data: formatLock(lock)
+        });
+    } catch (error) {
+        console.error('Error locking period:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to lock period'
+        });
+    }
+});
+
+// Unlock a month, or the whole year when no month is given (SuperAdmin only).
+// An optional reason can be sent as ?reason.
+router.delete('/:year/:month?', requirePermission('periods:lock'), async (req, res) => {
+    const userId = getUserId(req);
+    const { year, month, error } = readPeriod(req.params.year, req.params.month);
+
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    try {
+        const unlocked = await PeriodLock.unlock(userId, year, month, req.user.id, req.query.reason);
+
+        if (!unlocked) {
+            return res.status(404).json({
+                success: false,
+                message: `${PeriodLock.describe(year, month)} is not locked`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${PeriodLock.describe(year, month)} unlocked successfully`
+        });
+    } catch (error) {
+        console.error('Error unlocking period:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlock period'
+        });
+    }
+});
+
+export default router;
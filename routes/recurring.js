@@ -0,0 +1,470 @@
+import express from 'express';
+import DatabaseManager from '../database/DatabaseManager.js';
+import RecurringTransaction from '../models/RecurringTransaction.js';
+import { TRANSFER_CATEGORY_RESERVED, createTransaction, isTransferCategory, validateTransaction } from './transactions.js';
+import { getUserId } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const formatRecurring = (template) => ({
+    id: template.id,
+    amount: parseFloat(template.amount),
+    type: template.type,
+    categoryName: template.category_name,
+    accountName: template.account_name,
+    description: template.description || '',
+    frequency: template.frequency,
+    interval: template.interval_count,
+    startDate: template.start_date,
+    endDate: template.end_date,
+    maxOccurrences: template.max_occurrences,
+    occurrencesCreated: template.occurrences_created,
+    nextDate: nextOccurrence(template),
+    lastError: template.last_error,
+    isActive: template.is_active === 1,
+    createdAt: template.created_at,
+    updatedAt: template.updated_at
+});
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const today = () => toDateString(new Date());
+
+// A YYYY-MM-DD string naming a day that exists, so 2025-02-30 is refused
+const isDateString = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && toDateString(date) === value;
+};
+
+// A whole number of 1 or more, given as a number or a string of digits
+const isPositiveInteger = (value) => /^\d+$/.test(String(value)) && parseInt(value) >= 1;
+
+// Check the schedule fields of a new or edited template. endDate and count
+// may be null, for a schedule without an end. Returns an error message, or
+// null when the schedule is valid.
+const validateSchedule = ({ startDate, endDate, interval, count }) => {
+    if (!isDateString(startDate)) {
+        return 'Start date must be a valid date in YYYY-MM-DD format';
+    }
+
+    if (interval !== undefined && !isPositiveInteger(interval)) {
+        return 'Interval must be a whole number of at least 1';
+    }
+
+    if (endDate !== undefined && endDate !== null) {
+        if (!isDateString(endDate)) {
+            return 'End date must be a valid date in YYYY-MM-DD format';
+        }
+        if (endDate < startDate) {
+            return 'End date must be on or after the start date';
+        }
+    }
+
+    if (count !== undefined && count !== null && !isPositiveInteger(count)) {
+        return 'Count must be a whole number of at least 1';
+    }
+
+    return null;
+};
+
+// Date of the nth occurrence (0-based) of a schedule. Monthly and yearly
+// schedules keep the start day, falling back to the last day of shorter months.
+// Null when the stored start date can't be read.
+const occurrenceDate = (template, n) => {
+    const start = template.start_date.slice(0, 10);
+    if (!isDateString(start)) {
+        return null;
+    }
+
+    const [year, month, day] = start.split('-').map(Number);
+    const step = n * template.interval_count;
+
+    if (template.frequency === 'daily' || template.frequency === 'weekly') {
+        const days = template.frequency === 'weekly' ? step * 7 : step;
+        return toDateString(new Date(Date.UTC(year, month - 1, day + days)));
+    }
+
+    const totalMonths = (month - 1) + (template.frequency === 'monthly' ? step : step * 12);
+    const targetYear = year + Math.floor(totalMonths / 12);
+    const targetMonth = totalMonths % 12;
+    const lastDay = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+
+    return toDateString(new Date(Date.UTC(targetYear, targetMonth, Math.min(day, lastDay))));
+};
+
+// Whether the nth occurrence is still within the schedule's end date and count
+const withinSchedule = (template, n, date) => {
+    if (template.max_occurrences && n >= template.max_occurrences) {
+        return false;
+    }
+    return !template.end_date || date <= template.end_date.slice(0, 10);
+};
+
+const nextOccurrence = (template) => {
+    const n = template.occurrences_created;
+    const date = occurrenceDate(template, n);
+    return date && withinSchedule(template, n, date) ? date : null;
+};
+
+// Create one occurrence in its year's database, resolving the template's
+// category and account by name. Returns false if it already existed.
+const createOccurrence = async (template, date) => {
+    const db = DatabaseManager.getConnection(template.user_id, new Date(date).getFullYear());
+
+    const category = await DatabaseManager.get(
+        db,
+        'SELECT id FROM categories WHERE name = ? AND type = ? ORDER BY is_default DESC, id LIMIT 1',
+        [template.category_name, template.type]
+    );
+    if (!category) {
+        throw new Error(`Category "${template.category_name}" does not exist in ${date.slice(0, 4)}`);
+    }
+
+    let accountId = null;
+    if (template.account_name) {
+        const account = await DatabaseManager.get(
+            db,
+            'SELECT id FROM accounts WHERE name = ? ORDER BY id LIMIT 1',
+            [template.account_name]
+        );
+        if (!account) {
+            throw new Error(`Account "${template.account_name}" does not exist in ${date.slice(0, 4)}`);
+        }
+        accountId = account.id;
+    }
+
+    try {
+        await createTransaction(template.user_id, {
+            amount: template.amount,
+            date,
+            type: template.type,
+            categoryId: category.id,
+            accountId,
+            description: template.description,
+            recurringId: template.id
+        });
+        return true;
+    } catch (error) {
+        // The unique index on (recurring_id, recurring_date) makes re-runs safe.
+        // A closed year also raises a constraint error, but that one carries a status.
+        if (error.code === 'SQLITE_CONSTRAINT' && !error.status) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Create every occurrence of a template that is due by `until`
+const materializeTemplate = async (template, until) => {
+    let n = template.occurrences_created;
+    let created = 0;
+
+    try {
+        let date = occurrenceDate(template, n);
+        if (!date) {
+            throw new Error(`Invalid start date "${template.start_date}"`);
+        }
+
+        while (date <= until && withinSchedule(template, n, date)) {
+            if (await createOccurrence(template, date)) {
+                created++;
+            }
+            date = occurrenceDate(template, ++n);
+        }
+        await RecurringTransaction.setProgress(template.id, n);
+    } catch (error) {
+        console.error(`Error materializing recurring transaction ${template.id}:`, error);
+        await RecurringTransaction.setProgress(template.id, n, error.message);
+    }
+
+    return created;
+};
+
+// Runs are queued one after another so two never work on the same template
+let queue = Promise.resolve();
+
+// Create all due recurring transactions, optionally for one user only.
+// Returns the number of transactions created.
+export const materializeRecurring = (userId = null) => {
+    const run = queue.then(async () => {
+        const templates = await RecurringTransaction.getActive();
+        const until = today();
+        let created = 0;
+
+        for (const template of templates) {
+            if (userId === null || template.user_id === userId) {
+                created += await materializeTemplate(template, until);
+            }
+        }
+
+        return created;
+    });
+
+    queue = run.catch(() => {});
+    return run;
+};
+
+// Get all recurring transactions
+router.get('/', async (req, res) => {
+    try {
+        const templates = await RecurringTransaction.getByUser(getUserId(req));
+
+        res.json({
+            success: true,
+            data: templates.map(formatRecurring)
+        });
+    } catch (error) {
+        console.error('Error fetching recurring transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch recurring transactions'
+        });
+    }
+});
+
+// List upcoming occurrences that have not been created yet, up to ?until
+// (default 30 days ahead)
+router.get('/preview', async (req, res) => {
+    const until = req.query.until || toDateString(new Date(Date.now() + 30 * 24 * 60 * 60 * 1000));
+    const limit = parseInt(req.query.limit) || 100;
+
+    if (isNaN(new Date(until).getTime())) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid until date'
+        });
+    }
+
+    try {
+        const templates = await RecurringTransaction.getByUser(getUserId(req));
+        const occurrences = [];
+
+        for (const template of templates.filter(t => t.is_active === 1)) {
+            let n = template.occurrences_created;
+            let date = occurrenceDate(template, n);
+
+            while (date && date <= until && withinSchedule(template, n, date) && n - template.occurrences_created < limit) {
+                occurrences.push({
+                    recurringId: template.id,
+                    date,
+                    amount: parseFloat(template.amount),
+                    type: template.type,
+                    categoryName: template.category_name,
+                    accountName: template.account_name,
+                    description: template.description || ''
+                });
+                date = occurrenceDate(template, ++n);
+            }
+        }
+
+        occurrences.sort((a, b) => a.date.localeCompare(b.date) || a.recurringId - b.recurringId);
+
+        res.json({
+            success: true,
+            data: occurrences.slice(0, limit)
+        });
+    } catch (error) {
+        console.error('Error previewing recurring transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview recurring transactions'
+        });
+    }
+});
+
+// Create the user's due occurrences now instead of waiting for the scheduler
+router.post('/run', async (req, res) => {
+    try {
+        const created = await materializeRecurring(getUserId(req));
+
+        res.json({
+            success: true,
+            data: { created }
+        });
+    } catch (error) {
+        console.error('Error running recurring transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run recurring transactions'
+        });
+    }
+});
+
+// Add new recurring transaction. categoryId and accountId refer to the
+// database of the start date's year.
+router.post('/', async (req, res) => {
+    const userId = getUserId(req);
+    const { amount, type, categoryId, accountId, description, frequency, interval = 1, startDate, endDate, count } = req.body;
+
+    const validationError = validateTransaction({ amount, date: startDate, type, categoryId })
+        || validateSchedule({ startDate, endDate: endDate || null, interval, count });
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            message: validationError
+        });
+    }
+
+    if (!FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({
+            success: false,
+            message: `Frequency must be one of: ${FREQUENCIES.join(', ')}`
+        });
+    }
+
+    try {
+        const db = DatabaseManager.getConnection(userId, new Date(startDate).getFullYear());
+
+        const category = await DatabaseManager.get(db, 'SELECT name, type, is_default FROM categories WHERE id = ?', [categoryId]);
+        if (!category) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid category'
+            });
+        }
+
+        if (isTransferCategory(category)) {
+            return res.status(400).json({
+                success: false,
+                message: TRANSFER_CATEGORY_RESERVED
+            });
+        }
+
+        let account = null;
+        if (accountId) {
+            account = await DatabaseManager.get(db, 'SELECT name FROM accounts WHERE id = ?', [accountId]);
+            if (!account) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid account'
+                });
+            }
+        }
+
+        const template = await RecurringTransaction.create(userId, {
+            amount,
+            type,
+            categoryName: category.name,
+            accountName: account ? account.name : null,
+            description,
+            frequency,
+            interval: parseInt(interval),
+            startDate,
+            endDate: endDate || null,
+            maxOccurrences: count ? parseInt(count) : null
+        });
+
+        // Catch up on occurrences that are already due
+        await materializeRecurring(userId);
+
+        res.status(201).json({
+            success: true,
+            data: formatRecurring(await RecurringTransaction.getById(template.id))
+        });
+    } catch (error) {
+        console.error('Error creating recurring transaction:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create recurring transaction'
+        });
+    }
+});
+
+// Update recurring transaction. The schedule itself is fixed once created;
+// amount, description, end date, count and active state can change and only
+// affect occurrences that have not been created yet.
+router.put('/:id', async (req, res) => {
+    try {
+        const template = await RecurringTransaction.getById(req.params.id);
+
+        if (!template || template.user_id !== getUserId(req)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring transaction not found'
+            });
+        }
+
+        const { amount, description, endDate, count, isActive } = req.body;
+
+        if (amount !== undefined && !(parseFloat(amount) > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Amount must be greater than 0'
+            });
+        }
+
+        // null or an empty string clears the end date or count
+        const newEndDate = endDate === '' ? null : endDate;
+        const newCount = count === '' ? null : count;
+        const scheduleError = validateSchedule({
+            startDate: template.start_date.slice(0, 10),
+            endDate: newEndDate,
+            count: newCount
+        });
+
+        if (scheduleError) {
+            return res.status(400).json({
+                success: false,
+                message: scheduleError
+            });
+        }
+
+        const result = await RecurringTransaction.update(template.id, {
+            amount,
+            description,
+            endDate: newEndDate,
+            maxOccurrences: newCount ? parseInt(newCount) : newCount,
+            isActive
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: formatRecurring(await RecurringTransaction.getById(template.id))
+        });
+    } catch (error) {
+        console.error('Error updating recurring transaction:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update recurring transaction'
+        });
+    }
+});
+
+// Delete recurring transaction. Occurrences already created are kept.
+router.delete('/:id', async (req, res) => {
+    try {
+        const template = await RecurringTransaction.getById(req.params.id);
+
+        if (!template || template.user_id !== getUserId(req)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring transaction not found'
+            });
+        }
+
+        await RecurringTransaction.delete(template.id);
+
+        res.json({
+            success: true,
+            message: 'Recurring transaction deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting recurring transaction:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete recurring transaction'
+        });
+    }
+});
+
+export default router;
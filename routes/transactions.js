@@ -1,442 +1,1628 @@
 import express from 'express';
 import DatabaseManager from '../database/DatabaseManager.js';
+import PeriodLock from '../models/PeriodLock.js';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import ChangeJournal from '../models/ChangeJournal.js';
+import { authorize, canAccess, getUserId } from '../middleware/permissions.js';
 
-// Helper to get userId from query or req.user
-const getUserId = (req) => {
-    // If superadmin and userId is provided in query, use that
-    if (req.user.role === 'superadmin' && req.query.userId) {
-        return parseInt(req.query.userId);
+// Helper to shape a transaction row for the API
+export const formatTransaction = (t, year) => ({
+    id: t.id,
+    year,
+    amount: parseFloat(t.amount),
+    date: t.date,
+    type: t.type,
+    categoryId: t.category_id,
+    categoryName: t.category_name,
+    accountId: t.account_id ?? null,
+    accountName: t.account_name ?? null,
+    transferId: t.transfer_id ?? null,
+    description: t.description || '',
+    createdAt: t.created_at,
+    updatedAt: t.updated_at
+});
+
+// Transactions joined with their category and account names
+export const TRANSACTION_SELECT = `
+    SELECT t.*, c.name as category_name, c.type as category_type, a.name as account_name
+    FROM transactions t
+    LEFT JOIN categories c ON t.category_id = c.id
+    LEFT JOIN accounts a ON t.account_id = a.id
+`;
+
+// Fields the transaction list can be sorted by: the SQL column used inside
+// each year database and the formatted field used to merge across years
+const SORT_OPTIONS = {
+    date: { column: 't.date', field: 'date' },
+    amount: { column: 't.amount', field: 'amount' },
+    type: { column: 't.type', field: 'type' },
+    category: { column: 'category_name', field: 'categoryName' },
+    description: { column: 't.description', field: 'description' },
+    createdAt: { column: 't.created_at', field: 'createdAt' }
+};
+
+// Merge order matching the ORDER BY used in each database; ids only break
+// ties within the same year database
+const compareTransactions = ({ field, direction }) => (a, b) => {
+    const sign = direction === 'ASC' ? 1 : -1;
+    const x = a[field] ?? '';
+    const y = b[field] ?? '';
+
+    if (x !== y) return (x < y ? -1 : 1) * sign;
+    if (a.year !== b.year) return (a.year - b.year) * sign;
+    return (a.id - b.id) * sign;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Reduce a date to YYYY-MM-DD so it can be compared with stored dates as text
+const toDateOnly = (value) => {
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        return value.slice(0, 10);
+    }
+    const date = new Date(value);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const nextDay = (dateOnly) => {
+    const [year, month, day] = dateOnly.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+// ?categoryId=1&categoryId=2, ?categoryIds=1,2 or a mix of both
+const parseIdList = (...values) => values
+    .flat()
+    .filter(value => value !== undefined && value !== '')
+    .flatMap(value => String(value).split(','))
+    .map(id => parseInt(id));
+
+// Work out which year databases a request reads from and the filters that
+// apply in each. A startDate/endDate window may span several years (either
+// end may be left open); otherwise the single ?year database is used.
+// Category ids are per year database, so a category filter spanning years
+// matches the same ids in each.
+export const resolveScope = (req, userId) => {
+    const { startDate, endDate, type, minAmount, maxAmount, search } = req.query;
+    // Transactions in the trash are left out of every list, total and export
+    const conditions = ['t.deleted_at IS NULL'];
+    const params = [];
+    let years;
+
+    if (!startDate && !endDate) {
+        years = [parseInt(req.query.year) || new Date().getFullYear()];
+    } else {
+        if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+            return { error: 'Invalid start date or end date' };
+        }
+
+        if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+            return { error: 'Start date must be before end date' };
+        }
+
+        // Compare the raw column, not DATE(t.date), so the date index is used
+        if (startDate) {
+            conditions.push('t.date >= ?');
+            params.push(toDateOnly(startDate));
+        }
+        if (endDate) {
+            conditions.push('t.date < ?');
+            params.push(nextDay(toDateOnly(endDate)));
+        }
+
+        years = DatabaseManager.getUserYearsInRange(userId, startDate, endDate);
+    }
+
+    if (type) {
+        if (!['income', 'expense'].includes(type)) {
+            return { error: 'Type must be income or expense' };
+        }
+        conditions.push('t.type = ?');
+        params.push(type);
+    }
+
+    const categoryIds = parseIdList(req.query.categoryId, req.query.categoryIds);
+    if (categoryIds.length > 0) {
+        if (categoryIds.some(isNaN)) {
+            return { error: 'Category ids must be numbers' };
+        }
+        conditions.push(`t.category_id IN (${categoryIds.map(() => '?').join(', ')})`);
+        params.push(...categoryIds);
+    }
+
+    for (const [value, operator, label] of [[minAmount, '>=', 'Minimum'], [maxAmount, '<=', 'Maximum']]) {
+        if (value !== undefined && value !== '') {
+            if (isNaN(parseFloat(value))) {
+                return { error: `${label} amount must be a number` };
+            }
+            conditions.push(`t.amount ${operator} ?`);
+            params.push(parseFloat(value));
+        }
+    }
+
+    if (search) {
+        conditions.push("t.description LIKE ? ESCAPE '\\'");
+        params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+
+    const sortBy = req.query.sortBy || 'date';
+    const sortOrder = (req.query.sortOrder || 'desc').toUpperCase();
+
+    if (!SORT_OPTIONS[sortBy]) {
+        return { error: `Sort field must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}` };
+    }
+
+    if (!['ASC', 'DESC'].includes(sortOrder)) {
+        return { error: 'Sort order must be asc or desc' };
+    }
+
+    return {
+        years,
+        conditions,
+        params,
+        sort: { ...SORT_OPTIONS[sortBy], direction: sortOrder }
+    };
+};
+
+// Query every year database in scope and merge the rows in sort order, with
+// count and income/expense totals for the whole filtered set. With a window,
+// each database only needs to return its first `window` rows.
+const queryAcrossYears = async (userId, scope, window) => {
+    const where = scope.conditions.length ? `WHERE ${scope.conditions.join(' AND ')}` : '';
+    const { column, direction } = scope.sort;
+    const totals = { count: 0, income: 0, expenses: 0 };
+    let transactions = [];
+
+    for (const year of scope.years) {
+        const db = DatabaseManager.getConnection(userId, year);
+
+        // Transfer legs count as rows but not as income or expense
+        const yearTotals = await DatabaseManager.get(
+            db,
+            `SELECT
+                COUNT(*) as count,
+                COALESCE(SUM(CASE WHEN t.type = 'income' AND t.transfer_id IS NULL THEN t.amount END), 0) as income,
+                COALESCE(SUM(CASE WHEN t.type = 'expense' AND t.transfer_id IS NULL THEN t.amount END), 0) as expenses
+             FROM transactions t ${where}`,
+            scope.params
+        );
+        totals.count += yearTotals.count;
+        totals.income += parseFloat(yearTotals.income);
+        totals.expenses += parseFloat(yearTotals.expenses);
+
+        const limitClause = window ? 'LIMIT ?' : '';
+        const rows = await DatabaseManager.all(
+            db,
+            `${TRANSACTION_SELECT}
+             ${where}
+             ORDER BY ${column} ${direction}, t.id ${direction}
+             ${limitClause}`,
+            window ? [...scope.params, window] : scope.params
+        );
+        transactions = transactions.concat(rows.map(t => formatTransaction(t, year)));
+    }
+
+    transactions.sort(compareTransactions(scope.sort));
+
+    return {
+        transactions,
+        totalCount: totals.count,
+        totals: {
+            income: totals.income,
+            expenses: totals.expenses,
+            net: totals.income - totals.expenses
+        }
+    };
+};
+
+// Record a change to one of the user's transactions or transfers in the audit log
+const audit = (req, userId, entry) => AuditLog.record({ actorId: req.user.id, targetUserId: userId, ...entry });
+
+// Record a change the acting user may want to undo; see routes/undo.js
+const journal = (req, userId, entry) => ChangeJournal.record({ userId: req.user.id, targetUserId: userId, ...entry });
+
+// Error carrying the HTTP status a route should answer with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Refuse changes to transactions dated in a locked period
+export const assertPeriodUnlocked = async (userId, date) => {
+    const lock = await PeriodLock.findForDate(userId, date);
+
+    if (lock) {
+        throw httpError(409, `${PeriodLock.describe(lock.year, lock.month)} is locked; transactions in it cannot be added, changed or deleted`);
+    }
+};
+
+// Transfer legs can only be changed through the transfer routes, which keep
+// both sides in step
+const assertNotTransferLeg = async (db, transactionId) => {
+    const transaction = await DatabaseManager.get(
+        db,
+        'SELECT transfer_id FROM main.transactions WHERE id = ?',
+        [transactionId]
+    );
+
+    if (transaction && transaction.transfer_id) {
+        throw httpError(400, `Transaction is part of transfer ${transaction.transfer_id}; use /api/transactions/transfers to change it`);
+    }
+};
+
+// Transfers joined with the names of both accounts
+const TRANSFER_SELECT = `
+    SELECT tr.*, fa.name as from_account_name, ta.name as to_account_name
+    FROM transfers tr
+    LEFT JOIN accounts fa ON tr.from_account_id = fa.id
+    LEFT JOIN accounts ta ON tr.to_account_id = ta.id
+`;
+
+const formatTransfer = (transfer, year) => ({
+    id: transfer.id,
+    year,
+    amount: parseFloat(transfer.amount),
+    date: transfer.date,
+    fromAccountId: transfer.from_account_id,
+    fromAccountName: transfer.from_account_name,
+    toAccountId: transfer.to_account_id,
+    toAccountName: transfer.to_account_name,
+    description: transfer.description || '',
+    createdAt: transfer.created_at,
+    updatedAt: transfer.updated_at
+});
+
+const validateTransfer = ({ amount, date, fromAccountId, toAccountId }) => {
+    if (!amount || !date || !fromAccountId || !toAccountId) {
+        return 'Amount, date, from account, and to account are required';
+    }
+
+    if (parseFloat(amount) <= 0) {
+        return 'Amount must be greater than 0';
+    }
+
+    if (isNaN(new Date(date).getTime())) {
+        return 'Invalid date';
+    }
+
+    if (String(fromAccountId) === String(toAccountId)) {
+        return 'From and to accounts must be different';
+    }
+
+    return null;
+};
+
+// Transfer legs are filed under a default category of this name. It is
+// reserved for them: regular transactions can't use it, and no other
+// category can be created with, renamed to or merged into it.
+export const TRANSFER_CATEGORY = 'Transfer';
+export const TRANSFER_CATEGORY_RESERVED = `The ${TRANSFER_CATEGORY} category is reserved for transfers between accounts`;
+
+export const isTransferCategory = (category) => category.is_default === 1 && category.name === TRANSFER_CATEGORY;
+
+export const isReservedCategoryName = (name) => String(name).trim().toLowerCase() === TRANSFER_CATEGORY.toLowerCase();
+
+// Find or create the default category transfer legs are filed under
+const getTransferCategoryId = async (db, type) => {
+    const category = await DatabaseManager.get(
+        db,
+        'SELECT id FROM categories WHERE name = ? AND type = ? AND is_default = 1',
+        [TRANSFER_CATEGORY, type]
+    );
+
+    if (category) {
+        return category.id;
+    }
+
+    const { lastID } = await DatabaseManager.run(
+        db,
+        'INSERT INTO categories (name, type, is_default) VALUES (?, ?, 1)',
+        [TRANSFER_CATEGORY, type]
+    );
+    return lastID;
+};
+
+const verifyTransferAccounts = async (db, { fromAccountId, toAccountId }) => {
+    const accounts = await DatabaseManager.all(
+        db,
+        'SELECT id FROM accounts WHERE id IN (?, ?)',
+        [fromAccountId, toAccountId]
+    );
+
+    if (accounts.length !== 2) {
+        throw httpError(400, 'Invalid account');
+    }
+};
+
+// Write the transfer row and its two legs: the money leaves the from account
+// as an expense and arrives in the to account as income. Runs inside a
+// transaction so both sides always change together.
+const saveTransfer = async (db, transferId, { amount, date, fromAccountId, toAccountId, description }) => {
+    await verifyTransferAccounts(db, { fromAccountId, toAccountId });
+
+    const legs = [
+        { type: 'expense', accountId: fromAccountId },
+        { type: 'income', accountId: toAccountId }
+    ];
+
+    if (transferId) {
+        const result = await DatabaseManager.run(
+            db,
+            `UPDATE transfers SET amount = ?, date = ?, from_account_id = ?, to_account_id = ?, description = ?,
+                updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [amount, date, fromAccountId, toAccountId, description || '', transferId]
+        );
+
+        if (result.changes === 0) {
+            throw httpError(404, 'Transfer not found');
+        }
+
+        for (const leg of legs) {
+            await DatabaseManager.run(
+                db,
+                `UPDATE transactions SET amount = ?, date = ?, account_id = ?, description = ?,
+                    updated_at = CURRENT_TIMESTAMP
+                 WHERE transfer_id = ? AND type = ?`,
+                [amount, date, leg.accountId, description || '', transferId, leg.type]
+            );
+        }
+
+        return transferId;
+    }
+
+    const { lastID } = await DatabaseManager.run(
+        db,
+        'INSERT INTO transfers (amount, date, from_account_id, to_account_id, description) VALUES (?, ?, ?, ?, ?)',
+        [amount, date, fromAccountId, toAccountId, description || '']
+    );
+
+    for (const leg of legs) {
+        const categoryId = await getTransferCategoryId(db, leg.type);
+
+        await DatabaseManager.run(
+            db,
+            `INSERT INTO transactions (amount, date, type, category_id, account_id, transfer_id, description)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [amount, date, leg.type, categoryId, leg.accountId, lastID, description || '']
+        );
+    }
+
+    return lastID;
+};
+
+// Check the fields every new or edited transaction needs. Returns an error
+// message, or null when the transaction is valid.
+export const validateTransaction = ({ amount, date, type, categoryId }) => {
+    if (!amount || !date || !type || !categoryId) {
+        return 'Amount, date, type, and category are required';
+    }
+
+    if (!['income', 'expense'].includes(type)) {
+        return 'Type must be income or expense';
+    }
+
+    if (parseFloat(amount) <= 0) {
+        return 'Amount must be greater than 0';
+    }
+
+    if (isNaN(new Date(date).getTime())) {
+        return 'Invalid date';
+    }
+
+    return null;
+};
+
+// Fetch one transaction with its category and account names, unless it is in the trash
+export const fetchTransaction = async (db, transactionId, year) => {
+    const transaction = await DatabaseManager.get(
+        db,
+        `${TRANSACTION_SELECT} WHERE t.id = ? AND t.deleted_at IS NULL`,
+        [transactionId]
+    );
+
+    return transaction ? formatTransaction(transaction, year) : null;
+};
+
+// Fetch one transaction from the trash
+export const fetchTrashed = async (db, transactionId, year) => {
+    const transaction = await DatabaseManager.get(
+        db,
+        `${TRANSACTION_SELECT} WHERE t.id = ? AND t.deleted_at IS NOT NULL`,
+        [transactionId]
+    );
+
+    return transaction ? formatTrashed(transaction, year) : null;
+};
+
+const formatTrashed = (t, year) => ({
+    ...formatTransaction(t, year),
+    deletedAt: t.deleted_at
+});
+
+// Days a transaction stays in the trash before it is purged. Read on each
+// call because .env is loaded after the routes are imported.
+export const trashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Permanently delete every user's transactions that have been in the trash
+// for longer than the retention period. Closed years can no longer change,
+// so their trash is kept. Returns the number of transactions purged.
+export const purgeTrash = async () => {
+    const users = await User.getAllUsers();
+    let purged = 0;
+
+    for (const user of users) {
+        for (const year of DatabaseManager.getUserYears(user.id)) {
+            try {
+                const db = DatabaseManager.getConnection(user.id, year);
+
+                if (await DatabaseManager.get(db, 'SELECT 1 FROM year_close')) {
+                    continue;
+                }
+
+                const { changes } = await DatabaseManager.run(
+                    db,
+                    "DELETE FROM transactions WHERE deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)",
+                    [`-${trashRetentionDays()} days`]
+                );
+                purged += changes;
+            } catch (error) {
+                console.error(`Error purging trash for user ${user.id}, ${year}:`, error);
+            }
+        }
+    }
+
+    return purged;
+};
+
+// Verify the category, and the account when one is given, exist in a year database
+const verifyReferences = async (db, { categoryId, accountId }) => {
+    const category = await DatabaseManager.get(db, 'SELECT id, name, is_default FROM categories WHERE id = ?', [categoryId]);
+    if (!category) {
+        throw httpError(400, 'Invalid category');
+    }
+    if (isTransferCategory(category)) {
+        throw httpError(400, TRANSFER_CATEGORY_RESERVED);
+    }
+
+    if (accountId === undefined || accountId === null || accountId === '') {
+        return null;
+    }
+
+    const account = await DatabaseManager.get(db, 'SELECT id FROM accounts WHERE id = ?', [accountId]);
+    if (!account) {
+        throw httpError(400, 'Invalid account');
+    }
+
+    return account.id;
+};
+
+// Insert a transaction into the database for its date's year
+export const createTransaction = async (userId, fields) => {
+    await assertPeriodUnlocked(userId, fields.date);
+
+    const year = new Date(fields.date).getFullYear();
+    const db = DatabaseManager.getConnection(userId, year);
+
+    return insertTransaction(db, year, fields);
+};
+
+// Insert a transaction into a given year database. Occurrences of a recurring
+// transaction also carry its id and scheduled date.
+export const insertTransaction = async (db, year, { amount, date, type, categoryId, accountId, description, recurringId = null }) => {
+    const verifiedAccountId = await verifyReferences(db, { categoryId, accountId });
+
+    const { lastID } = await DatabaseManager.run(
+        db,
+        `INSERT INTO transactions (amount, date, type, category_id, account_id, description, recurring_id, recurring_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [amount, date, type, categoryId, verifiedAccountId, description || '', recurringId, recurringId ? date : null]
+    );
+
+    return fetchTransaction(db, lastID, year);
+};
+
+// Update a transaction in place within its year database. Resolves to the
+// transaction before and after the change.
+export const updateTransaction = async (userId, year, transactionId, { amount, date, type, categoryId, accountId, description }) => {
+    const db = DatabaseManager.getConnection(userId, year);
+
+    await assertNotTransferLeg(db, transactionId);
+
+    // Neither the period it is in now nor the one it moves to may be locked
+    const before = await fetchTransaction(db, transactionId, year);
+    if (before) {
+        await assertPeriodUnlocked(userId, before.date);
     }
-    // Otherwise use the authenticated user's ID
-    return req.user.id;
+    await assertPeriodUnlocked(userId, date);
+
+    const verifiedAccountId = await verifyReferences(db, { categoryId, accountId });
+
+    const result = await DatabaseManager.run(
+        db,
+        'UPDATE transactions SET amount = ?, date = ?, type = ?, category_id = ?, account_id = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+        [amount, date, type, categoryId, verifiedAccountId, description || '', transactionId]
+    );
+
+    if (result.changes === 0) {
+        throw httpError(404, 'Transaction not found');
+    }
+
+    return { before, after: await fetchTransaction(db, transactionId, year) };
+};
+
+// Move a transaction into another year's database. The target file is
+// attached to the source connection so the insert and delete commit together.
+// categoryId and accountId refer to the source year and are mapped to the
+// category or account with the same name and type in the target year, since
+// ids are per-file. The moved row gets a new id unless targetId is given,
+// which undo uses to put a transaction back under its old id. Resolves to the
+// transaction before and after the move.
+export const moveTransaction = async (userId, fromYear, toYear, transactionId, { amount, date, type, categoryId, accountId, description }, targetId = null) => {
+    if (!DatabaseManager.getUserYears(userId).includes(fromYear)) {
+        throw httpError(404, 'Transaction not found');
+    }
+
+    // Moving into a year without a database creates it; if the move then
+    // fails, the new database is removed again
+    const createsYear = !DatabaseManager.getUserYears(userId).includes(toYear);
+    const db = DatabaseManager.getConnection(userId, fromYear);
+    const targetDb = DatabaseManager.getConnection(userId, toYear);
+
+    // Wait for the target year's schema before attaching it
+    await DatabaseManager.whenReady(targetDb);
+
+    let before;
+    const newId = await DatabaseManager.withTransaction(db, async () => {
+        before = await fetchTransaction(db, transactionId, fromYear);
+        if (!before) {
+            throw httpError(404, 'Transaction not found');
+        }
+        await assertNotTransferLeg(db, transactionId);
+        await assertPeriodUnlocked(userId, before.date);
+        await assertPeriodUnlocked(userId, date);
+
+        const category = await DatabaseManager.get(db, 'SELECT name, type FROM main.categories WHERE id = ?', [categoryId]);
+        if (!category) {
+            throw httpError(400, 'Invalid category');
+        }
+
+        const targetCategory = await DatabaseManager.get(
+            db,
+            'SELECT id FROM target.categories WHERE name = ? AND type = ? ORDER BY is_default DESC, id LIMIT 1',
+            [category.name, category.type]
+        );
+        if (!targetCategory) {
+            throw httpError(409, `Cannot move transaction to ${toYear}: category "${category.name}" does not exist in that year`);
+        }
+
+        let targetAccountId = null;
+        if (accountId !== undefined && accountId !== null && accountId !== '') {
+            const account = await DatabaseManager.get(db, 'SELECT name, type FROM main.accounts WHERE id = ?', [accountId]);
+            if (!account) {
+                throw httpError(400, 'Invalid account');
+            }
+
+            const targetAccount = await DatabaseManager.get(
+                db,
+                'SELECT id FROM target.accounts WHERE name = ? AND type = ? ORDER BY id LIMIT 1',
+                [account.name, account.type]
+            );
+            if (!targetAccount) {
+                throw httpError(409, `Cannot move transaction to ${toYear}: account "${account.name}" does not exist in that year`);
+            }
+            targetAccountId = targetAccount.id;
+        }
+
+        const { lastID } = await DatabaseManager.run(
+            db,
+            `INSERT INTO target.transactions
+                 (id, amount, date, type, category_id, account_id, description, recurring_id, recurring_date, created_at)
+             SELECT ?, ?, ?, ?, ?, ?, ?, recurring_id, recurring_date, created_at FROM main.transactions WHERE id = ?`,
+            [targetId, amount, date, type, targetCategory.id, targetAccountId, description || '', transactionId]
+        );
+        await DatabaseManager.run(db, 'DELETE FROM main.transactions WHERE id = ?', [transactionId]);
+
+        return lastID;
+    }, { attach: { target: DatabaseManager.getDbFilePath(userId, toYear) } }).catch(async (error) => {
+        // Unless something else has been written to it in the meantime
+        if (createsYear && !await DatabaseManager.get(targetDb, 'SELECT 1 FROM transactions LIMIT 1')) {
+            await DatabaseManager.dropDatabase(userId, toYear);
+        }
+        throw error;
+    });
+
+    return { before, after: await fetchTransaction(targetDb, newId, toYear) };
+};
+
+// Income, expense and monthly totals over every year database in scope
+export const computeStats = async (userId, scope) => {
+    // Transfers only move money between accounts, so they are neither income nor expense
+    const conditions = [...scope.conditions, 't.transfer_id IS NULL'];
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const monthlyQuery = `
+        SELECT
+            strftime('%Y-%m', t.date) as month,
+            t.type,
+            SUM(t.amount) as total,
+            COUNT(*) as count
+        FROM transactions t
+        ${where}
+        GROUP BY strftime('%Y-%m', t.date), t.type
+        ORDER BY month
+    `;
+
+    const results = {
+        totalIncome: 0,
+        totalExpenses: 0,
+        transactionCount: 0
+    };
+    const monthlyStats = {};
+
+    for (const year of scope.years) {
+        const db = DatabaseManager.getConnection(userId, year);
+        const monthlyData = await DatabaseManager.all(db, monthlyQuery, scope.params);
+
+        monthlyData.forEach(row => {
+            const total = parseFloat(row.total);
+
+            if (!monthlyStats[row.month]) {
+                monthlyStats[row.month] = { income: 0, expenses: 0 };
+            }
+            monthlyStats[row.month][row.type === 'income' ? 'income' : 'expenses'] += total;
+
+            if (row.type === 'income') {
+                results.totalIncome += total;
+            } else {
+                results.totalExpenses += total;
+            }
+            results.transactionCount += row.count;
+        });
+    }
+
+    results.netBalance = results.totalIncome - results.totalExpenses;
+    results.monthlyStats = Object.fromEntries(
+        Object.keys(monthlyStats).sort().map(month => [month, monthlyStats[month]])
+    );
+
+    return results;
+};
+
+// Most operations one bulk request may carry
+const MAX_BULK_OPERATIONS = 1000;
+
+const BULK_ACTIONS = ['create', 'update', 'delete', 'recategorize'];
+
+// Work out which year database a bulk operation runs in. Returns { error }
+// when the operation is invalid before it touches any database.
+const planBulkOperation = (operation, defaultYear) => {
+    const { action } = operation;
+
+    if (!BULK_ACTIONS.includes(action)) {
+        return { error: `Action must be one of: ${BULK_ACTIONS.join(', ')}` };
+    }
+
+    if (action === 'create' || action === 'update') {
+        const validationError = validateTransaction(operation);
+        if (validationError) {
+            return { error: validationError };
+        }
+    }
+
+    if (action === 'create') {
+        return { year: new Date(operation.date).getFullYear() };
+    }
+
+    if (!operation.id) {
+        return { error: 'Transaction id is required' };
+    }
+
+    if (action === 'recategorize' && !operation.categoryId) {
+        return { error: 'Category is required' };
+    }
+
+    const year = parseInt(operation.year) || defaultYear;
+
+    // Each year is written in its own transaction, so a move between years
+    // can't be part of one
+    if (action === 'update' && new Date(operation.date).getFullYear() !== year) {
+        return { error: 'A bulk update cannot move a transaction to another year; use PUT /api/transactions/:id' };
+    }
+
+    return { year };
+};
+
+// Run one bulk operation inside its year's transaction. Resolves to the audit
+// entry for the change.
+const runBulkOperation = async (userId, db, year, operation) => {
+    const { action, id } = operation;
+
+    if (action === 'create') {
+        await assertPeriodUnlocked(userId, operation.date);
+        const transaction = await insertTransaction(db, year, operation);
+        return { entity: 'transaction', entityId: transaction.id, year, action: 'create', after: transaction };
+    }
+
+    await assertNotTransferLeg(db, id);
+    const existing = await fetchTransaction(db, id, year);
+    if (!existing) {
+        throw httpError(404, 'Transaction not found');
+    }
+
+    if (action === 'delete') {
+        await assertPeriodUnlocked(userId, existing.date);
+        await DatabaseManager.run(
+            db,
+            'UPDATE transactions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+            [id]
+        );
+        return { entity: 'transaction', entityId: existing.id, year, action: 'delete', before: existing, after: await fetchTrashed(db, id, year) };
+    }
+
+    // A re-categorization is an update that only changes the category
+    const fields = action === 'recategorize' ? { ...existing, categoryId: operation.categoryId } : operation;
+    const { before, after } = await updateTransaction(userId, year, id, fields);
+    return { entity: 'transaction', entityId: after.id, year, action: 'update', before, after };
 };
 
 const router = express.Router();
 
-// Get all transactions for current year with pagination
-router.get('/', (req, res) => {
+// Get transactions with pagination, for one year or across a date window.
+// Filters: type, categoryId/categoryIds, minAmount, maxAmount, startDate,
+// endDate and search (in description); sortBy and sortOrder pick the order.
+router.get('/', authorize('read'), async (req, res) => {
     const userId = getUserId(req);
-    const year = req.query.year || new Date().getFullYear();
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const offset = (page - 1) * limit;
 
-    const db = DatabaseManager.getConnection(userId, year);
+    const scope = resolveScope(req, userId);
+
+    if (scope.error) {
+        return res.status(400).json({
+            success: false,
+            message: scope.error
+        });
+    }
+
+    try {
+        const { transactions, totalCount, totals } = await queryAcrossYears(userId, scope, offset + limit);
+        const totalPages = Math.ceil(totalCount / limit);
+
+        res.json({
+            success: true,
+            data: transactions.slice(offset, offset + limit),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalCount,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            },
+            totals
+        });
+    } catch (error) {
+        console.error('Error fetching transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch transactions'
+        });
+    }
+});
+
+// Get transactions by date range, across every year database it touches
+router.get('/range', authorize('read'), async (req, res) => {
+    const userId = getUserId(req);
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+        return res.status(400).json({
+            success: false,
+            message: 'Start date and end date are required'
+        });
+    }
+
+    const scope = resolveScope(req, userId);
+
+    if (scope.error) {
+        return res.status(400).json({
+            success: false,
+            message: scope.error
+        });
+    }
+
+    try {
+        const { transactions } = await queryAcrossYears(userId, scope);
+
+        res.json({
+            success: true,
+            data: transactions
+        });
+    } catch (error) {
+        console.error('Error fetching transactions by range:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch transactions'
+        });
+    }
+});
+
+// Turn free text into an FTS5 query in which every word must match as a
+// prefix. Quoting each word keeps FTS5 operators in user input inert.
+const toFtsQuery = (text) => {
+    const words = String(text).match(/[\p{L}\p{N}]+/gu);
+    return words ? words.map(word => `"${word}"*`).join(' ') : null;
+};
+
+// FTS5 marks matches with these control characters, so that the stored text
+// can be HTML-escaped before the caller's highlight markup goes in
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const renderHighlight = (marked, start, end) => (marked || '')
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .split(MATCH_START).join(start)
+    .split(MATCH_END).join(end);
+
+// Full-text search of descriptions and category names across all of the
+// user's years, best matches first. Highlights are HTML-escaped text with
+// matched words wrapped in ?highlightStart/?highlightEnd (default
+// <mark></mark>).
+router.get('/search', authorize('read'), async (req, res) => {
+    const userId = getUserId(req);
+    const query = toFtsQuery(req.query.q || '');
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const highlightStart = req.query.highlightStart ?? '<mark>';
+    const highlightEnd = req.query.highlightEnd ?? '</mark>';
+
+    if (!query) {
+        return res.status(400).json({
+            success: false,
+            message: 'Search text is required'
+        });
+    }
+
+    try {
+        let totalCount = 0;
+        let results = [];
+
+        for (const year of DatabaseManager.getUserYears(userId)) {
+            const db = DatabaseManager.getConnection(userId, year);
+
+            const countResult = await DatabaseManager.get(
+                db,
+                `SELECT COUNT(*) as total
+                 FROM transactions_fts
+                 JOIN transactions t ON t.id = transactions_fts.rowid
+                 WHERE transactions_fts MATCH ? AND t.deleted_at IS NULL`,
+                [query]
+            );
+            totalCount += countResult.total;
+
+            const rows = await DatabaseManager.all(
+                db,
+                `SELECT t.*, c.name as category_name, c.type as category_type, a.name as account_name,
+                    bm25(transactions_fts) as rank,
+                    highlight(transactions_fts, 0, ?, ?) as description_highlight,
+                    highlight(transactions_fts, 1, ?, ?) as category_highlight
+                 FROM transactions_fts
+                 JOIN transactions t ON t.id = transactions_fts.rowid
+                 LEFT JOIN categories c ON t.category_id = c.id
+                 LEFT JOIN accounts a ON t.account_id = a.id
+                 WHERE transactions_fts MATCH ? AND t.deleted_at IS NULL
+                 ORDER BY rank
+                 LIMIT ?`,
+                [MATCH_START, MATCH_END, MATCH_START, MATCH_END, query, offset + limit]
+            );
+
+            results = results.concat(rows.map(row => ({
+                ...formatTransaction(row, year),
+                rank: row.rank,
+                highlights: {
+                    description: renderHighlight(row.description_highlight, highlightStart, highlightEnd),
+                    categoryName: renderHighlight(row.category_highlight, highlightStart, highlightEnd)
+                }
+            })));
+        }
+
+        // bm25 scores are negative; the lower the score, the better the match
+        results.sort((a, b) => a.rank - b.rank || compareTransactions({ ...SORT_OPTIONS.date, direction: 'DESC' })(a, b));
+        const totalPages = Math.ceil(totalCount / limit);
+
+        res.json({
+            success: true,
+            data: results.slice(offset, offset + limit),
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalCount,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error searching transactions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search transactions'
+        });
+    }
+});
+
+// Add new transaction
+router.post('/', authorize('write'), async (req, res) => {
+    const userId = getUserId(req);
+    const validationError = validateTransaction(req.body);
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            message: validationError
+        });
+    }
 
-    // Get total count first
-    const countQuery = 'SELECT COUNT(*) as total FROM transactions';
+    try {
+        const transaction = await createTransaction(userId, req.body);
+        await audit(req, userId, {
+            entity: 'transaction',
+            entityId: transaction.id,
+            year: transaction.year,
+            action: 'create',
+            after: transaction
+        });
+        await journal(req, userId, {
+            action: 'transaction.create',
+            year: transaction.year,
+            entityId: transaction.id,
+            after: transaction
+        });
 
-    db.get(countQuery, [], (err, countResult) => {
-        if (err) {
-            console.error('Error counting transactions:', err);
-            return res.status(500).json({
+        res.status(201).json({
+            success: true,
+            data: transaction
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
                 success: false,
-                message: 'Failed to count transactions'
+                message: error.message
             });
         }
 
-        const totalCount = countResult.total;
-        const totalPages = Math.ceil(totalCount / limit);
-
-        // Get paginated transactions
-        const query = `
-            SELECT t.*, c.name as category_name, c.type as category_type
-            FROM transactions t
-            LEFT JOIN categories c ON t.category_id = c.id
-            ORDER BY t.date DESC, t.id DESC
-            LIMIT ? OFFSET ?
-        `;
-
-        db.all(query, [limit, offset], (err, transactions) => {
-            if (err) {
-                console.error('Error fetching transactions:', err);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to fetch transactions'
-                });
-            }
-
-            res.json({
-                success: true,
-                data: transactions.map(t => ({
-                    id: t.id,
-                    amount: parseFloat(t.amount),
-                    date: t.date,
-                    type: t.type,
-                    categoryId: t.category_id,
-                    categoryName: t.category_name,
-                    description: t.description || '',
-                    createdAt: t.created_at,
-                    updatedAt: t.updated_at
-                })),
-                pagination: {
-                    currentPage: page,
-                    totalPages,
-                    totalCount,
-                    hasNextPage: page < totalPages,
-                    hasPrevPage: page > 1
-                }
-            });
+        console.error('Error creating transaction:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create transaction'
         });
-    });
+    }
 });
 
-// Get transactions by date range
-router.get('/range', (req, res) => {
+// Create, update, delete or re-categorize many transactions in one request.
+// Body: { year?, operations: [{ action, ... }] } where action is one of
+//   create:       { amount, date, type, categoryId, accountId?, description? }
+//   update:       { id, year?, amount, date, type, categoryId, accountId?, description? }
+//   delete:       { id, year? } (moves it to the trash)
+//   recategorize: { id, year?, categoryId }
+// year names the database the transaction is in, defaulting to the body's
+// year and then the current year. The operations for each year database run
+// in one SQLite transaction; an operation that fails is reported and skipped
+// while the others go ahead. Results come back in request order, and each
+// change can be undone on its own.
+router.post('/bulk', authorize('write'), async (req, res) => {
     const userId = getUserId(req);
-    const year = req.query.year || new Date().getFullYear();
-    const { startDate, endDate } = req.query;
+    const { operations } = req.body;
+    const defaultYear = parseInt(req.body.year) || new Date().getFullYear();
 
-    if (!startDate || !endDate) {
+    if (!Array.isArray(operations) || operations.length === 0) {
         return res.status(400).json({
             success: false,
-            message: 'Start date and end date are required'
+            message: 'Operations must be a non-empty array'
         });
     }
 
-    const db = DatabaseManager.getConnection(userId, year);
+    if (operations.length > MAX_BULK_OPERATIONS) {
+        return res.status(400).json({
+            success: false,
+            message: `At most ${MAX_BULK_OPERATIONS} operations can be sent at once`
+        });
+    }
 
-    const query = `
-        SELECT t.*, c.name as category_name, c.type as category_type
-        FROM transactions t
-        LEFT JOIN categories c ON t.category_id = c.id
-        WHERE DATE(t.date) BETWEEN DATE(?) AND DATE(?)
-        ORDER BY t.date DESC, t.id DESC
-    `;
+    // Deleting needs more than the write permission the route checked
+    const mayDelete = canAccess(req.user, userId, 'delete');
 
-    db.all(query, [startDate, endDate], (err, transactions) => {
-        if (err) {
-            console.error('Error fetching transactions by range:', err);
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to fetch transactions'
-            });
+    const results = operations.map((operation, index) => {
+        let { year, error } = planBulkOperation(operation || {}, defaultYear);
+
+        if (!error && operation.action === 'delete' && !mayDelete) {
+            error = `Access denied. The ${req.user.role} role cannot delete records.`;
+        }
+
+        return {
+            index,
+            action: operation ? operation.action : undefined,
+            id: operation ? operation.id ?? null : null,
+            year: year ?? null,
+            status: error ? 'error' : 'pending',
+            error
+        };
+    });
+
+    const byYear = new Map();
+    for (const result of results.filter(r => r.status === 'pending')) {
+        if (!byYear.has(result.year)) {
+            byYear.set(result.year, []);
+        }
+        byYear.get(result.year).push(result);
+    }
+
+    let committed = 0;
+
+    try {
+        const existingYears = DatabaseManager.getUserYears(userId);
+
+        for (const [year, yearResults] of byYear) {
+            // Only a create may start a new year's database
+            if (!existingYears.includes(year) && yearResults.every(r => r.action !== 'create')) {
+                for (const result of yearResults) {
+                    Object.assign(result, { status: 'error', error: 'Transaction not found' });
+                }
+                continue;
+            }
+
+            const db = DatabaseManager.getConnection(userId, year);
+            const changes = [];
+
+            try {
+                await DatabaseManager.withTransaction(db, async () => {
+                    for (const result of yearResults) {
+                        try {
+                            const change = await runBulkOperation(userId, db, year, operations[result.index]);
+                            Object.assign(result, { status: 'ok', id: change.entityId, data: change.after });
+                            changes.push(change);
+                        } catch (error) {
+                            if (!error.status) {
+                                throw error;
+                            }
+                            Object.assign(result, { status: 'error', error: error.message });
+                        }
+                    }
+                });
+            } catch (error) {
+                // The year's operations were rolled back; the years already
+                // committed stay as they are and are reported as usual
+                if (!committed) {
+                    throw error;
+                }
+
+                console.error(`Error running bulk transaction operations for ${year}:`, error);
+                for (const result of yearResults) {
+                    Object.assign(result, { status: 'error', id: operations[result.index].id ?? null, data: undefined, error: 'Failed to run operation' });
+                }
+                continue;
+            }
+
+            committed++;
+            for (const change of changes) {
+                await audit(req, userId, change);
+                await journal(req, userId, {
+                    action: `transaction.${change.action}`,
+                    year: change.year,
+                    entityId: change.entityId,
+                    before: change.before,
+                    after: change.after
+                });
+            }
         }
 
+        const succeeded = results.filter(r => r.status === 'ok').length;
+
         res.json({
             success: true,
-            data: transactions.map(t => ({
-                id: t.id,
-                amount: parseFloat(t.amount),
-                date: t.date,
-                type: t.type,
-                categoryId: t.category_id,
-                categoryName: t.category_name,
-                description: t.description || '',
-                createdAt: t.created_at,
-                updatedAt: t.updated_at
-            }))
+            data: {
+                summary: {
+                    total: results.length,
+                    succeeded,
+                    failed: results.length - succeeded
+                },
+                results
+            }
         });
-    });
+    } catch (error) {
+        console.error('Error running bulk transaction operations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run bulk operations'
+        });
+    }
 });
 
-// Add new transaction
-router.post('/', (req, res) => {
+// Update transaction. ?year names the database the transaction currently
+// lives in and is required, since ids are only unique within a year; when the
+// new date falls in another year the row is moved there.
+router.put('/:id', authorize('write'), async (req, res) => {
     const userId = getUserId(req);
-    const { amount, date, type, categoryId, description } = req.body;
+    const transactionId = req.params.id;
+    const validationError = validateTransaction(req.body);
 
-    if (!amount || !date || !type || !categoryId) {
+    if (validationError) {
         return res.status(400).json({
             success: false,
-            message: 'Amount, date, type, and category are required'
+            message: validationError
         });
     }
 
-    if (!['income', 'expense'].includes(type)) {
+    const currentYear = parseInt(req.query.year);
+
+    if (!currentYear) {
         return res.status(400).json({
             success: false,
-            message: 'Type must be income or expense'
+            message: 'Year is required: pass the year the transaction is in as ?year'
         });
     }
 
-    if (parseFloat(amount) <= 0) {
-        return res.status(400).json({
+    const transactionYear = new Date(req.body.date).getFullYear();
+
+    try {
+        if (!DatabaseManager.getUserYears(userId).includes(currentYear)) {
+            throw httpError(404, 'Transaction not found');
+        }
+
+        const { before, after } = currentYear === transactionYear
+            ? await updateTransaction(userId, transactionYear, transactionId, req.body)
+            : await moveTransaction(userId, currentYear, transactionYear, transactionId, req.body);
+
+        // A move gives the transaction a new id in the other year; the entry
+        // keeps the new one, and the old id and year stay in the before values
+        await audit(req, userId, {
+            entity: 'transaction',
+            entityId: after.id,
+            year: after.year,
+            action: 'update',
+            before,
+            after
+        });
+        await journal(req, userId, { action: 'transaction.update', year: after.year, entityId: after.id, before, after });
+
+        res.json({
+            success: true,
+            data: after
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error updating transaction:', error);
+        res.status(500).json({
             success: false,
-            message: 'Amount must be greater than 0'
+            message: 'Failed to update transaction'
         });
     }
+});
 
-    const transactionYear = new Date(date).getFullYear();
-    const db = DatabaseManager.getConnection(userId, transactionYear);
+// Delete transaction. It is moved to the trash, where it can be restored
+// until it is purged, unless ?permanent=true.
+router.delete('/:id', authorize('delete'), async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const transactionId = req.params.id;
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+        const permanent = req.query.permanent === 'true';
 
-    // Verify category exists
-    db.get(
-        'SELECT id FROM categories WHERE id = ?',
-        [categoryId],
-        (err, category) => {
-            if (err) {
-                console.error('Error checking category:', err);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to verify category'
-                });
-            }
+        if (!DatabaseManager.getUserYears(userId).includes(year)) {
+            throw httpError(404, 'Transaction not found');
+        }
 
-            if (!category) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid category'
-                });
-            }
+        const db = DatabaseManager.getConnection(userId, year);
 
-            // Insert transaction
-            db.run(
-                'INSERT INTO transactions (amount, date, type, category_id, description) VALUES (?, ?, ?, ?, ?)',
-                [amount, date, type, categoryId, description || ''],
-                function(err) {
-                    if (err) {
-                        console.error('Error creating transaction:', err);
-                        return res.status(500).json({
-                            success: false,
-                            message: 'Failed to create transaction'
-                        });
-                    }
+        await assertNotTransferLeg(db, transactionId);
 
-                    // Fetch the created transaction with category info
-                    db.get(
-                        `SELECT t.*, c.name as category_name, c.type as category_type
-                         FROM transactions t
-                         LEFT JOIN categories c ON t.category_id = c.id
-                         WHERE t.id = ?`,
-                        [this.lastID],
-                        (err, transaction) => {
-                            if (err) {
-                                console.error('Error fetching created transaction:', err);
-                                return res.status(500).json({
-                                    success: false,
-                                    message: 'Transaction created but failed to fetch'
-                                });
-                            }
+        const existing = await fetchTransaction(db, transactionId, year);
+        if (existing) {
+            await assertPeriodUnlocked(userId, existing.date);
+        }
 
-                            res.status(201).json({
-                                success: true,
-                                data: {
-                                    id: transaction.id,
-                                    amount: parseFloat(transaction.amount),
-                                    date: transaction.date,
-                                    type: transaction.type,
-                                    categoryId: transaction.category_id,
-                                    categoryName: transaction.category_name,
-                                    description: transaction.description || '',
-                                    createdAt: transaction.created_at,
-                                    updatedAt: transaction.updated_at
-                                }
-                            });
-                        }
-                    );
-                }
+        const result = permanent
+            ? await DatabaseManager.run(db, 'DELETE FROM transactions WHERE id = ? AND deleted_at IS NULL', [transactionId])
+            : await DatabaseManager.run(
+                db,
+                'UPDATE transactions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+                [transactionId]
             );
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transaction not found'
+            });
         }
-    );
-});
 
-// Update transaction
-router.put('/:id', (req, res) => {
-    const userId = getUserId(req);
-    const transactionId = req.params.id;
-    const { amount, date, type, categoryId, description } = req.body;
+        const trashed = permanent ? null : await fetchTrashed(db, transactionId, year);
+        await audit(req, userId, {
+            entity: 'transaction',
+            entityId: existing.id,
+            year: existing.year,
+            action: 'delete',
+            before: existing,
+            after: trashed
+        });
 
-    if (!amount || !date || !type || !categoryId) {
-        return res.status(400).json({
+        // Only a move to the trash can be undone
+        if (trashed) {
+            await journal(req, userId, {
+                action: 'transaction.delete',
+                year: trashed.year,
+                entityId: trashed.id,
+                before: existing,
+                after: trashed
+            });
+        }
+
+        res.json({
+            success: true,
+            message: permanent ? 'Transaction deleted permanently' : 'Transaction moved to the trash'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error deleting transaction:', error);
+        res.status(500).json({
             success: false,
-            message: 'Amount, date, type, and category are required'
+            message: 'Failed to delete transaction'
         });
     }
+});
 
-    if (parseFloat(amount) <= 0) {
-        return res.status(400).json({
+// List the transactions in the trash, most recently deleted first, for ?year
+// or across all of the user's years
+router.get('/trash', authorize('read'), async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const existingYears = DatabaseManager.getUserYears(userId);
+        const years = req.query.year ? existingYears.filter(y => y === parseInt(req.query.year)) : existingYears;
+        let transactions = [];
+
+        for (const year of years) {
+            const db = DatabaseManager.getConnection(userId, year);
+            const rows = await DatabaseManager.all(
+                db,
+                `${TRANSACTION_SELECT} WHERE t.deleted_at IS NOT NULL ORDER BY t.deleted_at DESC, t.id DESC`
+            );
+            transactions = transactions.concat(rows.map(t => formatTrashed(t, year)));
+        }
+
+        transactions.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt) || b.id - a.id);
+
+        res.json({
+            success: true,
+            data: transactions,
+            retentionDays: trashRetentionDays()
+        });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({
             success: false,
-            message: 'Amount must be greater than 0'
+            message: 'Failed to fetch trash'
         });
     }
+});
 
-    const transactionYear = new Date(date).getFullYear();
-    const db = DatabaseManager.getConnection(userId, transactionYear);
+// Restore a transaction from the trash
+router.post('/trash/:id/restore', authorize('write'), async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const year = parseInt(req.query.year) || new Date().getFullYear();
 
-    // Verify category exists
-    db.get(
-        'SELECT id FROM categories WHERE id = ?',
-        [categoryId],
-        (err, category) => {
-            if (err) {
-                console.error('Error checking category:', err);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to verify category'
-                });
-            }
+        if (!DatabaseManager.getUserYears(userId).includes(year)) {
+            throw httpError(404, 'Transaction not found in the trash');
+        }
 
-            if (!category) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid category'
-                });
-            }
+        const db = DatabaseManager.getConnection(userId, year);
+        const trashed = await fetchTrashed(db, req.params.id, year);
 
-            // Update transaction
-            db.run(
-                'UPDATE transactions SET amount = ?, date = ?, type = ?, category_id = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [amount, date, type, categoryId, description || '', transactionId],
-                function(err) {
-                    if (err) {
-                        console.error('Error updating transaction:', err);
-                        return res.status(500).json({
-                            success: false,
-                            message: 'Failed to update transaction'
-                        });
-                    }
+        if (!trashed) {
+            throw httpError(404, 'Transaction not found in the trash');
+        }
 
-                    if (this.changes === 0) {
-                        return res.status(404).json({
-                            success: false,
-                            message: 'Transaction not found'
-                        });
-                    }
+        await assertPeriodUnlocked(userId, trashed.date);
+        await DatabaseManager.run(
+            db,
+            'UPDATE transactions SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [trashed.id]
+        );
 
-                    // Fetch the updated transaction with category info
-                    db.get(
-                        `SELECT t.*, c.name as category_name, c.type as category_type
-                         FROM transactions t
-                         LEFT JOIN categories c ON t.category_id = c.id
-                         WHERE t.id = ?`,
-                        [transactionId],
-                        (err, transaction) => {
-                            if (err) {
-                                console.error('Error fetching updated transaction:', err);
-                                return res.status(500).json({
-                                    success: false,
-                                    message: 'Transaction updated but failed to fetch'
-                                });
-                            }
+        const transaction = await fetchTransaction(db, trashed.id, year);
+        await audit(req, userId, {
+            entity: 'transaction',
+            entityId: transaction.id,
+            year,
+            action: 'update',
+            before: trashed,
+            after: transaction
+        });
 
-                            res.json({
-                                success: true,
-                                data: {
-                                    id: transaction.id,
-                                    amount: parseFloat(transaction.amount),
-                                    date: transaction.date,
-                                    type: transaction.type,
-                                    categoryId: transaction.category_id,
-                                    categoryName: transaction.category_name,
-                                    description: transaction.description || '',
-                                    createdAt: transaction.created_at,
-                                    updatedAt: transaction.updated_at
-                                }
-                            });
-                        }
-                    );
-                }
-            );
+        res.json({
+            success: true,
+            message: 'Transaction restored successfully',
+            data: transaction
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
         }
-    );
+
+        console.error('Error restoring transaction:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to restore transaction'
+        });
+    }
+});
+
+// Permanently delete a transaction that is in the trash
+router.delete('/trash/:id', authorize('delete'), async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+
+        if (!DatabaseManager.getUserYears(userId).includes(year)) {
+            throw httpError(404, 'Transaction not found in the trash');
+        }
+
+        const db = DatabaseManager.getConnection(userId, year);
+        const trashed = await fetchTrashed(db, req.params.id, year);
+
+        if (!trashed) {
+            throw httpError(404, 'Transaction not found in the trash');
+        }
+
+        await DatabaseManager.run(db, 'DELETE FROM transactions WHERE id = ? AND deleted_at IS NOT NULL', [trashed.id]);
+        await audit(req, userId, {
+            entity: 'transaction',
+            entityId: trashed.id,
+            year,
+            action: 'delete',
+            before: trashed
+        });
+
+        res.json({
+            success: true,
+            message: 'Transaction deleted permanently'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error deleting transaction from trash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete transaction'
+        });
+    }
+});
+
+// Get all transfers for a year
+router.get('/transfers', authorize('read'), async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const year = parseInt(req.query.year) || new Date().getFullYear();
+        const db = DatabaseManager.getConnection(userId, year);
+
+        const transfers = await DatabaseManager.all(db, `${TRANSFER_SELECT} ORDER BY tr.date DESC, tr.id DESC`);
+
+        res.json({
+            success: true,
+            data: transfers.map(transfer => formatTransfer(transfer, year))
+        });
+    } catch (error) {
+        console.error('Error fetching transfers:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch transfers'
+        });
+    }
 });
 
-// Delete transaction
-router.delete('/:id', (req, res) => {
+// Add new transfer between two accounts
+router.post('/transfers', authorize('write'), async (req, res) => {
     const userId = getUserId(req);
-    const transactionId = req.params.id;
-    const year = req.query.year || new Date().getFullYear();
-    const db = DatabaseManager.getConnection(userId, year);
+    const validationError = validateTransfer(req.body);
 
-    db.run(
-        'DELETE FROM transactions WHERE id = ?',
-        [transactionId],
-        function(err) {
-            if (err) {
-                console.error('Error deleting transaction:', err);
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to delete transaction'
-                });
-            }
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            message: validationError
+        });
+    }
 
-            if (this.changes === 0) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Transaction not found'
-                });
-            }
+    try {
+        await assertPeriodUnlocked(userId, req.body.date);
+
+        const year = new Date(req.body.date).getFullYear();
+        const db = DatabaseManager.getConnection(userId, year);
 
-            res.json({
-                success: true,
-                message: 'Transaction deleted successfully'
+        const transferId = await DatabaseManager.withTransaction(db, () => saveTransfer(db, null, req.body));
+        const transfer = formatTransfer(await DatabaseManager.get(db, `${TRANSFER_SELECT} WHERE tr.id = ?`, [transferId]), year);
+        await audit(req, userId, { entity: 'transfer', entityId: transfer.id, year, action: 'create', after: transfer });
+
+        res.status(201).json({
+            success: true,
+            data: transfer
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
             });
         }
-    );
+
+        console.error('Error creating transfer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create transfer'
+        });
+    }
 });
 
-// Get statistics
-router.get('/stats', (req, res) => {
+// Update transfer and both of its legs
+router.put('/transfers/:id', authorize('write'), async (req, res) => {
     const userId = getUserId(req);
-    const year = req.query.year || new Date().getFullYear();
-    const db = DatabaseManager.getConnection(userId, year);
+    const transferId = req.params.id;
+    const validationError = validateTransfer(req.body);
 
-    const queries = {
-        totalIncome: 'SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE type = "income"',
-        totalExpenses: 'SELECT COALESCE(SUM(amount), 0) as total FROM transactions WHERE type = "expense"',
-        transactionCount: 'SELECT COUNT(*) as count FROM transactions',
-        monthlyStats: `
-            SELECT 
-                strftime('%Y-%m', date) as month,
-                type,
-                SUM(amount) as total
-            FROM transactions 
-            WHERE strftime('%Y', date) = ?
-            GROUP BY strftime('%Y-%m', date), type
-            ORDER BY month
-        `
-    };
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            message: validationError
+        });
+    }
+
+    const transferYear = new Date(req.body.date).getFullYear();
+    const year = parseInt(req.query.year) || transferYear;
+
+    if (year !== transferYear) {
+        return res.status(400).json({
+            success: false,
+            message: 'A transfer cannot be moved to another year; delete it and create it again'
+        });
+    }
 
-    const results = {};
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
 
-    // Execute queries
-    db.get(queries.totalIncome, [], (err, result) => {
-        if (err) {
-            console.error('Error getting income stats:', err);
-            return res.status(500).json({ success: false, message: 'Failed to get statistics' });
+        const existing = await DatabaseManager.get(db, `${TRANSFER_SELECT} WHERE tr.id = ?`, [transferId]);
+        if (existing) {
+            await assertPeriodUnlocked(userId, existing.date);
         }
-        results.totalIncome = parseFloat(result.total);
+        await assertPeriodUnlocked(userId, req.body.date);
 
-        db.get(queries.totalExpenses, [], (err, result) => {
-            if (err) {
-                console.error('Error getting expense stats:', err);
-                return res.status(500).json({ success: false, message: 'Failed to get statistics' });
-            }
-            results.totalExpenses = parseFloat(result.total);
+        await DatabaseManager.withTransaction(db, () => saveTransfer(db, transferId, req.body));
+        const transfer = formatTransfer(await DatabaseManager.get(db, `${TRANSFER_SELECT} WHERE tr.id = ?`, [transferId]), year);
+        await audit(req, userId, {
+            entity: 'transfer',
+            entityId: transfer.id,
+            year,
+            action: 'update',
+            before: formatTransfer(existing, year),
+            after: transfer
+        });
 
-            db.get(queries.transactionCount, [], (err, result) => {
-                if (err) {
-                    console.error('Error getting transaction count:', err);
-                    return res.status(500).json({ success: false, message: 'Failed to get statistics' });
-                }
-                results.transactionCount = result.count;
+        res.json({
+            success: true,
+            data: transfer
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
 
-                db.all(queries.monthlyStats, [year.toString()], (err, monthlyData) => {
-                    if (err) {
-                        console.error('Error getting monthly stats:', err);
-                        return res.status(500).json({ success: false, message: 'Failed to get statistics' });
-                    }
+        console.error('Error updating transfer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update transfer'
+        });
+    }
+});
 
-                    // Process monthly data
-                    const monthlyStats = {};
-                    monthlyData.forEach(row => {
-                        if (!monthlyStats[row.month]) {
-                            monthlyStats[row.month] = { income: 0, expenses: 0 };
-                        }
-                        monthlyStats[row.month][row.type === 'income' ? 'income' : 'expenses'] = parseFloat(row.total);
-                    });
+// Delete transfer and both of its legs
+router.delete('/transfers/:id', authorize('delete'), async (req, res) => {
+    try {
+        const userId = getUserId(req);
+        const transferId = req.params.id;
+        const year = parseInt(req.query.year) || new Date().getFullYear();
 
-                    results.netBalance = results.totalIncome - results.totalExpenses;
-                    results.monthlyStats = monthlyStats;
+        if (!DatabaseManager.getUserYears(userId).includes(year)) {
+            throw httpError(404, 'Transfer not found');
+        }
 
-                    res.json({
-                        success: true,
-                        data: results
-                    });
-                });
+        const db = DatabaseManager.getConnection(userId, year);
+        const existing = await DatabaseManager.get(db, `${TRANSFER_SELECT} WHERE tr.id = ?`, [transferId]);
+        if (existing) {
+            await assertPeriodUnlocked(userId, existing.date);
+        }
+
+        const deleted = await DatabaseManager.withTransaction(db, async () => {
+            await DatabaseManager.run(db, 'DELETE FROM transactions WHERE transfer_id = ?', [transferId]);
+            const result = await DatabaseManager.run(db, 'DELETE FROM transfers WHERE id = ?', [transferId]);
+            return result.changes > 0;
+        });
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Transfer not found'
             });
+        }
+
+        await audit(req, userId, {
+            entity: 'transfer',
+            entityId: existing.id,
+            year,
+            action: 'delete',
+            before: formatTransfer(existing, year)
         });
-    });
+
+        res.json({
+            success: true,
+            message: 'Transfer deleted successfully'
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error deleting transfer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete transfer'
+        });
+    }
+});
+
+// Get statistics, for one year or across a date window
+router.get('/stats', authorize('read'), async (req, res) => {
+    const userId = getUserId(req);
+    const scope = resolveScope(req, userId);
+
+    if (scope.error) {
+        return res.status(400).json({
+            success: false,
+            message: scope.error
+        });
+    }
+
+    try {
+        res.json({
+            success: true,
+            data: await computeStats(userId, scope)
+        });
+    } catch (error) {
+        console.error('Error getting statistics:', error);
+        res.status(500).json({ success: false, message: 'Failed to get statistics' });
+    }
 });
 
-export default router;
\ No newline at end of file
+export default router;
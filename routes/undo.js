@@ -0,0 +1,355 @@
+import express from 'express';
+import DatabaseManager from '../database/DatabaseManager.js';
+import AuditLog from '../models/AuditLog.js';
+import ChangeJournal from '../models/ChangeJournal.js';
+import PeriodLock from '../models/PeriodLock.js';
+import { canAccess } from '../middleware/permissions.js';
+import { formatCategory } from './categories.js';
+import { assertPeriodUnlocked, fetchTransaction, fetchTrashed, moveTransaction, updateTransaction } from './transactions.js';
+
+const router = express.Router();
+
+// Error carrying the HTTP status a route should answer with
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// An undo only goes ahead if the record still has the values the change left
+// it with. Timestamps are not compared, so a change can be undone once the
+// changes made after it have been undone.
+const TRANSACTION_FIELDS = ['amount', 'date', 'type', 'categoryId', 'accountId', 'description'];
+
+const unchanged = (current, recorded) => Boolean(current) &&
+    TRANSACTION_FIELDS.every(field => current[field] === recorded[field]);
+
+// Connection to one of the user's year databases, or null if it no longer
+// exists; an undo never creates one
+const openYear = (userId, year) => (
+    DatabaseManager.getUserYears(userId).includes(year) ? DatabaseManager.getConnection(userId, year) : null
+);
+
+const readTransaction = async (userId, { id, year }) => {
+    const db = openYear(userId, year);
+    return db ? fetchTransaction(db, id, year) : null;
+};
+
+// Undo a create by moving the transaction to the trash
+const undoCreate = async (userId, entry) => {
+    const created = entry.after_data;
+    const current = await readTransaction(userId, created);
+
+    if (!unchanged(current, created)) {
+        throw httpError(409, 'The transaction has been changed or deleted since it was created');
+    }
+
+    await assertPeriodUnlocked(userId, current.date);
+
+    const db = DatabaseManager.getConnection(userId, created.year);
+    await DatabaseManager.run(
+        db,
+        'UPDATE transactions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+        [created.id]
+    );
+
+    return [{
+        entity: 'transaction',
+        entityId: created.id,
+        year: created.year,
+        action: 'delete',
+        before: current,
+        after: await fetchTrashed(db, created.id, created.year)
+    }];
+};
+
+// Undo an edit by writing the earlier values back, moving the transaction
+// back to its earlier year if the edit moved it
+const undoUpdate = async (userId, entry) => {
+    const { before_data: before, after_data: after } = entry;
+    const current = await readTransaction(userId, after);
+
+    if (!unchanged(current, after)) {
+        throw httpError(409, 'The transaction has been changed or deleted since this edit');
+    }
+
+    const fields = {
+        amount: before.amount,
+        date: before.date,
+        type: before.type,
+        categoryId: before.categoryId,
+        accountId: before.accountId,
+        description: before.description
+    };
+    let result;
+
+    if (before.year === after.year) {
+        result = await updateTransaction(userId, after.year, after.id, fields);
+    } else {
+        // moveTransaction takes ids from the year the transaction is in now
+        // and finds the category and account with the same name in the other
+        const db = DatabaseManager.getConnection(userId, after.year);
+        const category = await DatabaseManager.get(
+            db,
+            'SELECT id FROM categories WHERE name = ? AND type = ? ORDER BY is_default DESC, id LIMIT 1',
+            [before.categoryName, before.type]
+        );
+        if (!category) {
+            throw httpError(409, `Category "${before.categoryName}" no longer exists in ${after.year}`);
+        }
+
+        let account = null;
+        if (before.accountName) {
+            account = await DatabaseManager.get(db, 'SELECT id FROM accounts WHERE name = ? ORDER BY id LIMIT 1', [before.accountName]);
+            if (!account) {
+                throw httpError(409, `Account "${before.accountName}" no longer exists in ${after.year}`);
+            }
+        }
+
+        // Ids are never reused, so the transaction can have its old id back
+        // and earlier changes to it can still be undone
+        result = await moveTransaction(userId, after.year, before.year, after.id, {
+            ...fields,
+            categoryId: category.id,
+            accountId: account ? account.id : null
+        }, before.id);
+    }
+
+    return [{
+        entity: 'transaction',
+        entityId: result.after.id,
+        year: result.after.year,
+        action: 'update',
+        before: result.before,
+        after: result.after
+    }];
+};
+
+// Undo a delete by restoring the transaction from the trash
+const undoDelete = async (userId, entry) => {
+    const trashed = entry.after_data;
+    const db = openYear(userId, trashed.year);
+    const current = db ? await fetchTrashed(db, trashed.id, trashed.year) : null;
+
+    if (!unchanged(current, trashed)) {
+        throw httpError(409, 'The transaction is no longer in the trash');
+    }
+
+    await assertPeriodUnlocked(userId, current.date);
+    await DatabaseManager.run(
+        db,
+        'UPDATE transactions SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [trashed.id]
+    );
+
+    return [{
+        entity: 'transaction',
+        entityId: trashed.id,
+        year: trashed.year,
+        action: 'update',
+        before: current,
+        after: await fetchTransaction(db, trashed.id, trashed.year)
+    }];
+};
+
+// Undo a rename by giving the category its earlier name back
+const undoRename = async (userId, entry) => {
+    const { before_data: before, after_data: after } = entry;
+    const db = openYear(userId, entry.year);
+    const current = db ? await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [after.id]) : null;
+
+    if (!current || current.name !== after.name) {
+        throw httpError(409, 'The category has been renamed or deleted since');
+    }
+
+    await DatabaseManager.run(
+        db,
+        'UPDATE categories SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [before.name, after.id]
+    );
+
+    return [{
+        entity: 'category',
+        entityId: after.id,
+        year: entry.year,
+        action: 'update',
+        before: formatCategory(current),
+        after: formatCategory(await DatabaseManager.get(db, 'SELECT * FROM categories WHERE id = ?', [after.id]))
+    }];
+};
+
+// Undo an import by moving every transaction it created to the trash. All of
+// them are checked first, so nothing changes unless all can be undone.
+// Categories the import created are kept.
+const undoImport = async (userId, entry) => {
+    const imported = entry.after_data;
+    const locks = await PeriodLock.getByUser(userId);
+    const byYear = new Map();
+    let changed = 0;
+
+    for (const transaction of imported) {
+        const current = await readTransaction(userId, transaction);
+
+        if (!unchanged(current, transaction)) {
+            changed++;
+            continue;
+        }
+
+        const lock = PeriodLock.findCovering(locks, current.date);
+        if (lock) {
+            throw httpError(409, `${PeriodLock.describe(lock.year, lock.month)} is locked; the import cannot be undone`);
+        }
+
+        if (!byYear.has(transaction.year)) {
+            byYear.set(transaction.year, []);
+        }
+        byYear.get(transaction.year).push(current);
+    }
+
+    if (changed > 0) {
+        throw httpError(409, `${changed} of the ${imported.length} imported transaction(s) have been changed or deleted since the import`);
+    }
+
+    const changes = [];
+
+    for (const [year, transactions] of byYear) {
+        const db = DatabaseManager.getConnection(userId, year);
+
+        await DatabaseManager.withTransaction(db, async () => {
+            for (const transaction of transactions) {
+                await DatabaseManager.run(
+                    db,
+                    'UPDATE transactions SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL',
+                    [transaction.id]
+                );
+            }
+        });
+
+        for (const transaction of transactions) {
+            changes.push({
+                entity: 'transaction',
+                entityId: transaction.id,
+                year,
+                action: 'delete',
+                before: transaction,
+                after: await fetchTrashed(db, transaction.id, year)
+            });
+        }
+    }
+
+    return changes;
+};
+
+const UNDO = {
+    'transaction.create': undoCreate,
+    'transaction.update': undoUpdate,
+    'transaction.delete': undoDelete,
+    'category.rename': undoRename,
+    'import': undoImport
+};
+
+const formatEntry = (entry) => ({
+    id: entry.id,
+    action: entry.action,
+    userId: entry.target_user_id,
+    year: entry.year,
+    entityId: entry.entity_id,
+    // An import lists every transaction it created; only the count is shown
+    ...(entry.action === 'import'
+        ? { transactionCount: entry.after_data.length }
+        : { before: entry.before_data, after: entry.after_data }),
+    createdAt: entry.created_at,
+    undone: Boolean(entry.undone_at),
+    undoneAt: entry.undone_at
+});
+
+// The changes the current user can undo, newest first
+router.get('/', async (req, res) => {
+    try {
+        const entries = await ChangeJournal.getRecent(req.user.id);
+
+        res.json({
+            success: true,
+            data: entries.map(formatEntry),
+            historySize: ChangeJournal.size()
+        });
+    } catch (error) {
+        console.error('Error fetching change journal:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch recent changes'
+        });
+    }
+});
+
+// Undo one of the current user's recent changes. Fails with 409, changing
+// nothing, if what it changed has been changed again since.
+router.post('/:id', async (req, res) => {
+    let entry;
+
+    try {
+        entry = await ChangeJournal.get(req.user.id, parseInt(req.params.id));
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Change not found; only your most recent changes can be undone'
+            });
+        }
+
+        // Undoing a create moves what it created to the trash
+        const needed = ['transaction.create', 'import'].includes(entry.action) ? 'delete' : 'write';
+        if (!canAccess(req.user, entry.target_user_id, needed)) {
+            return res.status(403).json({
+                success: false,
+                message: `Access denied. The ${req.user.role} role cannot ${needed} records.`
+            });
+        }
+
+        if (!await ChangeJournal.markUndone(entry.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This change has already been undone'
+            });
+        }
+    } catch (error) {
+        console.error('Error reading change journal:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to undo change'
+        });
+    }
+
+    try {
+        const changes = await UNDO[entry.action](entry.target_user_id, entry);
+
+        for (const change of changes) {
+            await AuditLog.record({ actorId: req.user.id, targetUserId: entry.target_user_id, ...change });
+        }
+
+        res.json({
+            success: true,
+            message: 'Change undone successfully',
+            data: {
+                id: entry.id,
+                action: entry.action,
+                changes: changes.map(({ entity, entityId, year, action, after }) => ({ entity, entityId, year, action, after }))
+            }
+        });
+    } catch (error) {
+        await ChangeJournal.clearUndone(entry.id).catch(err => {
+            console.error('Error clearing undo mark:', err);
+        });
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error undoing change:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to undo change'
+        });
+    }
+});
+
+export default router;
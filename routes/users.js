@@ -1,22 +1,21 @@
 import express from 'express';
 import User from '../models/User.js';
+import BackupLog from '../models/BackupLog.js';
+import AuditLog from '../models/AuditLog.js';
+import PasswordReset from '../models/PasswordReset.js';
+import TwoFactor from '../models/TwoFactor.js';
+import LoginThrottle from '../models/LoginThrottle.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { ROLES, permissionsFor, requirePermission } from '../middleware/permissions.js';
+import { runScheduledBackups } from './backup.js';
 
 const router = express.Router();
 
-// Middleware to check if user is superadmin
-const requireSuperAdmin = (req, res, next) => {
-    if (!req.user || req.user.role !== 'superadmin') {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied. Super admin privileges required.'
-        });
-    }
-    next();
-};
+// Record a change to a user account in the audit log; the account is also the target
+const audit = (req, userId, entry) => AuditLog.record({ actorId: req.user.id, targetUserId: userId, entity: 'user', entityId: userId, ...entry });
 
-// Get all users (SuperAdmin only)
-router.get('/', authenticateToken, requireSuperAdmin, async (req, res) => {
+// Get all users (needs users:read)
+router.get('/', authenticateToken, requirePermission('users:read'), async (req, res) => {
     try {
         const users = await User.getAllUsers();
         res.json({
@@ -32,8 +31,8 @@ router.get('/', authenticateToken, requireSuperAdmin, async (req, res) => {
     }
 });
 
-// Create new user (SuperAdmin only)
-router.post('/', authenticateToken, requireSuperAdmin, async (req, res) => {
+// Create new user (needs users:manage)
+router.post('/', authenticateToken, requirePermission('users:manage'), async (req, res) => {
     try {
         const { username, password, name, role = 'user' } = req.body;
 
@@ -51,12 +50,23 @@ router.post('/', authenticateToken, requireSuperAdmin, async (req, res) => {
             });
         }
 
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
         const user = await User.createUser(username, password, name);
 
-        // Update role if different from default
-        if (role !== 'user') {
-            await User.updateUser(user.id, { role });
-        }
+        // The password was chosen for the user, so they change it on first
+        // login. Update role if different from default.
+        await User.updateUser(user.id, {
+            must_change_password: true,
+            ...(role !== 'user' && { role })
+        });
+
+        await audit(req, user.id, { action: 'create', after: await User.getUserRecord(user.id) });
 
         res.status(201).json({
             success: true,
@@ -79,18 +89,276 @@ router.post('/', authenticateToken, requireSuperAdmin, async (req, res) => {
     }
 });
 
-// Update user (SuperAdmin only)
-router.put('/:id', authenticateToken, requireSuperAdmin, async (req, res) => {
+const formatBackupRun = (run) => ({
+    id: run.id,
+    trigger: run.trigger,
+    status: run.status,
+    backedUp: run.backed_up,
+    skipped: run.skipped,
+    failed: run.failed,
+    pruned: run.pruned,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at
+});
+
+// The roles a user can have and what each allows (needs users:read)
+router.get('/roles', authenticateToken, requirePermission('users:read'), (req, res) => {
+    res.json({
+        success: true,
+        data: ROLES.map(role => ({ role, permissions: permissionsFor(role) }))
+    });
+});
+
+// List scheduled backup runs, newest first (needs users:read)
+router.get('/backups', authenticateToken, requirePermission('users:read'), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const offset = parseInt(req.query.offset) || 0;
+        const runs = await BackupLog.getRuns(limit, offset);
+
+        res.json({
+            success: true,
+            data: runs.map(formatBackupRun)
+        });
+    } catch (error) {
+        console.error('Error fetching backup runs:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch backup runs'
+        });
+    }
+});
+
+// Back up all databases now instead of waiting for the schedule (needs users:manage)
+router.post('/backups/run', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { runId } = await runScheduledBackups('admin');
+        const run = await BackupLog.getRun(runId);
+
+        res.json({
+            success: true,
+            data: formatBackupRun(run)
+        });
+    } catch (error) {
+        console.error('Error running backups:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run backups'
+        });
+    }
+});
+
+// Get one backup run with its per-database results (needs users:read)
+router.get('/backups/:runId', authenticateToken, requirePermission('users:read'), async (req, res) => {
+    try {
+        const run = await BackupLog.getRun(req.params.runId);
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                message: 'Backup run not found'
+            });
+        }
+
+        const results = await BackupLog.getResults(run.id);
+
+        res.json({
+            success: true,
+            data: {
+                ...formatBackupRun(run),
+                results: results.map(result => ({
+                    userId: result.user_id,
+                    year: result.year,
+                    fileName: result.file_name,
+                    size: result.size,
+                    status: result.status,
+                    message: result.message,
+                    createdAt: result.created_at
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching backup run:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch backup run'
+        });
+    }
+});
+
+// Which roles must use two-factor authentication (needs users:read)
+router.get('/two-factor-policy', authenticateToken, requirePermission('users:read'), async (req, res) => {
+    try {
+        const policies = await TwoFactor.getPolicies();
+
+        res.json({
+            success: true,
+            data: ROLES.map(role => {
+                const policy = policies.find(p => p.role === role);
+                return {
+                    role,
+                    required: Boolean(policy && policy.required),
+                    updatedBy: policy ? policy.updated_by : null,
+                    updatedAt: policy ? policy.updated_at : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error fetching two-factor policy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch two-factor policy'
+        });
+    }
+});
+
+// Require 2FA for a role, or stop requiring it (needs users:manage). Users with
+// the role who haven't enrolled can only enroll until they do.
+router.put('/two-factor-policy', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { role, required } = req.body;
+
+        if (!ROLES.includes(role) || typeof required !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: `role (${ROLES.join(', ')}) and required (true or false) are required`
+            });
+        }
+
+        await TwoFactor.setRequired(role, required, req.user.id);
+
+        res.json({
+            success: true,
+            message: `Two-factor authentication is ${required ? 'now required' : 'no longer required'} for the ${role} role`
+        });
+    } catch (error) {
+        console.error('Error updating two-factor policy:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update two-factor policy'
+        });
+    }
+});
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// Recent failed logins, newest first (needs users:read). Filters: ?username,
+// ?userId, ?from and ?to (inclusive dates), with ?page and ?limit for paging.
+router.get('/login-failures', authenticateToken, requirePermission('users:read'), async (req, res) => {
+    try {
+        const { username, userId, from, to } = req.query;
+
+        if ((from && !isDate(from)) || (to && !isDate(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'From and to must be dates in YYYY-MM-DD format'
+            });
+        }
+
+        const filters = {
+            username: username || null,
+            userId: parseInt(userId) || null,
+            from: from || null,
+            to: to || null
+        };
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = (page - 1) * limit;
+        const [failures, totalCount] = await Promise.all([
+            LoginThrottle.findFailures(filters, limit, offset),
+            LoginThrottle.countFailures(filters)
+        ]);
+
+        res.json({
+            success: true,
+            data: failures.map(failure => ({
+                id: failure.id,
+                username: failure.username,
+                userId: failure.user_id,
+                reason: failure.reason,
+                ipAddress: failure.ip_address,
+                userAgent: failure.user_agent,
+                createdAt: failure.created_at
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalCount / limit),
+                totalCount,
+                hasNextPage: offset + limit < totalCount,
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching login failures:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch login failures'
+        });
+    }
+});
+
+// Usernames that are locked or have failed logins since their last
+// successful one, locked first (needs users:read)
+router.get('/lockouts', authenticateToken, requirePermission('users:read'), async (req, res) => {
+    try {
+        const throttled = await LoginThrottle.getThrottled();
+
+        res.json({
+            success: true,
+            data: throttled.map(entry => ({
+                username: entry.username,
+                userId: entry.user_id,
+                locked: Boolean(entry.locked),
+                lockedUntil: entry.locked ? entry.locked_until : null,
+                failedCount: entry.failed_count,
+                lockoutCount: entry.lockout_count,
+                lastFailedAt: entry.last_failed_at
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching lockouts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch lockouts'
+        });
+    }
+});
+
+// Update user (needs users:manage)
+router.put('/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
     try {
         const userId = parseInt(req.params.id);
         const { name, password, role, is_active } = req.body;
 
-        const result = await User.updateUser(userId, { name, password, role, is_active });
+        if (role !== undefined && !ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        // A password set here has to be changed by the user on next login
+        const before = await User.getUserRecord(userId);
+        const result = await User.updateUser(userId, {
+            name,
+            password,
+            role,
+            is_active,
+            ...(password && { must_change_password: true })
+        });
 
         if (!result.success) {
             return res.status(404).json(result);
         }
 
+        // Password hashes are never logged, only that the password changed
+        const after = await User.getUserRecord(userId);
+        await audit(req, userId, {
+            action: 'update',
+            before,
+            after: password ? { ...after, passwordChanged: true } : after
+        });
+
         res.json(result);
     } catch (error) {
         console.error('Error updating user:', error);
@@ -101,8 +369,107 @@ router.put('/:id', authenticateToken, requireSuperAdmin, async (req, res) => {
     }
 });
 
-// Delete user (SuperAdmin only) - Actually just deactivates
-router.delete('/:id', authenticateToken, requireSuperAdmin, async (req, res) => {
+// Issue a one-time password reset token for a user (needs users:manage). The
+// user redeems it through POST /api/auth/reset-password; the token is only
+// shown here.
+router.post('/:id/password-reset', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const user = await User.getUserById(userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { token, expiresAt } = await PasswordReset.issue(userId, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            data: { userId, token, expiresAt }
+        });
+    } catch (error) {
+        console.error('Error issuing password reset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue password reset'
+        });
+    }
+});
+
+// Turn off 2FA for a user who has lost both their authenticator and their
+// recovery codes (needs users:manage). If their role requires 2FA they have to
+// enroll again before doing anything else.
+router.delete('/:id/two-factor', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const enabled = await TwoFactor.isEnabled(userId);
+
+        if (!await TwoFactor.disable(userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Two-factor authentication is not set up for this user'
+            });
+        }
+
+        if (enabled) {
+            const record = await User.getUserRecord(userId);
+            await audit(req, userId, {
+                action: 'update',
+                before: { ...record, twoFactorEnabled: true },
+                after: { ...record, twoFactorEnabled: false }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled for user'
+        });
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication'
+        });
+    }
+});
+
+// Clear a user's failed logins and lift any lockout (needs users:manage)
+router.post('/:id/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const user = await User.getUserRecord(parseInt(req.params.id));
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!await LoginThrottle.unlock(user.username, req.user.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'User has no failed logins to clear'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'User unlocked successfully'
+        });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlock user'
+        });
+    }
+});
+
+// Delete user (needs users:manage) - Actually just deactivates
+router.delete('/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
     try {
         const userId = parseInt(req.params.id);
 
@@ -115,12 +482,15 @@ router.delete('/:id', authenticateToken, requireSuperAdmin, async (req, res) =>
             });
         }
 
+        const before = await User.getUserRecord(userId);
         const result = await User.updateUser(userId, { is_active: false });
 
         if (!result.success) {
             return res.status(404).json(result);
         }
 
+        await audit(req, userId, { action: 'delete', before, after: await User.getUserRecord(userId) });
+
         res.json({
             success: true,
             message: 'User deactivated successfully'
@@ -0,0 +1,312 @@
+import express from 'express';
+import DatabaseManager from '../database/DatabaseManager.js';
+import AuditLog from '../models/AuditLog.js';
+import { getUserId, requirePermission } from '../middleware/permissions.js';
+
+const router = express.Router();
+
+// Closing and reopening are audited as updates of the year, like a restore
+// from a backup (see routes/backup.js)
+const audit = (req, userId, year, before, after) => AuditLog.record({
+    actorId: req.user.id,
+    targetUserId: userId,
+    entity: 'year',
+    entityId: year,
+    year,
+    action: 'update',
+    before,
+    after
+});
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Amounts are stored as decimals; compare them to the cent
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Opening balance, totals and closing balance of one year database. `schema`
+// is 'main' or the alias of an attached year. A year without a carried-forward
+// opening balance opens with the sum of its accounts' opening balances.
+// Transfers move money between accounts and don't change the balance, and
+// transactions in the trash are left out.
+const summarizeYear = async (db, schema = 'main') => {
+    const opening = await DatabaseManager.get(db, `SELECT amount, source_year FROM ${schema}.year_opening WHERE id = 1`);
+    const accounts = await DatabaseManager.get(
+        db,
+        `SELECT COALESCE(SUM(opening_balance), 0) as total FROM ${schema}.accounts`
+    );
+    const totals = await DatabaseManager.get(
+        db,
+        `SELECT
+            COALESCE(SUM(CASE WHEN type = 'income' THEN amount END), 0) as income,
+            COALESCE(SUM(CASE WHEN type = 'expense' THEN amount END), 0) as expenses
+         FROM ${schema}.transactions
+         WHERE transfer_id IS NULL AND deleted_at IS NULL`
+    );
+    const closed = await DatabaseManager.get(db, `SELECT closing_balance, closed_at FROM ${schema}.year_close WHERE id = 1`);
+
+    const openingBalance = opening ? parseFloat(opening.amount) : parseFloat(accounts.total);
+    const income = parseFloat(totals.income);
+    const expenses = parseFloat(totals.expenses);
+
+    return {
+        openingBalance,
+        carriedFrom: opening ? opening.source_year : null,
+        income,
+        expenses,
+        closingBalance: roundAmount(openingBalance + income - expenses),
+        closed: Boolean(closed),
+        closedAt: closed ? closed.closed_at : null
+    };
+};
+
+// Close a year: copy its custom categories and its accounts (with their
+// closing balances as opening balances) into the next year, record the
+// closing balance there as the opening balance, then lock the year. The next
+// year is attached so that everything commits or rolls back together.
+const closeYear = async (userId, year, closedBy) => {
+    if (!DatabaseManager.getUserYears(userId).includes(year)) {
+        throw httpError(404, 'No database found for the specified year');
+    }
+
+    const db = DatabaseManager.getConnection(userId, year);
+    const nextDb = DatabaseManager.getConnection(userId, year + 1);
+
+    // Wait for the next year's schema before attaching it
+    await DatabaseManager.whenReady(nextDb);
+
+    return DatabaseManager.withTransaction(db, async () => {
+        if (await DatabaseManager.get(db, 'SELECT 1 FROM main.year_close')) {
+            throw httpError(409, `Year ${year} is already closed`);
+        }
+
+        const summary = await summarizeYear(db, 'main');
+
+        const categoriesCopied = [];
+        const categories = await DatabaseManager.all(
+            db,
+            'SELECT name, type FROM main.categories WHERE is_default = 0 ORDER BY type, name'
+        );
+
+        for (const category of categories) {
+            const existing = await DatabaseManager.get(
+                db,
+                'SELECT id FROM next.categories WHERE name = ? AND type = ?',
+                [category.name, category.type]
+            );
+
+            if (!existing) {
+                await DatabaseManager.run(
+                    db,
+                    'INSERT INTO next.categories (name, type, is_default) VALUES (?, ?, 0)',
+                    [category.name, category.type]
+                );
+                categoriesCopied.push({ name: category.name, type: category.type });
+            }
+        }
+
+        const accountsCarried = [];
+        const accounts = await DatabaseManager.all(
+            db,
+            `SELECT a.name, a.type, a.opening_balance,
+                COALESCE(SUM(CASE WHEN t.type = 'income' THEN t.amount END), 0) as income,
+                COALESCE(SUM(CASE WHEN t.type = 'expense' THEN t.amount END), 0) as expenses
+             FROM main.accounts a
+             LEFT JOIN main.transactions t ON t.account_id = a.id AND t.deleted_at IS NULL
+             GROUP BY a.id
+             ORDER BY a.name`
+        );
+
+        for (const account of accounts) {
+            const balance = roundAmount(
+                parseFloat(account.opening_balance) + parseFloat(account.income) - parseFloat(account.expenses)
+            );
+            const existing = await DatabaseManager.get(
+                db,
+                'SELECT id FROM next.accounts WHERE name = ? AND type = ? ORDER BY id LIMIT 1',
+                [account.name, account.type]
+            );
+
+            if (existing) {
+                await DatabaseManager.run(
+                    db,
+                    'UPDATE next.accounts SET opening_balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+                    [balance, existing.id]
+                );
+            } else {
+                await DatabaseManager.run(
+                    db,
+                    'INSERT INTO next.accounts (name, type, opening_balance) VALUES (?, ?, ?)',
+                    [account.name, account.type, balance]
+                );
+            }
+            accountsCarried.push({ name: account.name, type: account.type, openingBalance: balance, created: !existing });
+        }
+
+        await DatabaseManager.run(
+            db,
+            `INSERT INTO next.year_opening (id, amount, source_year) VALUES (1, ?, ?)
+             ON CONFLICT (id) DO UPDATE SET amount = excluded.amount, source_year = excluded.source_year,
+                updated_at = CURRENT_TIMESTAMP`,
+            [summary.closingBalance, year]
+        );
+
+        // Lock last: from here on the triggers refuse changes to this year
+        await DatabaseManager.run(
+            db,
+            'INSERT INTO main.year_close (id, closing_balance, closed_by) VALUES (1, ?, ?)',
+            [summary.closingBalance, closedBy]
+        );
+
+        return {
+            year,
+            closingBalance: summary.closingBalance,
+            nextYear: year + 1,
+            categoriesCopied,
+            accountsCarried
+        };
+    }, { attach: { next: DatabaseManager.getDbFilePath(userId, year + 1) } });
+};
+
+// Get available years for user
+router.get('/', (req, res) => {
+    try {
+        const years = DatabaseManager.getUserYears(getUserId(req));
+
+        // If no years found, return current year
+        if (years.length === 0) {
+            years.push(new Date().getFullYear());
+        }
+
+        res.json({
+            success: true,
+            data: years
+        });
+    } catch (error) {
+        console.error('Error getting user years:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get years'
+        });
+    }
+});
+
+// Opening and closing balance of every year, oldest first. `consistent` is
+// false when a year's carried-forward opening balance no longer matches the
+// previous year's closing balance, e.g. after that year was reopened and edited.
+router.get('/balances', async (req, res) => {
+    const userId = getUserId(req);
+
+    try {
+        const years = DatabaseManager.getUserYears(userId).sort((a, b) => a - b);
+        const chain = [];
+
+        for (const year of years) {
+            const summary = await summarizeYear(DatabaseManager.getConnection(userId, year));
+            const previous = chain.find(entry => entry.year === summary.carriedFrom);
+
+            chain.push({
+                year,
+                ...summary,
+                consistent: !previous || roundAmount(previous.closingBalance) === roundAmount(summary.openingBalance)
+            });
+        }
+
+        res.json({
+            success: true,
+            data: chain
+        });
+    } catch (error) {
+        console.error('Error getting year balances:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get year balances'
+        });
+    }
+});
+
+// Close a year and carry its categories, accounts and balance forward
+router.post('/:year/close', requirePermission('years:close'), async (req, res) => {
+    const year = parseInt(req.params.year);
+
+    if (isNaN(year)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid year'
+        });
+    }
+
+    try {
+        const userId = getUserId(req);
+        const result = await closeYear(userId, year, req.user.id);
+        await audit(req, userId, year, { closed: false }, { closed: true, closingBalance: result.closingBalance });
+
+        res.json({
+            success: true,
+            message: `Year ${year} closed successfully`,
+            data: result
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error closing year:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to close year'
+        });
+    }
+});
+
+// Reopen a closed year (SuperAdmin only). The balance already carried into
+// the next year is kept; closing the year again replaces it.
+router.post('/:year/reopen', requirePermission('years:reopen'), async (req, res) => {
+    const userId = getUserId(req);
+    const year = parseInt(req.params.year);
+
+    if (isNaN(year) || !DatabaseManager.getUserYears(userId).includes(year)) {
+        return res.status(404).json({
+            success: false,
+            message: 'No database found for the specified year'
+        });
+    }
+
+    try {
+        const db = DatabaseManager.getConnection(userId, year);
+        const closed = await DatabaseManager.withTransaction(db, async () => {
+            const row = await DatabaseManager.get(db, 'SELECT closing_balance, closed_at, closed_by FROM year_close WHERE id = 1');
+            await DatabaseManager.run(db, 'DELETE FROM year_close');
+            return row;
+        });
+
+        if (!closed) {
+            return res.status(409).json({
+                success: false,
+                message: `Year ${year} is not closed`
+            });
+        }
+
+        await audit(req, userId, year, {
+            closed: true,
+            closingBalance: parseFloat(closed.closing_balance),
+            closedAt: closed.closed_at,
+            closedBy: closed.closed_by
+        }, { closed: false });
+
+        res.json({
+            success: true,
+            message: `Year ${year} reopened successfully`
+        });
+    } catch (error) {
+        console.error('Error reopening year:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reopen year'
+        });
+    }
+});
+
+export default router;
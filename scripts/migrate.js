@@ -0,0 +1,85 @@
+// Migrate users.db and every user_<id>_<year>.db in the databases directory.
+//
+// Usage: npm run migrate -- [--dry-run] [--dir ./databases]
+//
+// With --dry-run each file is migrated inside a transaction that is rolled
+// back, so the report shows what would change without changing anything.
+// Exits with status 1 if any file failed to migrate; a failed file is left
+// as it was.
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { runMigrations } from '../database/migrate.js';
+import { usersMigrations, yearMigrations } from '../database/migrations.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const dirIndex = args.indexOf('--dir');
+const dbPath = dirIndex !== -1 ? args[dirIndex + 1] : './databases';
+
+const openDatabase = (file) => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, (err) => err ? reject(err) : resolve(db));
+});
+
+const closeDatabase = (db) => new Promise(resolve => db.close(() => resolve()));
+
+const migrateFile = async (file, migrations) => {
+    let db;
+
+    try {
+        db = await openDatabase(path.join(dbPath, file));
+        db.configure('busyTimeout', 5000);
+
+        const report = await runMigrations(db, migrations, { dryRun });
+        const versions = report.applied.map(m => `${m.version} ${m.name}`).join(', ');
+
+        if (report.applied.length === 0) {
+            console.log(`  ${file}: up to date (version ${report.from})`);
+        } else {
+            console.log(`  ${file}: ${dryRun ? 'would migrate' : 'migrated'} ${report.from} -> ${report.to} (${versions})`);
+        }
+        return true;
+    } catch (error) {
+        console.error(`  ${file}: FAILED - ${error.message}`);
+        return false;
+    } finally {
+        if (db) {
+            await closeDatabase(db);
+        }
+    }
+};
+
+const main = async () => {
+    if (!fs.existsSync(dbPath)) {
+        console.error(`Database directory not found: ${dbPath}`);
+        process.exit(1);
+    }
+
+    // Backups live in the backups/ subdirectory, which readdirSync doesn't descend into
+    const yearFiles = fs.readdirSync(dbPath)
+        .filter(file => /^user_\d+_\d{4}\.db$/.test(file))
+        .sort();
+
+    console.log(`${dryRun ? 'Dry run: checking' : 'Migrating'} databases in ${dbPath}`);
+
+    let failed = 0;
+
+    if (fs.existsSync(path.join(dbPath, 'users.db'))) {
+        if (!await migrateFile('users.db', usersMigrations)) {
+            failed++;
+        }
+    }
+
+    for (const file of yearFiles) {
+        if (!await migrateFile(file, yearMigrations)) {
+            failed++;
+        }
+    }
+
+    const total = yearFiles.length + (fs.existsSync(path.join(dbPath, 'users.db')) ? 1 : 0);
+    console.log(`${total} database(s) checked, ${failed} failed`);
+
+    process.exit(failed > 0 ? 1 : 0);
+};
+
+main();
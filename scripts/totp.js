@@ -0,0 +1,28 @@
+// Print the current two-factor code for a secret, as an authenticator app
+// would, for trying out 2FA without a phone.
+//
+// Usage: npm run totp -- <base32 secret>
+//        npm run totp -- --new
+//
+// With --new a fresh secret is generated and printed with its code.
+import { generateCode, generateSecret, timeStep } from '../utils/totp.js';
+
+const args = process.argv.slice(2);
+const secret = args.includes('--new') ? generateSecret() : args[0];
+
+if (!secret) {
+    console.error('Usage: npm run totp -- <base32 secret> | --new');
+    process.exit(1);
+}
+
+try {
+    const secondsLeft = 30 - Math.floor(Date.now() / 1000) % 30;
+
+    if (args.includes('--new')) {
+        console.log(`Secret: ${secret}`);
+    }
+    console.log(`Code:   ${generateCode(secret, timeStep())} (valid for ${secondsLeft}s more)`);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -10,13 +10,25 @@ import usersRoutes from './routes/users.js';
 // Import routes
 import authRoutes from './routes/auth.js';
 import categoriesRoutes from './routes/categories.js';
-import transactionsRoutes from './routes/transactions.js';
+import transactionsRoutes, { purgeTrash } from './routes/transactions.js';
+import accountsRoutes from './routes/accounts.js';
+import budgetsRoutes from './routes/budgets.js';
+import recurringRoutes, { materializeRecurring } from './routes/recurring.js';
+import importRoutes from './routes/import.js';
+import exportRoutes from './routes/export.js';
+import backupRoutes, { runScheduledBackups } from './routes/backup.js';
+import yearsRoutes from './routes/years.js';
+import locksRoutes from './routes/locks.js';
+import auditRoutes from './routes/audit.js';
+import undoRoutes from './routes/undo.js';
 
 // Import middleware
 import { authenticateToken } from './middleware/auth.js';
+import { authorize } from './middleware/permissions.js';
 
 // Import database manager
 import DatabaseManager from './database/DatabaseManager.js';
+import BackupLog from './models/BackupLog.js';
 
 // ES6 dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -41,16 +53,18 @@ app.use(cors({
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per windowMs
+// Rate limiting per IP, separately for the auth routes and the data routes.
+// Password guessing against one username is limited by models/LoginThrottle.js.
+const createLimiter = (prefix, defaults) => rateLimit({
+    windowMs: (parseInt(process.env[`${prefix}_RATE_LIMIT_WINDOW_MINUTES`]) || defaults.windowMinutes) * 60 * 1000,
+    max: parseInt(process.env[`${prefix}_RATE_LIMIT_MAX`]) || defaults.max,
     message: {
         success: false,
         message: 'Too many requests from this IP, please try again later.'
     }
 });
-app.use(limiter);
+const authLimiter = createLimiter('AUTH', { windowMinutes: 15, max: 30 });
+const apiLimiter = createLimiter('API', { windowMinutes: 15, max: 1000 });
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -66,68 +80,29 @@ app.get('/api/health', (req, res) => {
 });
 
 // Auth routes (public)
-app.use('/api/auth', authRoutes);
+app.use('/api/auth', authLimiter, authRoutes);
 
-// Protected routes
+// Everything else under /api
+app.use('/api', apiLimiter);
+
+// Protected routes. Transactions and categories check permissions per route;
+// the others by HTTP method (see middleware/permissions.js).
 app.use('/api/categories', authenticateToken, categoriesRoutes);
 app.use('/api/transactions', authenticateToken, transactionsRoutes);
+app.use('/api/accounts', authenticateToken, authorize(), accountsRoutes);
+app.use('/api/budgets', authenticateToken, authorize(), budgetsRoutes);
+app.use('/api/recurring', authenticateToken, authorize(), recurringRoutes);
+app.use('/api/import', authenticateToken, authorize('write'), importRoutes);
+app.use('/api/export', authenticateToken, authorize('read'), exportRoutes);
+app.use('/api/backup', authenticateToken, authorize(), backupRoutes);
+app.use('/api/years', authenticateToken, authorize(), yearsRoutes);
+app.use('/api/locks', authenticateToken, authorize(), locksRoutes);
+app.use('/api/audit', authenticateToken, authorize('read'), auditRoutes);
+app.use('/api/undo', authenticateToken, authorize(), undoRoutes);
 
 // User routes
 app.use('/api/users', authenticateToken, usersRoutes);
 
-// Get available years for user
-app.get('/api/years', authenticateToken, (req, res) => {
-    try {
-        const userId = req.user.id;
-        const years = DatabaseManager.getUserYears(userId);
-
-        // If no years found, return current year
-        if (years.length === 0) {
-            years.push(new Date().getFullYear());
-        }
-
-        res.json({
-            success: true,
-            data: years
-        });
-    } catch (error) {
-        console.error('Error getting user years:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to get years'
-        });
-    }
-});
-
-// Backup endpoint
-app.post('/api/backup/:year', authenticateToken, (req, res) => {
-    try {
-        const userId = req.user.id;
-        const year = req.params.year;
-
-        const backupFile = DatabaseManager.backupDatabase(userId, year);
-
-        if (backupFile) {
-            res.json({
-                success: true,
-                message: 'Backup created successfully',
-                backupFile: path.basename(backupFile)
-            });
-        } else {
-            res.status(404).json({
-                success: false,
-                message: 'No database found for the specified year'
-            });
-        }
-    } catch (error) {
-        console.error('Error creating backup:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to create backup'
-        });
-    }
-});
-
 // Global error handler
 app.use((err, req, res, next) => {
     console.error('Unhandled error:', err);
@@ -158,12 +133,77 @@ process.on('SIGTERM', () => {
     process.exit(0);
 });
 
+// Create due recurring transactions
+const runRecurring = () => {
+    materializeRecurring()
+        .then(created => {
+            if (created > 0) {
+                console.log(`🔁 Created ${created} recurring transaction(s)`);
+            }
+        })
+        .catch(error => console.error('Error creating recurring transactions:', error));
+};
+
+// Permanently delete transactions that have been in the trash too long
+const runTrashPurge = () => {
+    purgeTrash()
+        .then(purged => {
+            if (purged > 0) {
+                console.log(`🗑️  Purged ${purged} transaction(s) from the trash`);
+            }
+        })
+        .catch(error => console.error('Error purging trash:', error));
+};
+
+// Back up every active user's databases
+const runBackups = () => {
+    runScheduledBackups()
+        .then(({ backedUp, failed }) => {
+            if (backedUp > 0 || failed > 0) {
+                console.log(`💾 Backed up ${backedUp} database(s), ${failed} failed`);
+            }
+        })
+        .catch(error => console.error('Error running scheduled backups:', error));
+};
+
+// Start the backup schedule (default daily; 0 turns it off). A run is made
+// on startup only if the last one is older than the interval, so frequent
+// restarts don't pile up copies.
+const scheduleBackups = async () => {
+    const hours = parseFloat(process.env.BACKUP_INTERVAL_HOURS ?? 24);
+    if (!(hours > 0)) {
+        return;
+    }
+
+    const interval = hours * 60 * 60 * 1000;
+    setInterval(runBackups, interval);
+
+    try {
+        const lastRun = await BackupLog.getLastRun();
+        if (!lastRun || Date.now() - new Date(`${lastRun.started_at.replace(' ', 'T')}Z`).getTime() >= interval) {
+            runBackups();
+        }
+    } catch (error) {
+        console.error('Error checking last backup run:', error);
+    }
+};
+
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 Track My Money API server running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 CORS Origin: ${process.env.CORS_ORIGIN || 'http://localhost:5173'}`);
     console.log(`💾 Database Path: ${process.env.DB_PATH || './databases'}`);
+
+    // Catch up on startup, then check on an interval (default hourly)
+    runRecurring();
+    setInterval(runRecurring, (parseInt(process.env.RECURRING_INTERVAL_MINUTES) || 60) * 60 * 1000);
+
+    // Purge the trash on startup and then daily
+    runTrashPurge();
+    setInterval(runTrashPurge, 24 * 60 * 60 * 1000);
+
+    scheduleBackups();
 });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,66 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: accountsRoutes } = await import('../routes/accounts.js');
+
+let server;
+const request = (...args) => server.request(...args);
+
+before(async () => {
+    await DatabaseManager.whenReady(DatabaseManager.getConnection(2, 2025));
+    server = await serveRoutes(app => app.use('/api/accounts', accountsRoutes));
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('year databases', () => {
+    it("refuses a year that would open another user's file", () => {
+        for (const year of ['x/../user_2_2025', '2025/../../users', '20251', '', null]) {
+            assert.throws(() => DatabaseManager.getConnection(1, year), { status: 400, message: 'Invalid year' });
+        }
+        assert.throws(() => DatabaseManager.getConnection('1_2025/../user_2', 2025), { status: 400 });
+    });
+
+    it('opens four-digit years given as numbers or strings', () => {
+        assert.equal(DatabaseManager.getConnection(1, '2025'), DatabaseManager.getConnection(1, 2025));
+    });
+});
+
+describe('accounts', () => {
+    it('reads ?year as a number', async () => {
+        const created = await request('POST', '/api/accounts?year=2025', { name: 'Wallet', type: 'cash' });
+        assert.equal(created.status, 201);
+
+        const listed = await request('GET', '/api/accounts?year=2025');
+        assert.deepEqual(listed.body.data.map(a => a.name), ['Wallet']);
+    });
+
+    it('answers 400 for a year that is not four digits', async () => {
+        for (const [method, path] of [['GET', '/'], ['POST', '/'], ['PUT', '/1'], ['DELETE', '/1']]) {
+            const response = await request(method, `/api/accounts${path}?year=20251`, { name: 'Wallet' });
+            assert.equal(response.status, 400, `${method} ${path}`);
+            assert.equal(response.body.message, 'Invalid year');
+        }
+
+        const balances = await request('GET', '/api/accounts/balances?date=20251-01-01');
+        assert.equal(balances.status, 400);
+        assert.equal(fs.existsSync('databases/user_1_20251.db'), false);
+    });
+
+    it("never lists another user's accounts", async () => {
+        const db = DatabaseManager.getConnection(2, 2025);
+        await DatabaseManager.run(db, "INSERT INTO accounts (name, type) VALUES ('Savings', 'bank')");
+
+        const listed = await request('GET', `/api/accounts?year=${encodeURIComponent('x/../user_2_2025')}`);
+        assert.equal(listed.status, 200);
+        assert.ok(!listed.body.data.some(a => a.name === 'Savings'));
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+process.env.JWT_SECRET = 'test-secret';
+
+const { default: User } = await import('../models/User.js');
+const { default: AuthSession } = await import('../models/AuthSession.js');
+const { default: TwoFactor } = await import('../models/TwoFactor.js');
+const { default: LoginThrottle } = await import('../models/LoginThrottle.js');
+const { openUsersDb, queryUsersDb } = await import('../database/usersDb.js');
+const { generateCode, timeStep } = await import('../utils/totp.js');
+const { default: authRoutes } = await import('../routes/auth.js');
+
+await User.ready;
+const admin = await User.getUserById(1);
+
+describe('refresh token rotation', () => {
+    it('swaps a refresh token for a new one in the same session', async () => {
+        const { sessionId, refreshToken } = await AuthSession.create(admin.id);
+        const rotated = await AuthSession.rotate(refreshToken);
+
+        assert.equal(rotated.session.id, sessionId);
+        assert.notEqual(rotated.refreshToken, refreshToken);
+        assert.ok(await AuthSession.rotate(rotated.refreshToken));
+    });
+
+    it('revokes the session when a used token comes back', async () => {
+        const { sessionId, refreshToken } = await AuthSession.create(admin.id);
+        const rotated = await AuthSession.rotate(refreshToken);
+
+        assert.equal(await AuthSession.rotate(refreshToken), null);
+        assert.equal(await AuthSession.getActive(sessionId), undefined);
+
+        // The token issued before the reuse was noticed dies with the session
+        assert.equal(await AuthSession.rotate(rotated.refreshToken), null);
+    });
+
+    it('refuses unknown tokens and tokens of revoked sessions', async () => {
+        const { sessionId, refreshToken } = await AuthSession.create(admin.id);
+
+        assert.equal(await AuthSession.rotate('not-a-token'), null);
+        assert.equal(await AuthSession.revoke(sessionId), true);
+        assert.equal(await AuthSession.rotate(refreshToken), null);
+    });
+});
+
+describe('two-factor authentication', () => {
+    it('enables with a code from the app and refuses that code again', async () => {
+        const secret = await TwoFactor.begin(admin.id);
+        const step = timeStep();
+
+        // Outside the window allowed for clock drift
+        assert.equal(await TwoFactor.confirm(admin.id, generateCode(secret, step + 5)), null);
+
+        const recoveryCodes = await TwoFactor.confirm(admin.id, generateCode(secret, step));
+        assert.ok(recoveryCodes.length > 0);
+        assert.equal(await TwoFactor.isEnabled(admin.id), true);
+
+        // The code that enabled 2FA, and earlier ones, can't log in
+        assert.equal(await TwoFactor.verify(admin.id, generateCode(secret, step)), null);
+        assert.equal(await TwoFactor.verify(admin.id, generateCode(secret, step + 1)), 'totp');
+
+        // Recovery codes work once each
+        assert.equal(await TwoFactor.verify(admin.id, recoveryCodes[0]), 'recovery');
+        assert.equal(await TwoFactor.verify(admin.id, recoveryCodes[0]), null);
+        assert.equal(await TwoFactor.remainingRecoveryCodes(admin.id), recoveryCodes.length - 1);
+
+        assert.equal(await TwoFactor.disable(admin.id), true);
+        assert.equal(await TwoFactor.isEnabled(admin.id), false);
+    });
+});
+
+describe('user accounts', () => {
+    it('wait for another connection to finish writing instead of failing', async () => {
+        const created = await User.createUser('writer', 'writer-pass', 'Writer');
+        await assert.rejects(User.createUser('writer', 'other-pass', 'Copy'), /Username already exists/);
+
+        const lock = openUsersDb();
+        await new Promise((resolve, reject) => lock.exec('BEGIN IMMEDIATE', err => err ? reject(err) : resolve()));
+        const released = new Promise(resolve => setTimeout(() => lock.exec('COMMIT', () => lock.close(resolve)), 300));
+
+        const updated = await User.updateUser(created.id, { name: 'Busy Writer', password: 'writer-pass-2' });
+        await released;
+        assert.equal(updated.success, true);
+
+        assert.equal((await User.getUserById(created.id)).name, 'Busy Writer');
+        assert.equal(await User.authenticate('writer', 'writer-pass'), null);
+        assert.equal((await User.authenticate('writer', 'writer-pass-2')).id, created.id);
+    });
+});
+
+describe('login throttle', () => {
+    it('lets only one of several parallel attempts through', async () => {
+        const results = await Promise.all(Array.from({ length: 5 }, () => LoginThrottle.reserve('someone')));
+
+        assert.equal(results.filter(r => r.allowed).length, 1);
+        assert.ok(results.filter(r => !r.allowed).every(r => r.retryAfter > 0));
+    });
+
+    it('makes the next attempt wait after a failure', async () => {
+        const next = await LoginThrottle.recordFailure('someone', { reason: 'invalid_credentials' });
+
+        assert.equal(next.allowed, false);
+        assert.equal(next.locked, false);
+        assert.equal((await LoginThrottle.reserve('someone')).allowed, false);
+    });
+
+    it('starts again after a successful login', async () => {
+        await LoginThrottle.recordSuccess('someone');
+        assert.equal((await LoginThrottle.reserve('someone')).allowed, true);
+    });
+});
+
+describe('password checks of signed-in users', () => {
+    it('count wrong passwords against the username like failed logins', async () => {
+        const server = await serveRoutes(app => app.use('/api/auth', authRoutes));
+
+        try {
+            const login = await server.request('POST', '/api/auth/login', { username: 'admin', password: 'admin123' });
+            assert.equal(login.status, 200);
+            const auth = { Authorization: `Bearer ${login.body.token}` };
+
+            const wrong = await server.request('POST', '/api/auth/2fa/setup', { password: 'guess-1' }, auth);
+            assert.equal(wrong.status, 401);
+
+            // The next guess has to wait, whichever route it comes through
+            for (const [path, body] of [
+                ['/api/auth/2fa/setup', { password: 'admin123' }],
+                ['/api/auth/2fa/disable', { password: 'guess-2', code: '000000' }],
+                ['/api/auth/change-password', { currentPassword: 'guess-3', newPassword: 'new-password' }],
+                ['/api/auth/login', { username: 'admin', password: 'admin123' }]
+            ]) {
+                const response = await server.request('POST', path, body, auth);
+                assert.equal(response.status, 429, path);
+                assert.ok(Number(response.headers.get('retry-after')) > 0);
+            }
+
+            const [failure] = await queryUsersDb('all', "SELECT reason FROM login_failures WHERE username = 'admin'");
+            assert.equal(failure.reason, 'invalid_password');
+        } finally {
+            await server.close();
+        }
+    });
+});
@@ -0,0 +1,119 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: User } = await import('../models/User.js');
+const { default: AuditLog } = await import('../models/AuditLog.js');
+const { default: backupRoutes, runScheduledBackups } = await import('../routes/backup.js');
+const { authorize } = await import('../middleware/permissions.js');
+
+const owner = { id: 1, username: 'admin', role: 'user' };
+const superadmin = { id: 2, username: 'root', role: 'superadmin' };
+
+let server;
+const request = (...args) => server.request(...args);
+
+const descriptions = async (year) => (await DatabaseManager.all(
+    DatabaseManager.getConnection(1, year),
+    'SELECT description FROM transactions ORDER BY id'
+)).map(r => r.description);
+
+const insert = (year, description) => DatabaseManager.run(
+    DatabaseManager.getConnection(1, year),
+    "INSERT INTO transactions (amount, date, type, category_id, description) VALUES (1, ?, 'expense', 9, ?)",
+    [`${year}-01-01`, description]
+);
+
+before(async () => {
+    await User.ready;
+    await insert(2025, 'Before the backup');
+    server = await serveRoutes(app => app.use('/api/backup', authorize(), backupRoutes), owner);
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('backups', () => {
+    let backup;
+
+    it('takes a copy of a year database that can be listed and downloaded', async () => {
+        const created = await request('POST', '/api/backup/2025', {});
+        assert.equal(created.status, 200);
+        backup = created.body.data;
+
+        const listed = await request('GET', '/api/backup?year=2025');
+        assert.deepEqual(listed.body.data.map(b => b.fileName), [backup.fileName]);
+
+        const downloaded = await request('GET', `/api/backup/files/${backup.fileName}`);
+        assert.equal(downloaded.status, 200);
+        assert.ok(downloaded.body.startsWith('SQLite format 3'));
+
+        assert.equal((await request('POST', '/api/backup/2019', {})).status, 404);
+    });
+
+    it('restores a backup, keeping a copy of what it replaced', async () => {
+        await insert(2025, 'After the backup');
+
+        const restored = await request('POST', `/api/backup/files/${backup.fileName}/restore`, {});
+        assert.equal(restored.status, 200);
+        assert.deepEqual(await descriptions(2025), ['Before the backup']);
+
+        const [entry] = await AuditLog.find({ targetUserId: 1, entity: 'year', year: 2025 });
+        assert.equal(entry.after_data.restoredFrom, backup.fileName);
+
+        // The copy taken first undoes the restore
+        const undone = await request('POST', `/api/backup/files/${restored.body.data.previousBackup}/restore`, {});
+        assert.equal(undone.status, 200);
+        assert.deepEqual(await descriptions(2025), ['Before the backup', 'After the backup']);
+    });
+
+    it('refuses to restore over a closed year without the permission to reopen it', async () => {
+        const db = DatabaseManager.getConnection(1, 2025);
+        await DatabaseManager.run(db, 'INSERT INTO year_close (id, closing_balance) VALUES (1, 0)');
+
+        const refused = await request('POST', `/api/backup/files/${backup.fileName}/restore`, {});
+        assert.equal(refused.status, 409);
+        assert.match(refused.body.message, /Year 2025 is closed/);
+
+        server.signIn(superadmin);
+        const restored = await request('POST', `/api/backup/files/${backup.fileName}/restore?userId=1`, {});
+        server.signIn(owner);
+        assert.equal(restored.status, 200);
+        assert.equal(await DatabaseManager.get(DatabaseManager.getConnection(1, 2025), 'SELECT 1 FROM year_close'), undefined);
+    });
+
+    it("never hands out another user's backup or a file outside the backups", async () => {
+        await DatabaseManager.whenReady(DatabaseManager.getConnection(2, 2025));
+        const other = await DatabaseManager.backupDatabase(2, 2025);
+
+        for (const fileName of [other.fileName, encodeURIComponent('../users.db'), 'user_1_2025.db']) {
+            assert.equal((await request('GET', `/api/backup/files/${fileName}`)).status, 404, fileName);
+            assert.equal((await request('POST', `/api/backup/files/${fileName}/restore`, {})).status, 404, fileName);
+            assert.equal((await request('DELETE', `/api/backup/files/${fileName}`)).status, 404, fileName);
+        }
+        assert.ok(DatabaseManager.getBackupFilePath(2, other.fileName));
+    });
+
+    it('prunes all but the newest backups of each year', async () => {
+        assert.equal((await request('POST', '/api/backup/prune', { keep: 0 })).status, 400);
+
+        const pruned = await request('POST', '/api/backup/prune', { keep: 1 });
+        assert.equal(pruned.status, 200);
+        assert.ok(pruned.body.data.deleted.length > 0);
+        assert.equal(DatabaseManager.listBackups(1, 2025).length, 1);
+    });
+
+    it('skips year databases that have not changed since the last scheduled backup', async () => {
+        const first = await runScheduledBackups('admin');
+        assert.equal(first.failed, 0);
+        assert.ok(first.backedUp >= 2);
+
+        const second = await runScheduledBackups('admin');
+        assert.deepEqual([second.backedUp, second.skipped], [0, first.backedUp]);
+    });
+});
@@ -0,0 +1,84 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: budgetsRoutes } = await import('../routes/budgets.js');
+
+let server;
+const request = (...args) => server.request(...args);
+
+before(async () => {
+    await DatabaseManager.whenReady(DatabaseManager.getConnection(1, 2025));
+    server = await serveRoutes(app => app.use('/api/budgets', budgetsRoutes));
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('budgets', () => {
+    it('reports spending against the budget, a monthly budget winning over the yearly one', async () => {
+        assert.equal((await request('PUT', '/api/budgets/9?year=2025', { amount: 100 })).status, 200);
+        assert.equal((await request('PUT', '/api/budgets/9?year=2025', { amount: 50, month: 3 })).status, 200);
+
+        const db = DatabaseManager.getConnection(1, 2025);
+        await DatabaseManager.run(
+            db,
+            `INSERT INTO transactions (amount, date, type, category_id) VALUES
+                (60, '2025-03-10', 'expense', 9),
+                (30, '2025-04-10', 'expense', 9)`
+        );
+
+        const { body } = await request('GET', '/api/budgets/report?year=2025');
+        const [march, april] = [body.data[2], body.data[3]];
+
+        assert.deepEqual(march.categories[0], {
+            categoryId: 9,
+            categoryName: 'Foods & Treats',
+            budget: 50,
+            spent: 60,
+            remaining: -10,
+            percentUsed: 120,
+            overBudget: true
+        });
+        assert.equal(april.categories[0].budget, 100);
+        assert.equal(april.categories[0].overBudget, false);
+    });
+
+    it('refuses budgets for income categories', async () => {
+        const response = await request('PUT', '/api/budgets/1?year=2025', { amount: 10 });
+        assert.equal(response.status, 400);
+    });
+
+    it('rolls budgets over into the next year, keeping ones already set', async () => {
+        await DatabaseManager.whenReady(DatabaseManager.getConnection(1, 2026));
+        await request('PUT', '/api/budgets/9?year=2026', { amount: 75 });
+
+        const { body } = await request('POST', '/api/budgets/rollover?year=2025', {});
+        assert.deepEqual(body.data.copied, [{ categoryName: 'Foods & Treats', month: 3 }]);
+        assert.equal(body.data.skipped[0].reason, 'Budget already set in the next year');
+
+        const next = await request('GET', '/api/budgets?year=2026');
+        assert.deepEqual(next.body.data.map(b => [b.month, b.amount]), [[0, 75], [3, 50]]);
+    });
+
+    it('answers 400 for a year that is not four digits', async () => {
+        for (const [method, path] of [['GET', '/'], ['GET', '/report'], ['PUT', '/9'], ['DELETE', '/9']]) {
+            const response = await request(method, `/api/budgets${path}?year=20251`, { amount: 10 });
+            assert.equal(response.status, 400, `${method} ${path}`);
+            assert.equal(response.body.message, 'Invalid year');
+        }
+    });
+
+    it("never reads another user's budgets through ?year", async () => {
+        const other = DatabaseManager.getConnection(2, 2025);
+        await DatabaseManager.run(other, 'INSERT INTO budgets (category_id, month, amount) VALUES (12, 0, 999)');
+
+        const { body } = await request('GET', `/api/budgets?year=${encodeURIComponent('x/../user_2_2025')}`);
+        assert.ok(!body.data.some(b => b.amount === 999));
+    });
+});
@@ -0,0 +1,142 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: User } = await import('../models/User.js');
+const { default: RecurringTransaction } = await import('../models/RecurringTransaction.js');
+const { default: categoriesRoutes } = await import('../routes/categories.js');
+
+let server;
+const request = (...args) => server.request(...args);
+
+const connection = (year) => DatabaseManager.getConnection(1, year);
+
+const addCategory = async (year, name, type = 'expense') => (await DatabaseManager.run(
+    connection(year),
+    'INSERT INTO categories (name, type) VALUES (?, ?)',
+    [name, type]
+)).lastID;
+
+const addTransaction = async (year, categoryId, fields = {}) => (await DatabaseManager.run(
+    connection(year),
+    'INSERT INTO transactions (amount, date, type, category_id, deleted_at) VALUES (?, ?, ?, ?, ?)',
+    [fields.amount || 1, `${year}-05-01`, fields.type || 'expense', categoryId, fields.deletedAt || null]
+)).lastID;
+
+const categoryOf = async (year, transactionId) => (await DatabaseManager.get(
+    connection(year),
+    'SELECT c.name FROM transactions t JOIN categories c ON c.id = t.category_id WHERE t.id = ?',
+    [transactionId]
+)).name;
+
+before(async () => {
+    await User.ready;
+    server = await serveRoutes(app => app.use('/api/categories', categoriesRoutes));
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('merging categories', () => {
+    let snacks;
+    let groceries;
+    const moved = {};
+
+    before(async () => {
+        snacks = await addCategory(2025, 'Snacks');
+        groceries = await addCategory(2025, 'Groceries');
+        moved[2025] = [await addTransaction(2025, snacks), await addTransaction(2025, snacks, { deletedAt: '2025-06-01' })];
+        await DatabaseManager.run(connection(2025), 'INSERT INTO budgets (category_id, month, amount) VALUES (?, 0, 40), (?, 0, 90), (?, 2, 15)', [snacks, groceries, snacks]);
+
+        moved[2024] = [await addTransaction(2024, await addCategory(2024, 'Snacks'))];
+        await addCategory(2024, 'Groceries');
+        moved[2026] = [await addTransaction(2026, await addCategory(2026, 'Snacks'))];
+
+        moved[2023] = [await addTransaction(2023, await addCategory(2023, 'Snacks'))];
+        await DatabaseManager.run(connection(2023), 'INSERT INTO year_close (id, closing_balance) VALUES (1, 0)');
+
+        await RecurringTransaction.create(1, {
+            amount: 3, type: 'expense', categoryName: 'Snacks', frequency: 'monthly', interval: 1, startDate: '2030-01-01'
+        });
+    });
+
+    it('refuses a target of another type, a default source or a missing target', async () => {
+        const refused = [
+            await request('POST', `/api/categories/${snacks}/merge?year=2025`, { targetId: 1 }),
+            await request('POST', '/api/categories/9/merge?year=2025', { targetId: groceries }),
+            await request('POST', `/api/categories/${snacks}/merge?year=2025`, {}),
+            await request('POST', `/api/categories/${snacks}/merge?year=2025`, { targetId: snacks })
+        ];
+        assert.deepEqual(refused.map(r => r.status), [400, 400, 400, 400]);
+        assert.equal((await request('POST', `/api/categories/${snacks}/merge?year=2025`, { targetId: 9999 })).status, 404);
+    });
+
+    it('merges the namesakes of every open year, skipping a closed one', async () => {
+        const { status, body } = await request('POST', `/api/categories/${snacks}/merge?year=2025`, { targetId: groceries });
+        assert.equal(status, 200, body.message);
+
+        assert.deepEqual(body.data.years.map(r => [r.year, r.status]), [
+            [2023, 'skipped'], [2024, 'merged'], [2025, 'merged'], [2026, 'renamed']
+        ]);
+        assert.equal(body.data.years[0].reason, 'Year 2023 is closed');
+        assert.equal(body.data.transactionsMoved, 3);
+        assert.equal(body.data.templatesUpdated, 1);
+        assert.match(body.message, /in 3 of 4 years/);
+
+        for (const year of [2024, 2025, 2026]) {
+            for (const id of moved[year]) {
+                assert.equal(await categoryOf(year, id), 'Groceries', `${year}`);
+            }
+        }
+        assert.equal(await categoryOf(2023, moved[2023][0]), 'Snacks');
+    });
+
+    it("moves the source's budgets only to months the target has none for", async () => {
+        const budgets = await DatabaseManager.all(connection(2025), 'SELECT category_id, month, amount FROM budgets ORDER BY month');
+        assert.deepEqual(budgets, [
+            { category_id: groceries, month: 0, amount: 90 },
+            { category_id: groceries, month: 2, amount: 15 }
+        ]);
+    });
+
+    it('fails the request when ?year itself is closed', async () => {
+        const source = (await DatabaseManager.get(connection(2023), "SELECT id FROM categories WHERE name = 'Snacks'")).id;
+        const response = await request('POST', `/api/categories/${source}/merge?year=2023`, { targetId: 9 });
+        assert.equal(response.status, 409);
+    });
+});
+
+describe('deleting a category that is in use', () => {
+    it('refuses without ?reassignTo, counting transactions in the trash', async () => {
+        const tools = await addCategory(2025, 'Tools');
+        await addTransaction(2025, tools);
+        await addTransaction(2025, tools, { deletedAt: '2025-06-01' });
+
+        const refused = await request('DELETE', `/api/categories/${tools}?year=2025`);
+        assert.equal(refused.status, 400);
+        assert.match(refused.body.message, /used in 2 transaction\(s\), 1 of them in the trash/);
+    });
+
+    it('moves its transactions to the category given by ?reassignTo', async () => {
+        const gifts = await addCategory(2025, 'Gifts');
+        const present = await addTransaction(2025, gifts);
+
+        assert.equal((await request('DELETE', `/api/categories/${gifts}?year=2025&reassignTo=1`)).status, 400);
+
+        const deleted = await request('DELETE', `/api/categories/${gifts}?year=2025&reassignTo=14`);
+        assert.equal(deleted.status, 200);
+        assert.equal(deleted.body.data.transactionsMoved, 1);
+        assert.equal(await categoryOf(2025, present), 'Others');
+        assert.equal(await DatabaseManager.get(connection(2025), 'SELECT 1 FROM categories WHERE id = ?', [gifts]), undefined);
+    });
+
+    it('deletes an unused category outright', async () => {
+        const spare = await addCategory(2025, 'Spare');
+        assert.equal((await request('DELETE', `/api/categories/${spare}?year=2025`)).status, 200);
+    });
+});
@@ -0,0 +1,75 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+
+const db = DatabaseManager.getConnection(1, 2025);
+const descriptions = async () => (await DatabaseManager.all(db, 'SELECT description FROM transactions ORDER BY id')).map(r => r.description);
+const insert = (description) => DatabaseManager.run(
+    db,
+    "INSERT INTO transactions (amount, date, type, category_id, description) VALUES (1, '2025-01-01', 'expense', 9, ?)",
+    [description]
+);
+
+// Resolves once the transaction has started, leaving it open until finish()
+const openTransaction = (options) => {
+    let started;
+    let finish;
+    const ready = new Promise(resolve => { started = resolve; });
+    const done = new Promise(resolve => { finish = resolve; });
+    const result = DatabaseManager.withTransaction(db, async () => {
+        await insert('inside');
+        started();
+        await done;
+        throw Object.assign(new Error('Rolled back'), { status: 400 });
+    }, options).catch(error => error);
+
+    return { ready, finish, result };
+};
+
+after(() => DatabaseManager.closeAllConnections());
+
+describe('transactions', () => {
+    it('keeps a write made by another request while a dry run is open', async () => {
+        const transaction = openTransaction({ dryRun: true });
+        await transaction.ready;
+
+        const outside = insert('outside');
+        transaction.finish();
+        await outside;
+        await transaction.result;
+
+        assert.deepEqual(await descriptions(), ['outside']);
+    });
+
+    it('keeps a write made by another request while a failing transaction is open', async () => {
+        const transaction = openTransaction();
+        await transaction.ready;
+
+        const outside = insert('outside again');
+        transaction.finish();
+        assert.equal((await transaction.result).message, 'Rolled back');
+        await outside;
+
+        assert.deepEqual(await descriptions(), ['outside', 'outside again']);
+    });
+
+    it("doesn't let other requests read rows a transaction hasn't committed", async () => {
+        const transaction = openTransaction({ dryRun: true });
+        await transaction.ready;
+
+        const read = descriptions();
+        transaction.finish();
+
+        assert.ok(!(await read).includes('inside'));
+        await transaction.result;
+    });
+
+    it('commits what the transaction writes', async () => {
+        await DatabaseManager.withTransaction(db, () => insert('committed'));
+        assert.ok((await descriptions()).includes('committed'));
+    });
+});
@@ -0,0 +1,77 @@
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+
+// Each test file runs in its own process. Moving it into a fresh temporary
+// directory points the ./databases paths used by the models and
+// DatabaseManager at scratch files, never at the real databases. Call this
+// before importing anything that opens a database.
+export const useScratchDirectory = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trackmymoney-test-'));
+    process.chdir(dir);
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+export const openMemoryDatabase = () => new sqlite3.Database(':memory:');
+
+export const closeDatabase = (db) => new Promise((resolve, reject) => {
+    db.close((err) => err ? reject(err) : resolve());
+});
+
+export const exec = (db, sql) => new Promise((resolve, reject) => {
+    db.exec(sql, (err) => err ? reject(err) : resolve());
+});
+
+export const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+        return err ? reject(err) : resolve({ lastID: this.lastID, changes: this.changes });
+    });
+});
+
+export const get = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+export const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+// Serve routes the way server.js mounts them, with a user already signed in.
+// mount(app) adds the routes; signIn swaps the user for later requests.
+export const serveRoutes = async (mount, user = { id: 1, username: 'admin', role: 'user' }) => {
+    let currentUser = user;
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = currentUser;
+        next();
+    });
+    mount(app);
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, body, headers = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body && method !== 'GET' ? JSON.stringify(body) : undefined
+        });
+        const type = response.headers.get('content-type') || '';
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: type.includes('application/json') ? await response.json() : await response.text()
+        };
+    };
+
+    return {
+        request,
+        signIn: (nextUser) => { currentUser = nextUser; },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
@@ -0,0 +1,145 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: User } = await import('../models/User.js');
+const { default: AuditLog } = await import('../models/AuditLog.js');
+const { default: transactionsRoutes } = await import('../routes/transactions.js');
+const { default: importRoutes } = await import('../routes/import.js');
+const { default: exportRoutes } = await import('../routes/export.js');
+
+const owner = { id: 1, username: 'admin', role: 'user' };
+const copier = { id: 3, username: 'copier', role: 'user' };
+
+let server;
+const request = (...args) => server.request(...args);
+
+const addAccounts = async (userId) => {
+    const db = DatabaseManager.getConnection(userId, 2025);
+    const ids = [];
+    for (const name of ['Cash', 'Bank']) {
+        ids.push((await DatabaseManager.run(db, 'INSERT INTO accounts (name, type) VALUES (?, ?)', [name, 'cash'])).lastID);
+    }
+    return ids;
+};
+
+const transactionsOf = (userId) => DatabaseManager.all(
+    DatabaseManager.getConnection(userId, 2025),
+    'SELECT amount, type, description, transfer_id FROM transactions WHERE deleted_at IS NULL ORDER BY date, id'
+);
+
+before(async () => {
+    await User.ready;
+    server = await serveRoutes(app => {
+        app.use('/api/transactions', transactionsRoutes);
+        app.use('/api/import', importRoutes);
+        app.use('/api/export', exportRoutes);
+    }, owner);
+
+    const [cash, bank] = await addAccounts(1);
+    await request('POST', '/api/transactions', { amount: 120, date: '2025-02-01', type: 'income', categoryId: 1, accountId: bank, description: 'Grant' });
+    await request('POST', '/api/transactions', { amount: 15.5, date: '2025-02-03', type: 'expense', categoryId: 9, accountId: cash, description: 'Snacks, "fresh"' });
+    const transfer = await request('POST', '/api/transactions/transfers', { amount: 40, date: '2025-02-02', fromAccountId: bank, toAccountId: cash, description: 'Withdrawal' });
+    assert.equal(transfer.status, 201, transfer.body.message);
+
+    await addAccounts(3);
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('export and import', () => {
+    it('marks the legs of a transfer in the CSV export', async () => {
+        const { status, body } = await request('GET', '/api/export/transactions?year=2025');
+        assert.equal(status, 200);
+
+        const lines = body.trim().split(/\r?\n/);
+        assert.equal(lines[0], 'date,type,amount,category,account,description,year,id,transferId');
+        assert.equal(lines.length, 5);
+        assert.equal(lines.filter(line => line.endsWith(',1')).length, 2);
+    });
+
+    it('round-trips a CSV export, skipping transfer legs', async () => {
+        const exported = await request('GET', '/api/export/transactions?year=2025');
+
+        server.signIn(copier);
+        const imported = await request('POST', '/api/import/transactions', { csv: exported.body });
+        server.signIn(owner);
+
+        assert.equal(imported.status, 201);
+        assert.deepEqual(imported.body.data.summary, { total: 4, imported: 2, skipped: 2, failed: 0, categoriesCreated: [] });
+        assert.deepEqual(imported.body.data.rows.map(r => r.status), ['imported', 'skipped', 'skipped', 'imported']);
+        assert.match(imported.body.data.rows[1].reason, /transfer 1/);
+
+        assert.deepEqual(await transactionsOf(3), [
+            { amount: 120, type: 'income', description: 'Grant', transfer_id: null },
+            { amount: 15.5, type: 'expense', description: 'Snacks, "fresh"', transfer_id: null }
+        ]);
+    });
+
+    it('skips transfer legs in a JSON export too, without writing on a dry run', async () => {
+        const exported = await request('GET', '/api/export/transactions?year=2025&format=json');
+        assert.equal(exported.body.data.filter(t => t.transferId).length, 2);
+
+        server.signIn(copier);
+        const checked = await request('POST', '/api/import/transactions', { transactions: exported.body.data, dryRun: true });
+        server.signIn(owner);
+
+        assert.equal(checked.status, 200);
+        assert.equal(checked.body.data.summary.valid, 2);
+        assert.equal(checked.body.data.summary.skipped, 2);
+        assert.equal((await transactionsOf(3)).length, 2);
+    });
+
+    it('audits each imported transaction and each category it created', async () => {
+        server.signIn(copier);
+        const imported = await request('POST', '/api/import/transactions', {
+            transactions: [
+                { date: '2025-07-01', type: 'expense', amount: 12, categoryName: 'Books', description: 'Novel' },
+                { date: '2025-07-02', type: 'expense', amount: 8, categoryName: 'Books', description: 'Magazine' }
+            ],
+            createMissingCategories: true
+        });
+        server.signIn(owner);
+        assert.equal(imported.status, 201);
+
+        const [category] = await AuditLog.find({ targetUserId: 3, entity: 'category' });
+        assert.equal(category.action, 'create');
+        assert.equal(category.actor_id, 3);
+        assert.equal(category.after_data.name, 'Books');
+
+        const transactions = (await AuditLog.find({ targetUserId: 3, entity: 'transaction' })).slice(0, 2);
+        assert.deepEqual(transactions.map(e => e.entity_id).sort(), imported.body.data.rows.map(r => r.id).sort());
+        for (const entry of transactions) {
+            assert.equal(entry.action, 'create');
+            assert.equal(entry.after_data.categoryId, category.entity_id);
+        }
+    });
+
+    it('reports rows whose category cannot be created in a closed year instead of failing', async () => {
+        const closed = DatabaseManager.getConnection(3, 2024);
+        await DatabaseManager.run(closed, 'INSERT INTO year_close (id, closing_balance) VALUES (1, 0)');
+
+        server.signIn(copier);
+        const imported = await request('POST', '/api/import/transactions', {
+            transactions: [
+                { date: '2024-05-01', type: 'expense', amount: 5, categoryName: 'Hobbies' },
+                { date: '2025-05-01', type: 'expense', amount: 6, categoryName: 'Hobbies' }
+            ],
+            createMissingCategories: true
+        });
+        server.signIn(owner);
+
+        assert.equal(imported.status, 201);
+        const [inClosedYear, inOpenYear] = imported.body.data.rows;
+        assert.equal(inClosedYear.status, 'error');
+        assert.match(inClosedYear.errors[0], /Category "Hobbies" \(expense\) could not be created in 2024: This year has been closed/);
+        assert.equal(inOpenYear.status, 'imported');
+        assert.deepEqual(imported.body.data.summary.categoriesCreated.map(c => c.year), [2025]);
+    });
+});
@@ -0,0 +1,101 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: User } = await import('../models/User.js');
+const { default: locksRoutes } = await import('../routes/locks.js');
+const { default: transactionsRoutes } = await import('../routes/transactions.js');
+const { authorize } = await import('../middleware/permissions.js');
+
+const owner = { id: 1, username: 'admin', role: 'user' };
+const superadmin = { id: 2, username: 'mRashid', role: 'superadmin' };
+
+let server;
+const request = (...args) => server.request(...args);
+
+const asSuperadmin = async (...args) => {
+    server.signIn(superadmin);
+    try {
+        return await request(...args);
+    } finally {
+        server.signIn(owner);
+    }
+};
+
+const expense = (date, fields = {}) => ({ amount: 10, date, type: 'expense', categoryId: 9, ...fields });
+
+let march;
+let february;
+
+before(async () => {
+    await User.ready;
+    server = await serveRoutes(app => {
+        app.use('/api/locks', authorize(), locksRoutes);
+        app.use('/api/transactions', authorize(), transactionsRoutes);
+    }, owner);
+
+    march = (await request('POST', '/api/transactions', expense('2025-03-10'))).body.data;
+    february = (await request('POST', '/api/transactions', expense('2025-02-10'))).body.data;
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('period locks', () => {
+    it('can only be set by a SuperAdmin, once per period', async () => {
+        assert.equal((await request('POST', '/api/locks', { year: 2025, month: 3 })).status, 403);
+
+        const locked = await asSuperadmin('POST', '/api/locks?userId=1', { year: 2025, month: 3, reason: 'Filed' });
+        assert.equal(locked.status, 201);
+        assert.equal(locked.body.data.period, 'March 2025');
+
+        assert.equal((await asSuperadmin('POST', '/api/locks?userId=1', { year: 2025, month: 3 })).status, 409);
+        assert.equal((await asSuperadmin('POST', '/api/locks?userId=1', { year: 2025, month: 13 })).status, 400);
+    });
+
+    it('refuses adding, changing, moving into and deleting transactions of a locked month', async () => {
+        const refused = [
+            await request('POST', '/api/transactions', expense('2025-03-20')),
+            await request('PUT', `/api/transactions/${march.id}?year=2025`, expense('2025-03-10', { amount: 11 })),
+            await request('PUT', `/api/transactions/${february.id}?year=2025`, expense('2025-03-01')),
+            await request('DELETE', `/api/transactions/${march.id}?year=2025`)
+        ];
+        assert.deepEqual(refused.map(r => r.status), [409, 409, 409, 409]);
+        assert.match(refused[0].body.message, /^March 2025 is locked/);
+
+        assert.equal((await request('POST', '/api/transactions', expense('2025-04-01'))).status, 201);
+    });
+
+    it('locks every month when the whole year is locked', async () => {
+        assert.equal((await asSuperadmin('POST', '/api/locks?userId=1', { year: 2025 })).status, 201);
+
+        const response = await request('POST', '/api/transactions', expense('2025-07-01'));
+        assert.equal(response.status, 409);
+        assert.match(response.body.message, /^2025 is locked/);
+
+        assert.equal((await asSuperadmin('DELETE', '/api/locks/2025?userId=1&reason=Mistake')).status, 200);
+        assert.equal((await request('POST', '/api/transactions', expense('2025-07-01'))).status, 201);
+    });
+
+    it('opens a month again once unlocked and keeps the history', async () => {
+        assert.equal((await asSuperadmin('DELETE', '/api/locks/2025/3?userId=1')).status, 200);
+        assert.equal((await asSuperadmin('DELETE', '/api/locks/2025/3?userId=1')).status, 404);
+        assert.equal((await request('DELETE', `/api/transactions/${march.id}?year=2025`)).status, 200);
+
+        const history = await asSuperadmin('GET', '/api/locks/history?userId=1');
+        assert.deepEqual(
+            history.body.data.map(e => [e.period, e.action, e.reason, e.actorUsername]),
+            [
+                ['March 2025', 'unlock', null, 'mRashid'],
+                ['2025', 'unlock', 'Mistake', 'mRashid'],
+                ['2025', 'lock', null, 'mRashid'],
+                ['March 2025', 'lock', 'Filed', 'mRashid']
+            ]
+        );
+    });
+});
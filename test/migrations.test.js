@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMigrations } from '../database/migrate.js';
+import { usersMigrations, yearMigrations } from '../database/migrations.js';
+import { all, closeDatabase, exec, get, openMemoryDatabase, run } from './helpers.js';
+
+const columnsOf = async (db, table) => (await all(db, `PRAGMA table_info(${table})`)).map(c => c.name);
+
+describe('year migrations', () => {
+    it('brings a new database to the latest version', async () => {
+        const db = openMemoryDatabase();
+        const report = await runMigrations(db, yearMigrations);
+
+        assert.equal(report.from, 0);
+        assert.equal(report.to, 8);
+        assert.deepEqual(report.applied.map(m => m.version), [1, 2, 3, 4, 5, 6, 7, 8]);
+
+        const versions = (await all(db, 'SELECT version FROM schema_migrations ORDER BY version')).map(r => r.version);
+        assert.deepEqual(versions, [1, 2, 3, 4, 5, 6, 7, 8]);
+
+        const columns = await columnsOf(db, 'transactions');
+        for (const column of ['account_id', 'transfer_id', 'recurring_id', 'recurring_date', 'deleted_at']) {
+            assert.ok(columns.includes(column), `transactions.${column} is missing`);
+        }
+
+        const defaults = await get(db, 'SELECT COUNT(*) as count FROM categories WHERE is_default = 1');
+        assert.ok(defaults.count > 0);
+
+        await closeDatabase(db);
+    });
+
+    it('applies nothing the second time', async () => {
+        const db = openMemoryDatabase();
+        await runMigrations(db, yearMigrations);
+        const report = await runMigrations(db, yearMigrations);
+
+        assert.equal(report.from, 8);
+        assert.equal(report.to, 8);
+        assert.equal(report.applied.length, 0);
+
+        await closeDatabase(db);
+    });
+
+    it('leaves the file unchanged on a dry run', async () => {
+        const db = openMemoryDatabase();
+        const report = await runMigrations(db, yearMigrations, { dryRun: true });
+
+        assert.equal(report.to, 8);
+        assert.equal(await get(db, "SELECT name FROM sqlite_master WHERE name = 'transactions'"), undefined);
+
+        await closeDatabase(db);
+    });
+
+    it('upgrades an older database in place', async () => {
+        const db = openMemoryDatabase();
+        await runMigrations(db, yearMigrations.filter(m => m.version <= 4));
+        await run(db, "INSERT INTO transactions (amount, date, type, category_id) VALUES (10, '2025-01-02', 'expense', 8)");
+
+        const report = await runMigrations(db, yearMigrations);
+        assert.equal(report.from, 4);
+        assert.equal(report.to, 8);
+
+        const row = await get(db, 'SELECT amount, recurring_id, deleted_at FROM transactions');
+        assert.deepEqual(row, { amount: 10, recurring_id: null, deleted_at: null });
+
+        // The full-text index picks up rows from before it existed
+        const match = await get(db, "SELECT rowid FROM transactions_fts WHERE transactions_fts MATCH 'salary'");
+        assert.ok(match);
+
+        await closeDatabase(db);
+    });
+
+    it('refuses changes to a closed year', async () => {
+        const db = openMemoryDatabase();
+        await runMigrations(db, yearMigrations);
+        await run(db, 'INSERT INTO year_close (id, closing_balance) VALUES (1, 0)');
+
+        await assert.rejects(
+            run(db, "INSERT INTO transactions (amount, date, type, category_id) VALUES (1, '2025-01-01', 'expense', 8)"),
+            /YEAR_CLOSED/
+        );
+        await assert.rejects(run(db, "UPDATE categories SET name = 'x' WHERE id = 8"), /YEAR_CLOSED/);
+
+        await closeDatabase(db);
+    });
+});
+
+describe('users migrations', () => {
+    it('brings a new database to the latest version', async () => {
+        const db = openMemoryDatabase();
+        const report = await runMigrations(db, usersMigrations);
+
+        assert.equal(report.from, 0);
+        assert.equal(report.to, usersMigrations[usersMigrations.length - 1].version);
+        assert.ok((await columnsOf(db, 'users')).includes('must_change_password'));
+        assert.ok((await columnsOf(db, 'login_throttle')).includes('attempt_started_at'));
+
+        await closeDatabase(db);
+    });
+
+    it('rebuilds users for the new roles, keeping rows and the id counter', async () => {
+        const db = openMemoryDatabase();
+        await runMigrations(db, usersMigrations.filter(m => m.version <= 10));
+
+        await run(db, "INSERT INTO users (username, password_hash, name, role) VALUES ('a', 'h', 'A', 'user')");
+        await run(db, "INSERT INTO users (username, password_hash, name, role, must_change_password) VALUES ('b', 'h', 'B', 'superadmin', 1)");
+        await run(db, "INSERT INTO users (username, password_hash, name) VALUES ('c', 'h', 'C')");
+        await run(db, "DELETE FROM users WHERE username = 'c'");
+
+        // Before the rebuild only user and superadmin are allowed
+        await assert.rejects(run(db, "INSERT INTO users (username, password_hash, name, role) VALUES ('v', 'h', 'V', 'viewer')"));
+
+        const report = await runMigrations(db, usersMigrations);
+        assert.equal(report.from, 10);
+
+        const users = await all(db, 'SELECT id, username, role, must_change_password FROM users ORDER BY id');
+        assert.deepEqual(users, [
+            { id: 1, username: 'a', role: 'user', must_change_password: 0 },
+            { id: 2, username: 'b', role: 'superadmin', must_change_password: 1 }
+        ]);
+
+        for (const role of ['viewer', 'bookkeeper', 'auditor']) {
+            await run(db, 'INSERT INTO users (username, password_hash, name, role) VALUES (?, ?, ?, ?)', [role, 'h', role, role]);
+        }
+        await assert.rejects(run(db, "INSERT INTO users (username, password_hash, name, role) VALUES ('x', 'h', 'X', 'owner')"));
+
+        // Ids are never reused, including the one deleted before the rebuild
+        const viewer = await get(db, "SELECT id FROM users WHERE username = 'viewer'");
+        assert.equal(viewer.id, 4);
+
+        // Tables that refer to users still work after the rename
+        await exec(db, "INSERT INTO auth_sessions (id, user_id) VALUES ('s1', 1)");
+
+        await closeDatabase(db);
+    });
+});
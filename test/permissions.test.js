@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROLES, authorize, canAccess, getUserId, hasPermission, permissionsFor, requirePermission } from '../middleware/permissions.js';
+
+const user = (role, id = 1) => ({ id, role });
+
+// What each role may do, in its own books and in another user's
+const BOOKS_MATRIX = {
+    user: { own: ['read', 'write', 'delete'], other: [] },
+    viewer: { own: ['read'], other: [] },
+    bookkeeper: { own: ['read', 'write'], other: [] },
+    auditor: { own: ['read'], other: ['read'] },
+    superadmin: { own: ['read', 'write', 'delete'], other: ['read', 'write', 'delete'] }
+};
+
+const PERMISSION_MATRIX = {
+    'users:read': ['auditor', 'superadmin'],
+    'users:manage': ['superadmin'],
+    'backups:restore': ['user', 'superadmin'],
+    'years:close': ['user', 'superadmin'],
+    'years:reopen': ['superadmin'],
+    'periods:lock': ['superadmin']
+};
+
+// Run a middleware against a fake request; resolves to { next: true } or the
+// status and body it answered with
+const runMiddleware = (middleware, req) => {
+    let outcome = null;
+    const res = {
+        status(code) {
+            outcome = { status: code };
+            return this;
+        },
+        json(body) {
+            outcome = { ...outcome, body };
+            return this;
+        }
+    };
+    middleware(req, res, () => {
+        outcome = { next: true };
+    });
+    return outcome;
+};
+
+describe('role permissions', () => {
+    it('covers every role', () => {
+        assert.deepEqual(Object.keys(BOOKS_MATRIX).sort(), [...ROLES].sort());
+        for (const role of ROLES) {
+            assert.ok(permissionsFor(role).length > 0, `${role} has no permissions`);
+        }
+    });
+
+    it('gives an unknown role nothing', () => {
+        assert.deepEqual(permissionsFor('owner'), []);
+        assert.equal(canAccess(user('owner'), 1, 'read'), false);
+    });
+
+    for (const [role, { own, other }] of Object.entries(BOOKS_MATRIX)) {
+        it(`lets ${role} ${own.join(', ')} its own books and ${other.join(', ') || 'nothing'} in others'`, () => {
+            for (const action of ['read', 'write', 'delete']) {
+                assert.equal(canAccess(user(role), 1, action), own.includes(action), `${role} ${action} own`);
+                assert.equal(canAccess(user(role), 2, action), other.includes(action), `${role} ${action} other`);
+            }
+        });
+    }
+
+    for (const [permission, roles] of Object.entries(PERMISSION_MATRIX)) {
+        it(`grants ${permission} to ${roles.join(', ')} only`, () => {
+            for (const role of ROLES) {
+                assert.equal(hasPermission(user(role), permission), roles.includes(role), `${role} ${permission}`);
+            }
+        });
+    }
+});
+
+describe('authorize', () => {
+    it('follows the HTTP method when no action is given', () => {
+        const req = { method: 'DELETE', query: {}, user: user('bookkeeper') };
+        const outcome = runMiddleware(authorize(), req);
+
+        assert.equal(outcome.status, 403);
+        assert.match(outcome.body.message, /bookkeeper role cannot delete records/);
+    });
+
+    it('sets the target user for ?userId when allowed', () => {
+        const req = { method: 'GET', query: { userId: '7' }, user: user('auditor') };
+
+        assert.deepEqual(runMiddleware(authorize(), req), { next: true });
+        assert.equal(getUserId(req), 7);
+    });
+
+    it("refuses other users' books without the :any permission", () => {
+        const req = { method: 'GET', query: { userId: '7' }, user: user('user') };
+        const outcome = runMiddleware(authorize('read'), req);
+
+        assert.equal(outcome.status, 403);
+        assert.match(outcome.body.message, /other users' records/);
+        assert.equal(getUserId(req), 1);
+    });
+});
+
+describe('requirePermission', () => {
+    it('passes a role that has the permission', () => {
+        assert.deepEqual(runMiddleware(requirePermission('years:reopen'), { user: user('superadmin') }), { next: true });
+    });
+
+    it('refuses a role that does not', () => {
+        const outcome = runMiddleware(requirePermission('backups:restore'), { user: user('bookkeeper') });
+
+        assert.equal(outcome.status, 403);
+        assert.match(outcome.body.message, /bookkeeper role does not have the backups:restore permission/);
+    });
+});
@@ -0,0 +1,103 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: User } = await import('../models/User.js');
+const { default: RecurringTransaction } = await import('../models/RecurringTransaction.js');
+const { default: recurringRoutes } = await import('../routes/recurring.js');
+
+let server;
+const request = (...args) => server.request(...args);
+
+const template = (fields) => ({ amount: 30, type: 'expense', categoryId: 12, frequency: 'monthly', ...fields });
+
+before(async () => {
+    await User.ready;
+    await DatabaseManager.whenReady(DatabaseManager.getConnection(1, 2024));
+    server = await serveRoutes(app => app.use('/api/recurring', recurringRoutes));
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('recurring transactions', () => {
+    it('creates the occurrences already due, keeping the start day where the month allows', async () => {
+        const { status, body } = await request('POST', '/api/recurring', template({ startDate: '2024-01-31', count: 3, description: 'Rent' }));
+        assert.equal(status, 201, body.message);
+        assert.equal(body.data.occurrencesCreated, 3);
+        assert.equal(body.data.nextDate, null);
+
+        const rows = await DatabaseManager.all(
+            DatabaseManager.getConnection(1, 2024),
+            "SELECT date FROM transactions WHERE description = 'Rent' ORDER BY date"
+        );
+        assert.deepEqual(rows.map(r => r.date), ['2024-01-31', '2024-02-29', '2024-03-31']);
+    });
+
+    it('refuses dates that are not real YYYY-MM-DD days', async () => {
+        for (const fields of [
+            { startDate: '2025-02-30' },
+            { startDate: '2025-1-5' },
+            { startDate: 'March 1, 2025' },
+            { startDate: '2025-03-01', endDate: '2025-13-01' },
+            { startDate: '2025-03-01', endDate: 'soon' }
+        ]) {
+            const response = await request('POST', '/api/recurring', template(fields));
+            assert.equal(response.status, 400, JSON.stringify(fields));
+            assert.match(response.body.message, /date/);
+        }
+    });
+
+    it('refuses an end date before the start date', async () => {
+        const response = await request('POST', '/api/recurring', template({ startDate: '2030-03-01', endDate: '2030-02-28' }));
+        assert.equal(response.status, 400);
+        assert.equal(response.body.message, 'End date must be on or after the start date');
+    });
+
+    it('refuses a count or interval that is not a positive whole number', async () => {
+        for (const fields of [{ count: 0 }, { count: 2.5 }, { count: '3x' }, { interval: 1.5 }, { interval: -1 }]) {
+            const response = await request('POST', '/api/recurring', template({ startDate: '2030-03-01', ...fields }));
+            assert.equal(response.status, 400, JSON.stringify(fields));
+        }
+    });
+
+    it('checks the end date and count on update too', async () => {
+        const created = await request('POST', '/api/recurring', template({ startDate: '2030-03-01' }));
+        const id = created.body.data.id;
+
+        for (const fields of [{ endDate: '2030-02-01' }, { endDate: '2030-02-30' }, { count: -2 }, { count: 'many' }]) {
+            const response = await request('PUT', `/api/recurring/${id}`, fields);
+            assert.equal(response.status, 400, JSON.stringify(fields));
+        }
+
+        const updated = await request('PUT', `/api/recurring/${id}`, { endDate: '2030-12-31', count: '4' });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.data.endDate, '2030-12-31');
+        assert.equal(updated.body.data.maxOccurrences, 4);
+
+        const cleared = await request('PUT', `/api/recurring/${id}`, { endDate: null, count: '' });
+        assert.equal(cleared.body.data.endDate, null);
+        assert.equal(cleared.body.data.maxOccurrences, null);
+    });
+
+    it('previews upcoming occurrences without creating them', async () => {
+        const { body } = await request('GET', '/api/recurring/preview?until=2030-05-15');
+        assert.deepEqual(body.data.map(o => o.date), ['2030-03-01', '2030-04-01', '2030-05-01']);
+    });
+
+    it('lists a template saved with an unreadable start date instead of failing', async () => {
+        await RecurringTransaction.create(1, {
+            amount: 5, type: 'expense', categoryName: 'Rents', frequency: 'monthly', interval: 1, startDate: '2025-xx-01'
+        });
+
+        const { status, body } = await request('GET', '/api/recurring');
+        assert.equal(status, 200);
+        assert.equal(body.data.find(t => t.startDate === '2025-xx-01').nextDate, null);
+        assert.equal((await request('GET', '/api/recurring/preview?until=2030-05-15')).status, 200);
+    });
+});
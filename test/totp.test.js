@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Decode, base32Encode, generateCode, generateSecret, otpauthUrl, timeStep, verifyCode } from '../utils/totp.js';
+
+// The SHA1 test vectors from RFC 6238, appendix B, truncated to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+];
+
+describe('base32', () => {
+    it('encodes as RFC 4648 does, without padding', () => {
+        assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+    });
+
+    it('decodes what apps display', () => {
+        assert.equal(base32Decode('mzxw 6ytb-oi==').toString(), 'foobar');
+    });
+
+    it('round-trips a generated secret', () => {
+        const secret = generateSecret();
+        assert.equal(base32Decode(secret).length, 20);
+        assert.equal(base32Encode(base32Decode(secret)), secret);
+    });
+});
+
+describe('TOTP', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+        it(`gives ${code} at ${seconds}s`, () => {
+            assert.equal(generateCode(RFC_SECRET, timeStep(seconds * 1000)), code);
+        });
+    }
+
+    it('accepts a code one step either side and returns its step', () => {
+        const time = 1111111111 * 1000;
+        const step = timeStep(time);
+
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { time }), step);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time }), step - 1);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time }), step + 1);
+        assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time }), null);
+    });
+
+    it('ignores spaces and refuses anything but six digits', () => {
+        const time = 59 * 1000;
+
+        assert.equal(verifyCode(RFC_SECRET, '287 082', { time }), timeStep(time));
+        assert.equal(verifyCode(RFC_SECRET, '28708', { time }), null);
+        assert.equal(verifyCode(RFC_SECRET, 'abcdef', { time }), null);
+    });
+
+    it('builds an otpauth URL for authenticator apps', () => {
+        const url = new URL(otpauthUrl(RFC_SECRET, 'admin', 'Track My Money'));
+
+        assert.equal(url.protocol, 'otpauth:');
+        assert.equal(url.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(url.searchParams.get('digits'), '6');
+        assert.equal(url.searchParams.get('period'), '30');
+    });
+});
@@ -0,0 +1,257 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: User } = await import('../models/User.js');
+const { default: transactionsRoutes } = await import('../routes/transactions.js');
+const { default: categoriesRoutes } = await import('../routes/categories.js');
+
+let server;
+const request = (...args) => server.request(...args);
+
+const create = async (fields) => {
+    const { status, body } = await request('POST', '/api/transactions', { type: 'expense', categoryId: 9, ...fields });
+    assert.equal(status, 201, body.message);
+    return body.data;
+};
+
+const fetchRow = (year, id) => DatabaseManager.get(DatabaseManager.getConnection(1, year), 'SELECT * FROM transactions WHERE id = ?', [id]);
+
+before(async () => {
+    await User.ready;
+    for (const year of [2025, 2026]) {
+        await DatabaseManager.whenReady(DatabaseManager.getConnection(1, year));
+    }
+    server = await serveRoutes(app => {
+        app.use('/api/transactions', transactionsRoutes);
+        app.use('/api/categories', categoriesRoutes);
+    });
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('updating a transaction', () => {
+    it('requires the year the transaction is in', async () => {
+        const lunch = await create({ amount: 8, date: '2025-05-01', description: 'Lunch' });
+        const taxi = await create({ amount: 20, date: '2026-05-01', description: 'Taxi' });
+        assert.equal(lunch.id, taxi.id);
+
+        // Without ?year the 2026 row with the same id would have been edited
+        const response = await request('PUT', `/api/transactions/${lunch.id}`, {
+            amount: 9, date: '2026-05-02', type: 'expense', categoryId: 9, description: 'Lunch'
+        });
+        assert.equal(response.status, 400);
+        assert.match(response.body.message, /\?year/);
+        assert.equal((await fetchRow(2026, taxi.id)).amount, 20);
+        assert.equal((await fetchRow(2025, lunch.id)).amount, 8);
+    });
+
+    it('edits the transaction in the year given', async () => {
+        const coffee = await create({ amount: 3, date: '2025-06-01', description: 'Coffee' });
+
+        const response = await request('PUT', `/api/transactions/${coffee.id}?year=2025`, {
+            amount: 4, date: '2025-06-01', type: 'expense', categoryId: 9, description: 'Coffee'
+        });
+        assert.equal(response.status, 200);
+        assert.equal((await fetchRow(2025, coffee.id)).amount, 4);
+    });
+
+    it('answers 404 for a year that has no database, without creating one', async () => {
+        const response = await request('PUT', '/api/transactions/1?year=2019', {
+            amount: 4, date: '2019-06-01', type: 'expense', categoryId: 9
+        });
+        assert.equal(response.status, 404);
+        assert.ok(!DatabaseManager.getUserYears(1).includes(2019));
+    });
+});
+
+describe('transfers', () => {
+    let cash;
+    let bank;
+    let transfer;
+    let transferCategory;
+
+    const legs = (transferId) => DatabaseManager.all(
+        DatabaseManager.getConnection(1, 2025),
+        'SELECT id, type, amount, date, account_id, category_id FROM transactions WHERE transfer_id = ? ORDER BY type',
+        [transferId]
+    );
+
+    before(async () => {
+        const db = DatabaseManager.getConnection(1, 2025);
+        cash = (await DatabaseManager.run(db, "INSERT INTO accounts (name, type) VALUES ('Cash', 'cash')")).lastID;
+        bank = (await DatabaseManager.run(db, "INSERT INTO accounts (name, type) VALUES ('Bank', 'bank')")).lastID;
+    });
+
+    it('writes a leg out of one account and a leg into the other', async () => {
+        const created = await request('POST', '/api/transactions/transfers', { amount: 50, date: '2025-08-01', fromAccountId: bank, toAccountId: cash });
+        assert.equal(created.status, 201, created.body.message);
+        transfer = created.body.data;
+
+        const [expense, income] = await legs(transfer.id);
+        assert.deepEqual([expense.type, expense.account_id, expense.amount], ['expense', bank, 50]);
+        assert.deepEqual([income.type, income.account_id, income.amount], ['income', cash, 50]);
+
+        transferCategory = await DatabaseManager.get(
+            DatabaseManager.getConnection(1, 2025),
+            'SELECT * FROM categories WHERE id = ?',
+            [expense.category_id]
+        );
+        assert.equal(transferCategory.name, 'Transfer');
+    });
+
+    it('changes both legs together', async () => {
+        const updated = await request('PUT', `/api/transactions/transfers/${transfer.id}?year=2025`, {
+            amount: 60, date: '2025-08-02', fromAccountId: cash, toAccountId: bank
+        });
+        assert.equal(updated.status, 200, updated.body.message);
+
+        const [expense, income] = await legs(transfer.id);
+        assert.deepEqual([expense.account_id, expense.amount, expense.date], [cash, 60, '2025-08-02']);
+        assert.deepEqual([income.account_id, income.amount, income.date], [bank, 60, '2025-08-02']);
+    });
+
+    it("doesn't let a leg be edited as a plain transaction", async () => {
+        const [expense] = await legs(transfer.id);
+        const response = await request('PUT', `/api/transactions/${expense.id}?year=2025`, {
+            amount: 1, date: '2025-08-02', type: 'expense', categoryId: 9
+        });
+        assert.equal(response.status, 400);
+        assert.equal((await legs(transfer.id))[0].amount, 60);
+    });
+
+    it('keeps the Transfer category for transfers', async () => {
+        const id = transferCategory.id;
+        const refused = [
+            await request('POST', '/api/transactions', { amount: 5, date: '2025-08-03', type: 'expense', categoryId: id }),
+            await request('POST', '/api/categories?year=2025', { name: ' transfer ', type: 'expense' }),
+            await request('PUT', '/api/categories/9?year=2025', { name: 'Transfer' }),
+            await request('PUT', `/api/categories/${id}?year=2025`, { name: 'Moves' }),
+            await request('DELETE', `/api/categories/${id}?year=2025`)
+        ];
+        assert.deepEqual(refused.map(r => r.status), [400, 400, 400, 400, 400]);
+
+        const custom = await request('POST', '/api/categories?year=2025', { name: 'Gifts', type: 'expense' });
+        const gift = await create({ amount: 7, date: '2025-08-04', categoryId: custom.body.data.id });
+
+        const merge = await request('POST', `/api/categories/${custom.body.data.id}/merge?year=2025`, { targetId: id });
+        assert.equal(merge.status, 400);
+        const reassign = await request('DELETE', `/api/categories/${custom.body.data.id}?year=2025&reassignTo=${id}`);
+        assert.equal(reassign.status, 400);
+        assert.equal((await fetchRow(2025, gift.id)).category_id, custom.body.data.id);
+    });
+
+    it('deletes both legs with the transfer', async () => {
+        const deleted = await request('DELETE', `/api/transactions/transfers/${transfer.id}?year=2025`);
+        assert.equal(deleted.status, 200);
+        assert.deepEqual(await legs(transfer.id), []);
+    });
+});
+
+describe('search', () => {
+    const search = (query) => request('GET', `/api/transactions/search?${query}`);
+
+    before(async () => {
+        await create({ amount: 12, date: '2025-09-01', description: 'Pizza night' });
+        await create({ amount: 14, date: '2026-01-10', description: '<b>Pizzas</b> & co' });
+        await create({ amount: 2, date: '2025-09-02', categoryId: 13, description: 'Electricity' });
+    });
+
+    it('finds words by prefix across years, in descriptions and category names', async () => {
+        const pizza = await search('q=pizz');
+        assert.equal(pizza.status, 200);
+        assert.deepEqual(pizza.body.data.map(t => t.year).sort(), [2025, 2026]);
+        assert.equal(pizza.body.pagination.totalCount, 2);
+
+        const bills = await search('q=utility%20bil');
+        assert.deepEqual(bills.body.data.map(t => t.description), ['Electricity']);
+    });
+
+    it('HTML-escapes highlights before marking the matched words', async () => {
+        const { body } = await search('q=pizzas&highlightStart=[&highlightEnd=]');
+        assert.equal(body.data[0].highlights.description, '&lt;b&gt;[Pizzas]&lt;/b&gt; &amp; co');
+    });
+
+    it('treats FTS5 syntax in the search text as plain words', async () => {
+        const response = await search(`q=${encodeURIComponent('pizza NEAR(night')}`);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.length, 0);
+
+        const empty = await search(`q=${encodeURIComponent('"*"')}`);
+        assert.equal(empty.status, 400);
+    });
+
+    it('follows category renames and leaves deleted transactions out', async () => {
+        const custom = await request('POST', '/api/categories?year=2025', { name: 'Streaming', type: 'expense' });
+        const film = await create({ amount: 9, date: '2025-09-03', categoryId: custom.body.data.id, description: 'Film' });
+
+        await request('PUT', `/api/categories/${custom.body.data.id}?year=2025`, { name: 'Cinema' });
+        assert.deepEqual((await search('q=cinema')).body.data.map(t => t.id), [film.id]);
+
+        assert.equal((await request('DELETE', `/api/transactions/${film.id}?year=2025`)).status, 200);
+        assert.equal((await search('q=cinema')).body.pagination.totalCount, 0);
+    });
+});
+
+describe('bulk operations', () => {
+    const bulk = (operations, year = 2025) => request('POST', '/api/transactions/bulk', { year, operations });
+
+    it('runs every valid operation and reports the rest in request order', async () => {
+        const rent = await create({ amount: 500, date: '2025-10-01', description: 'Rent' });
+        const snack = await create({ amount: 4, date: '2025-10-02', description: 'Snack' });
+        const bus = await create({ amount: 2, date: '2025-10-03', description: 'Bus' });
+
+        const { status, body } = await bulk([
+            { action: 'create', amount: 6, date: '2026-02-01', type: 'expense', categoryId: 9, description: 'Bulk tea' },
+            { action: 'update', id: rent.id, amount: 550, date: '2025-10-01', type: 'expense', categoryId: 12, description: 'Rent' },
+            { action: 'recategorize', id: bus.id, categoryId: 10 },
+            { action: 'delete', id: snack.id },
+            { action: 'recategorize', id: bus.id, categoryId: 999 },
+            { action: 'update', id: rent.id, amount: 1, date: '2026-01-01', type: 'expense', categoryId: 12 },
+            { action: 'archive', id: rent.id }
+        ]);
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.summary, { total: 7, succeeded: 4, failed: 3 });
+        assert.deepEqual(body.data.results.map(r => [r.index, r.status]), [
+            [0, 'ok'], [1, 'ok'], [2, 'ok'], [3, 'ok'], [4, 'error'], [5, 'error'], [6, 'error']
+        ]);
+        assert.equal(body.data.results[0].year, 2026);
+        assert.match(body.data.results[5].error, /another year/);
+
+        assert.equal((await fetchRow(2025, rent.id)).amount, 550);
+        assert.equal((await fetchRow(2025, bus.id)).category_id, 10);
+        assert.ok((await fetchRow(2025, snack.id)).deleted_at);
+        assert.equal((await fetchRow(2026, body.data.results[0].id)).description, 'Bulk tea');
+    });
+
+    it('leaves deletes to roles that may delete', async () => {
+        const receipt = await create({ amount: 3, date: '2025-10-04', description: 'Receipt' });
+
+        server.signIn({ id: 1, username: 'admin', role: 'bookkeeper' });
+        const { body } = await bulk([
+            { action: 'delete', id: receipt.id },
+            { action: 'recategorize', id: receipt.id, categoryId: 11 }
+        ]);
+        server.signIn({ id: 1, username: 'admin', role: 'user' });
+
+        assert.deepEqual(body.data.results.map(r => r.status), ['error', 'ok']);
+        assert.match(body.data.results[0].error, /cannot delete/);
+        assert.equal((await fetchRow(2025, receipt.id)).deleted_at, null);
+    });
+
+    it("doesn't create a year's database for operations on transactions that can't exist", async () => {
+        const { body } = await bulk([{ action: 'delete', id: 1 }], 2018);
+        assert.equal(body.data.results[0].error, 'Transaction not found');
+        assert.ok(!DatabaseManager.getUserYears(1).includes(2018));
+    });
+
+    it('refuses an empty list', async () => {
+        assert.equal((await bulk([])).status, 400);
+    });
+});
@@ -0,0 +1,141 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: express } = await import('express');
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: User } = await import('../models/User.js');
+const { default: transactionsRoutes } = await import('../routes/transactions.js');
+const { default: undoRoutes } = await import('../routes/undo.js');
+const { authorize } = await import('../middleware/permissions.js');
+
+// The routes as server.js mounts them, with the admin user already signed in
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.user = { id: 1, username: 'admin', role: 'user' };
+    next();
+});
+app.use('/api/transactions', transactionsRoutes);
+app.use('/api/undo', authorize(), undoRoutes);
+
+let server;
+let baseUrl;
+
+const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const latestChange = async (action) => {
+    const { body } = await request('GET', '/api/undo');
+    return body.data.find(entry => entry.action === action && !entry.undoneAt);
+};
+
+const findByDescription = async (year, description) => {
+    const db = DatabaseManager.getConnection(1, year);
+    return DatabaseManager.all(db, 'SELECT * FROM transactions WHERE description = ?', [description]);
+};
+
+before(async () => {
+    await User.ready;
+    for (const year of [2025, 2026]) {
+        await DatabaseManager.whenReady(DatabaseManager.getConnection(1, year));
+    }
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    DatabaseManager.closeAllConnections();
+});
+
+describe('undo', () => {
+    it('moves a transaction back to its year after an edit moved it', async () => {
+        const created = await request('POST', '/api/transactions', {
+            amount: 42,
+            date: '2025-12-30',
+            type: 'expense',
+            categoryId: 9,
+            description: 'Year-end dinner'
+        });
+        assert.equal(created.status, 201);
+        const { id } = created.body.data;
+
+        const moved = await request('PUT', `/api/transactions/${id}?year=2025`, {
+            amount: 45,
+            date: '2026-01-02',
+            type: 'expense',
+            categoryId: 9,
+            description: 'Year-end dinner'
+        });
+        assert.equal(moved.status, 200);
+        assert.equal(moved.body.data.year, 2026);
+        assert.equal((await findByDescription(2025, 'Year-end dinner')).length, 0);
+
+        const change = await latestChange('transaction.update');
+        const undone = await request('POST', `/api/undo/${change.id}`);
+        assert.equal(undone.status, 200);
+
+        // Back in 2025 with its old id and values, and gone from 2026
+        const [restored] = await findByDescription(2025, 'Year-end dinner');
+        assert.equal(restored.id, id);
+        assert.equal(restored.amount, 42);
+        assert.equal(restored.date, '2025-12-30');
+        assert.equal((await findByDescription(2026, 'Year-end dinner')).length, 0);
+
+        const again = await request('POST', `/api/undo/${change.id}`);
+        assert.equal(again.status, 409);
+    });
+
+    it('refuses to undo an edit the transaction has changed since', async () => {
+        const created = await request('POST', '/api/transactions', {
+            amount: 10,
+            date: '2025-03-01',
+            type: 'expense',
+            categoryId: 10,
+            description: 'Bus fare'
+        });
+        const { id } = created.body.data;
+        const edit = { amount: 12, date: '2026-03-01', type: 'expense', categoryId: 10, description: 'Bus fare' };
+
+        await request('PUT', `/api/transactions/${id}?year=2025`, edit);
+        const change = await latestChange('transaction.update');
+
+        const [moved] = await findByDescription(2026, 'Bus fare');
+        await request('PUT', `/api/transactions/${moved.id}?year=2026`, { ...edit, amount: 15 });
+
+        const undone = await request('POST', `/api/undo/${change.id}`);
+        assert.equal(undone.status, 409);
+        assert.equal((await findByDescription(2026, 'Bus fare'))[0].amount, 15);
+    });
+
+    it('undoes each change made by a bulk request', async () => {
+        const bulk = await request('POST', '/api/transactions/bulk', {
+            year: 2025,
+            operations: [
+                { action: 'create', amount: 5, date: '2025-04-01', type: 'expense', categoryId: 9, description: 'Snack' }
+            ]
+        });
+        assert.equal(bulk.status, 200);
+        assert.equal(bulk.body.data.summary.succeeded, 1);
+
+        const change = await latestChange('transaction.create');
+        assert.equal(change.entityId, bulk.body.data.results[0].id);
+
+        const undone = await request('POST', `/api/undo/${change.id}`);
+        assert.equal(undone.status, 200);
+
+        const [trashed] = await findByDescription(2025, 'Snack');
+        assert.ok(trashed.deleted_at);
+    });
+});
@@ -0,0 +1,138 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { serveRoutes, useScratchDirectory } from './helpers.js';
+
+useScratchDirectory();
+
+const { default: DatabaseManager } = await import('../database/DatabaseManager.js');
+const { default: User } = await import('../models/User.js');
+const { default: AuditLog } = await import('../models/AuditLog.js');
+const { default: yearsRoutes } = await import('../routes/years.js');
+const { authorize } = await import('../middleware/permissions.js');
+
+const owner = { id: 1, username: 'admin', role: 'user' };
+const superadmin = { id: 2, username: 'root', role: 'superadmin' };
+
+let server;
+const request = (...args) => server.request(...args);
+
+before(async () => {
+    await User.ready;
+    const db = DatabaseManager.getConnection(1, 2025);
+    await DatabaseManager.run(db, "INSERT INTO transactions (amount, date, type, category_id) VALUES (100, '2025-03-01', 'income', 1)");
+    server = await serveRoutes(app => app.use('/api/years', authorize(), yearsRoutes), owner);
+});
+
+after(async () => {
+    await server.close();
+    DatabaseManager.closeAllConnections();
+});
+
+describe('reopening a year', () => {
+    it('audits who closed and who reopened the year', async () => {
+        assert.equal((await request('POST', '/api/years/2025/close')).status, 200);
+
+        server.signIn(superadmin);
+        const reopened = await request('POST', '/api/years/2025/reopen?userId=1');
+        server.signIn(owner);
+        assert.equal(reopened.status, 200);
+
+        const [reopen, close] = await AuditLog.find({ targetUserId: 1, entity: 'year', year: 2025 });
+        assert.equal(close.actor_id, 1);
+        assert.deepEqual(close.after_data, { closed: true, closingBalance: 100 });
+
+        assert.equal(reopen.actor_id, 2);
+        assert.equal(reopen.action, 'update');
+        assert.equal(reopen.before_data.closedBy, 1);
+        assert.equal(reopen.before_data.closingBalance, 100);
+        assert.deepEqual(reopen.after_data, { closed: false });
+    });
+
+    it('answers 409 for a year that is not closed', async () => {
+        server.signIn(superadmin);
+        const response = await request('POST', '/api/years/2025/reopen?userId=1');
+        server.signIn(owner);
+
+        assert.equal(response.status, 409);
+    });
+});
+
+describe('closing a year', () => {
+    let result;
+
+    before(async () => {
+        const db = DatabaseManager.getConnection(1, 2023);
+        const bank = (await DatabaseManager.run(db, "INSERT INTO accounts (name, type, opening_balance) VALUES ('Bank', 'bank', 50)")).lastID;
+        await DatabaseManager.run(db, "INSERT INTO accounts (name, type, opening_balance) VALUES ('Wallet', 'cash', 10)");
+        const freelance = (await DatabaseManager.run(db, "INSERT INTO categories (name, type) VALUES ('Freelance', 'income')")).lastID;
+        await DatabaseManager.run(
+            db,
+            `INSERT INTO transactions (amount, date, type, category_id, account_id) VALUES
+                (200, '2023-04-01', 'income', ?, ?),
+                (30, '2023-05-01', 'expense', 9, ?)`,
+            [freelance, bank, bank]
+        );
+        await DatabaseManager.run(
+            db,
+            "INSERT INTO transactions (amount, date, type, category_id, account_id, deleted_at) VALUES (999, '2023-06-01', 'expense', 9, ?, CURRENT_TIMESTAMP)",
+            [bank]
+        );
+
+        const next = DatabaseManager.getConnection(1, 2024);
+        await DatabaseManager.run(next, "INSERT INTO accounts (name, type, opening_balance) VALUES ('Bank', 'bank', 0)");
+    });
+
+    it('carries categories, accounts and the closing balance into the next year', async () => {
+        const closed = await request('POST', '/api/years/2023/close');
+        assert.equal(closed.status, 200, closed.body.message);
+        result = closed.body.data;
+
+        assert.equal(result.closingBalance, 230);
+        assert.deepEqual(result.categoriesCopied, [{ name: 'Freelance', type: 'income' }]);
+        assert.deepEqual(result.accountsCarried, [
+            { name: 'Bank', type: 'bank', openingBalance: 220, created: false },
+            { name: 'Wallet', type: 'cash', openingBalance: 10, created: true }
+        ]);
+
+        const next = DatabaseManager.getConnection(1, 2024);
+        assert.deepEqual(
+            await DatabaseManager.all(next, 'SELECT name, opening_balance FROM accounts ORDER BY name'),
+            [{ name: 'Bank', opening_balance: 220 }, { name: 'Wallet', opening_balance: 10 }]
+        );
+        assert.ok(await DatabaseManager.get(next, "SELECT 1 FROM categories WHERE name = 'Freelance' AND type = 'income'"));
+
+        const balances = await request('GET', '/api/years/balances');
+        const carried = balances.body.data.find(entry => entry.year === 2024);
+        assert.deepEqual([carried.openingBalance, carried.carriedFrom, carried.consistent], [230, 2023, true]);
+    });
+
+    it('refuses changes to the closed year and a second close', async () => {
+        const db = DatabaseManager.getConnection(1, 2023);
+        await assert.rejects(
+            DatabaseManager.run(db, "INSERT INTO transactions (amount, date, type, category_id) VALUES (1, '2023-07-01', 'expense', 9)"),
+            /This year has been closed/
+        );
+        await assert.rejects(DatabaseManager.run(db, "UPDATE accounts SET name = 'Savings' WHERE name = 'Bank'"), /closed/);
+
+        const again = await request('POST', '/api/years/2023/close');
+        assert.equal(again.status, 409);
+    });
+
+    it('shows the chain as inconsistent once a reopened year is edited', async () => {
+        server.signIn(superadmin);
+        assert.equal((await request('POST', '/api/years/2023/reopen?userId=1')).status, 200);
+        server.signIn(owner);
+
+        await DatabaseManager.run(
+            DatabaseManager.getConnection(1, 2023),
+            "INSERT INTO transactions (amount, date, type, category_id) VALUES (5, '2023-07-01', 'expense', 9)"
+        );
+
+        const balances = await request('GET', '/api/years/balances');
+        assert.equal(balances.body.data.find(entry => entry.year === 2024).consistent, false);
+    });
+
+    it('answers 404 for a year without a database', async () => {
+        assert.equal((await request('POST', '/api/years/2019/close')).status, 404);
+    });
+});